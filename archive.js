@@ -0,0 +1,314 @@
+// Minimal archive readers for EPUB books (ZIP) and model packages (ZIP, .tar.gz).
+// Archives are streamed from disk and inflated asynchronously, so large files never
+// block the main process or have to fit in memory.
+// openZip returns { names(), has(name), read(name), extract(name, targetPath) } where read
+// resolves to the entry's contents as a Buffer, or null when there is no such entry.
+// extractZip and extractTarGz write every file of the archive to the path onFile(name)
+// resolves to, skipping the files it resolves to null for.
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+const ZIP_END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP_MAX_COMMENT_LENGTH = 65535;
+const ZIP64_LOCATOR_SIZE = 20;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE = 56;
+
+async function readAt(file, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await file.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Read the whole stream into a Buffer
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Write the whole stream to filePath
+async function writeStreamToFile(stream, filePath) {
+  const file = await fs.promises.open(filePath, 'w');
+  try {
+    for await (const chunk of stream) await file.write(chunk);
+  } finally {
+    await file.close();
+  }
+}
+
+// ZIP64 central directory location: { entryCount, directorySize, directoryOffset }
+async function readZip64End(file, tail, endOffset, tailStart) {
+  const locatorOffset = endOffset - ZIP64_LOCATOR_SIZE;
+  if (locatorOffset < 0 || tail.readUInt32LE(locatorOffset) !== ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR) {
+    return null;
+  }
+
+  const recordOffset = Number(tail.readBigUInt64LE(locatorOffset + 8));
+  const record = recordOffset >= tailStart
+    ? tail.subarray(recordOffset - tailStart)
+    : await readAt(file, recordOffset, ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE);
+  if (record.length < ZIP64_END_OF_CENTRAL_DIRECTORY_SIZE || record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+    throw new Error('Corrupt ZIP archive');
+  }
+
+  return {
+    entryCount: Number(record.readBigUInt64LE(32)),
+    directorySize: Number(record.readBigUInt64LE(40)),
+    directoryOffset: Number(record.readBigUInt64LE(48))
+  };
+}
+
+// Sizes and offsets that don't fit in 32 bits are 0xFFFFFFFF in the central directory
+// entry and stored, in this order, in its ZIP64 extra field
+function applyZip64Extra(entry, extra) {
+  let offset = 0;
+  while (offset + 4 <= extra.length) {
+    const id = extra.readUInt16LE(offset);
+    const size = extra.readUInt16LE(offset + 2);
+
+    if (id === ZIP64_EXTRA_FIELD) {
+      let position = offset + 4;
+      for (const key of ['uncompressedSize', 'compressedSize', 'localOffset']) {
+        if (entry[key] === 0xffffffff && position + 8 <= offset + 4 + size) {
+          entry[key] = Number(extra.readBigUInt64LE(position));
+          position += 8;
+        }
+      }
+      return;
+    }
+
+    offset += 4 + size;
+  }
+}
+
+// Minimal ZIP reader: stored and deflated entries, ZIP64, no encryption
+async function openZip(filePath) {
+  const file = await fs.promises.open(filePath, 'r');
+  let directory;
+
+  try {
+    const { size } = await file.stat();
+    const tailLength = Math.min(size, ZIP_END_OF_CENTRAL_DIRECTORY_SIZE + ZIP_MAX_COMMENT_LENGTH + ZIP64_LOCATOR_SIZE);
+    const tailStart = size - tailLength;
+    const tail = await readAt(file, tailStart, tailLength);
+
+    let endOffset = -1;
+    for (let i = tail.length - ZIP_END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        endOffset = i;
+        break;
+      }
+    }
+
+    if (endOffset === -1) {
+      throw new Error('The file is not a valid ZIP archive');
+    }
+
+    let entryCount = tail.readUInt16LE(endOffset + 10);
+    let directorySize = tail.readUInt32LE(endOffset + 12);
+    let directoryOffset = tail.readUInt32LE(endOffset + 16);
+
+    if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      const zip64 = await readZip64End(file, tail, endOffset, tailStart);
+      if (zip64) ({ entryCount, directorySize, directoryOffset } = zip64);
+    }
+
+    if (directoryOffset + directorySize > size) {
+      throw new Error('Corrupt ZIP archive');
+    }
+
+    directory = { entryCount, buffer: await readAt(file, directoryOffset, directorySize) };
+  } finally {
+    await file.close();
+  }
+
+  const buffer = directory.buffer;
+  const entries = new Map();
+  let offset = 0;
+
+  for (let i = 0; i < directory.entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP archive');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const entry = {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    };
+
+    const extraStart = offset + 46 + nameLength;
+    applyZip64Extra(entry, buffer.subarray(extraStart, extraStart + extraLength));
+    entries.set(name, entry);
+
+    offset = extraStart + extraLength + commentLength;
+  }
+
+  // Stream of the entry's uncompressed contents
+  const openEntry = async (name) => {
+    const entry = entries.get(name);
+
+    const file = await fs.promises.open(filePath, 'r');
+    let header;
+    try {
+      header = await readAt(file, entry.localOffset, 30);
+    } finally {
+      await file.close();
+    }
+
+    if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new Error(`Unsupported compression in ZIP entry: ${name}`);
+    }
+
+    const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (entry.compressedSize === 0) return [];
+
+    const input = fs.createReadStream(filePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+    return entry.method === 0 ? input : pipeline(input, zlib.createInflateRaw(), () => {});
+  };
+
+  return {
+    names: () => Array.from(entries.keys()).filter(name => !name.endsWith('/')),
+    has: (name) => entries.has(name),
+    async read(name) {
+      return entries.has(name) ? collect(await openEntry(name)) : null;
+    },
+    async extract(name, targetPath) {
+      await writeStreamToFile(await openEntry(name), targetPath);
+    }
+  };
+}
+
+async function extractZip(filePath, onFile) {
+  const zip = await openZip(filePath);
+
+  for (const name of zip.names()) {
+    const target = await onFile(name);
+    if (target) await zip.extract(name, target);
+  }
+}
+
+const TAR_BLOCK_SIZE = 512;
+
+function readTarString(buffer, start, length) {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? field.length : end);
+}
+
+// POSIX (ustar) tar with GNU long names and PAX path records; only regular files are kept.
+// The archive is parsed as it is decompressed: headers and long names are buffered,
+// file contents go straight to their target file.
+async function extractTarGz(filePath, onFile) {
+  const input = pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {});
+  let buffered = Buffer.alloc(0);
+  let longName = null;
+  let entry = null; // { type, remaining, padding, file, chunks }
+  let ended = false;
+
+  const startEntry = async (header) => {
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    if (isNaN(size)) {
+      throw new Error('Corrupt tar archive');
+    }
+
+    const type = String.fromCharCode(header[156] || 48);
+    const current = { type, remaining: size, padding: (TAR_BLOCK_SIZE - size % TAR_BLOCK_SIZE) % TAR_BLOCK_SIZE, file: null, chunks: null };
+
+    if (type === 'L' || type === 'x') {
+      current.chunks = [];
+    } else {
+      if (type === '0' || type === '7') {
+        const prefix = readTarString(header, 257, 6) === 'ustar' ? readTarString(header, 345, 155) : '';
+        const name = readTarString(header, 0, 100);
+        const target = await onFile(longName || (prefix ? `${prefix}/${name}` : name));
+        if (target) current.file = await fs.promises.open(target, 'w');
+      }
+      longName = null;
+    }
+
+    return current;
+  };
+
+  const finishEntry = async () => {
+    if (entry.file) {
+      await entry.file.close();
+    } else if (entry.type === 'L') {
+      const data = Buffer.concat(entry.chunks);
+      longName = readTarString(data, 0, data.length);
+    } else if (entry.type === 'x') {
+      // PAX records: "<length> <key>=<value>\n"
+      const pathRecord = /(?:^|\n)\d+ path=([^\n]*)/.exec(Buffer.concat(entry.chunks).toString('utf8'));
+      if (pathRecord) longName = pathRecord[1];
+    }
+    entry = null;
+  };
+
+  try {
+    for await (const chunk of input) {
+      buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+
+      while (!ended) {
+        if (!entry) {
+          if (buffered.length < TAR_BLOCK_SIZE) break;
+
+          const header = buffered.subarray(0, TAR_BLOCK_SIZE);
+          buffered = buffered.subarray(TAR_BLOCK_SIZE);
+          if (header.every(byte => byte === 0)) {
+            ended = true;
+            break;
+          }
+          entry = await startEntry(header);
+        }
+
+        if (entry.remaining > 0) {
+          const data = buffered.subarray(0, Math.min(entry.remaining, buffered.length));
+          buffered = buffered.subarray(data.length);
+          entry.remaining -= data.length;
+
+          if (entry.file) await entry.file.write(data);
+          else if (entry.chunks) entry.chunks.push(data);
+          if (entry.remaining > 0) break;
+        }
+
+        const padding = Math.min(entry.padding, buffered.length);
+        buffered = buffered.subarray(padding);
+        entry.padding -= padding;
+        if (entry.padding > 0) break;
+
+        await finishEntry();
+      }
+
+      if (ended) break;
+    }
+
+    if (entry) {
+      throw new Error('Corrupt tar archive');
+    }
+  } finally {
+    if (entry && entry.file) await entry.file.close();
+    input.destroy();
+  }
+}
+
+module.exports = {
+  openZip,
+  extractZip,
+  extractTarGz
+};
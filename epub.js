@@ -0,0 +1,209 @@
+// EPUB reader for audiobook production.
+// An EPUB is a ZIP archive with an OPF package file listing the chapters (spine),
+// the table of contents (EPUB 3 nav document or EPUB 2 NCX) and the cover image.
+// Only what the TTS pipeline needs is extracted: metadata, cover and chapter text.
+
+const path = require('path');
+const { openZip } = require('./archive');
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', laquo: '«', raquo: '»', iexcl: '¡', iquest: '¿' };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return named[entity.toLowerCase()] !== undefined ? named[entity.toLowerCase()] : match;
+  });
+}
+
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(["'])([\\s\\S]*?)\\1`, 'i').exec(attributes);
+  return match ? decodeEntities(match[2]) : null;
+}
+
+// Attribute strings of every <tag ...> (with or without a namespace prefix)
+function findTags(xml, tagName) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tagName}\\b([^>]*?)\\/?>`, 'gi');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+function getElementText(xml, tagName) {
+  const match = new RegExp(`<(?:[\\w-]+:)?${tagName}\\b[^>]*>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tagName}>`, 'i').exec(xml);
+  return match ? decodeEntities(match[1].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim() : null;
+}
+
+// Archive path of an href relative to the file that references it
+function resolveHref(baseFile, href) {
+  const target = decodeURIComponent(href.split('#')[0]);
+  return path.posix.normalize(path.posix.join(path.posix.dirname(baseFile), target));
+}
+
+// Plain text of an XHTML chapter, one paragraph per block element
+function htmlToText(html) {
+  const bodyMatch = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html);
+
+  const text = (bodyMatch ? bodyMatch[1] : html)
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|li|blockquote|section|article|tr|dd|dt|pre|figcaption)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Chapter titles by archive path, from the EPUB 3 nav document or the EPUB 2 NCX
+async function readTableOfContents(zip, opfPath, manifest, spineTocId) {
+  const titles = new Map();
+  const addTitle = (file, href, title) => {
+    const target = resolveHref(file, href);
+    if (title && !titles.has(target)) titles.set(target, title);
+  };
+
+  const navItem = Array.from(manifest.values()).find(item => (item.properties || '').split(/\s+/).includes('nav'));
+  if (navItem) {
+    const navFile = resolveHref(opfPath, navItem.href);
+    const nav = ((await zip.read(navFile)) || '').toString('utf8');
+    const tocMatch = /<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i.exec(nav);
+
+    for (const link of (tocMatch ? tocMatch[1] : nav).matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+      const href = getAttribute(link[1], 'href');
+      if (href) addTitle(navFile, href, decodeEntities(link[2].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim());
+    }
+  }
+
+  const ncxItem = (spineTocId && manifest.get(spineTocId)) ||
+    Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+  if (titles.size === 0 && ncxItem) {
+    const ncxFile = resolveHref(opfPath, ncxItem.href);
+    const ncx = ((await zip.read(ncxFile)) || '').toString('utf8');
+
+    for (const navPoint of ncx.matchAll(/<navPoint\b[\s\S]*?<navLabel>([\s\S]*?)<\/navLabel>[\s\S]*?<content\b([^>]*)>/gi)) {
+      const src = getAttribute(navPoint[2], 'src');
+      if (src) addTitle(ncxFile, src, getElementText(navPoint[1], 'text'));
+    }
+  }
+
+  return titles;
+}
+
+// Cover image types and their file extensions. SVG covers are left out: audio
+// players can't show them and ffmpeg can't read them
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+async function findCover(zip, opfPath, opf, manifest) {
+  const items = Array.from(manifest.values());
+  const coverMeta = findTags(opf, 'meta').find(attributes => getAttribute(attributes, 'name') === 'cover');
+  const coverId = coverMeta ? getAttribute(coverMeta, 'content') : null;
+
+  const coverItem =
+    items.find(item => (item.properties || '').split(/\s+/).includes('cover-image')) ||
+    (coverId && manifest.get(coverId)) ||
+    items.find(item => /cover/i.test(item.id + item.href) && /^image\//.test(item.mediaType));
+
+  if (!coverItem || !COVER_EXTENSIONS[coverItem.mediaType]) return null;
+
+  const data = await zip.read(resolveHref(opfPath, coverItem.href));
+  if (!data) return null;
+
+  return {
+    data: data,
+    mediaType: coverItem.mediaType,
+    extension: COVER_EXTENSIONS[coverItem.mediaType]
+  };
+}
+
+// Read an EPUB file: { title, author, language, cover, chapters }
+// Every spine document with text is a chapter: { index, href, title, text, wordCount, linear }.
+// cover is { data, mediaType, extension } or null.
+async function parseEpub(filePath) {
+  let zip;
+  try {
+    zip = await openZip(filePath);
+  } catch (error) {
+    // File system errors (missing file, no access) are passed on as they are
+    if (error.code) throw error;
+    throw new Error(`The file is not a valid EPUB: ${error.message}`);
+  }
+
+  const container = await zip.read('META-INF/container.xml');
+  if (!container) {
+    throw new Error('The EPUB has no META-INF/container.xml');
+  }
+
+  const rootfile = findTags(container.toString('utf8'), 'rootfile')[0];
+  const opfPath = rootfile && getAttribute(rootfile, 'full-path');
+  const opfData = opfPath && await zip.read(opfPath);
+  if (!opfData) {
+    throw new Error('The EPUB package document (OPF) is missing');
+  }
+
+  const opf = opfData.toString('utf8');
+
+  const manifest = new Map();
+  for (const attributes of findTags(opf, 'item')) {
+    const id = getAttribute(attributes, 'id');
+    if (!id) continue;
+    manifest.set(id, {
+      id: id,
+      href: getAttribute(attributes, 'href') || '',
+      mediaType: getAttribute(attributes, 'media-type') || '',
+      properties: getAttribute(attributes, 'properties')
+    });
+  }
+
+  const spineMatch = /<(?:[\w-]+:)?spine\b([^>]*)>/i.exec(opf);
+  const titles = await readTableOfContents(zip, opfPath, manifest, spineMatch ? getAttribute(spineMatch[1], 'toc') : null);
+
+  const chapters = [];
+  for (const attributes of findTags(opf, 'itemref')) {
+    const item = manifest.get(getAttribute(attributes, 'idref'));
+    if (!item) continue;
+
+    const href = resolveHref(opfPath, item.href);
+    const html = ((await zip.read(href)) || '').toString('utf8');
+    const text = htmlToText(html);
+    if (!text) continue;
+
+    const title = titles.get(href) ||
+      getElementText(html, 'h1') || getElementText(html, 'h2') || getElementText(html, 'title') ||
+      `Capítulo ${chapters.length + 1}`;
+
+    chapters.push({
+      index: chapters.length,
+      href: href,
+      title: title,
+      text: text,
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      linear: getAttribute(attributes, 'linear') !== 'no'
+    });
+  }
+
+  if (chapters.length === 0) {
+    throw new Error('The EPUB has no chapters with text');
+  }
+
+  return {
+    title: getElementText(opf, 'title') || path.basename(filePath, path.extname(filePath)),
+    author: getElementText(opf, 'creator'),
+    language: getElementText(opf, 'language'),
+    cover: await findCover(zip, opfPath, opf, manifest),
+    chapters: chapters
+  };
+}
+
+module.exports = {
+  parseEpub,
+  htmlToText
+};
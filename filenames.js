@@ -0,0 +1,18 @@
+// File name helpers shared by the main process (audio export) and the server
+// (batches, audiobooks and dialogue stems)
+
+// Names are cut to leave room for suffixes (_1, _CHARACTER) and the extension
+const MAX_FILE_NAME_LENGTH = 120;
+
+// Remove characters that aren't allowed in file names on Windows
+function sanitizeFileName(name) {
+  return String(name || '')
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_FILE_NAME_LENGTH);
+}
+
+module.exports = {
+  sanitizeFileName
+};
@@ -0,0 +1,37 @@
+// German language pack
+
+const MONTHS = 'Januar|Februar|März|April|Mai|Juni|Juli|August|September|Oktober|November|Dezember';
+
+module.exports = {
+  code: 'de',
+  name: 'Deutsch',
+  
+  uppercase: 'A-ZÄÖÜ',
+  sentenceOpeners: '',
+  
+  abbreviations: [
+    'Hr', 'Hrn', 'Fr', 'Dr', 'Prof', 'Dipl', 'Ing', 'bzw', 'usw', 'z.B', 'd.h', 'u.a', 'o.ä', 'z.T',
+    'ca', 'Nr', 'S', 'Str', 'vgl', 'evtl', 'ggf', 'inkl', 'bspw', 'etc', 'Jh', 'Mio', 'Mrd', 'St'
+  ],
+  
+  // Ordinals are written with a period ("3. Oktober", "der 2. Platz"), which
+  // would otherwise end the sentence before the following capitalized noun
+  protectedPatterns: [
+    new RegExp(`\\b\\d{1,2}\\.(?=\\s+(?:${MONTHS})\\b)`, 'g'),
+    /(?<=\b(?:der|die|das|dem|den|des|am|im|zum|zur|vom)\s+)\d+\./gi
+  ],
+  
+  sentenceStarters: [
+    'Der', 'Die', 'Das', 'Ein', 'Eine', 'Dieser', 'Diese', 'Dieses', 'Aber', 'Und', 'Oder', 'Wenn',
+    'Als', 'Dann', 'Jetzt', 'Danach', 'Vorher', 'Während', 'Obwohl', 'Weil', 'Da', 'Ich', 'Wir', 'Es',
+    'Er', 'Sie'
+  ],
+  
+  breakWords: [
+    'aber', 'jedoch', 'außerdem', 'deshalb', 'daher', 'trotzdem', 'während', 'wenn', 'als', 'wo',
+    'wie', 'dass', 'ob', 'obwohl', 'weil', 'da', 'sondern'
+  ],
+  
+  questionWords: ['was', 'wer', 'wann', 'wo', 'wie', 'warum', 'wieso', 'welche', 'welcher', 'welches'],
+  exclamationWords: ['wow', 'toll', 'super', 'fantastisch', 'unglaublich', 'großartig']
+};
@@ -0,0 +1,29 @@
+// English language pack
+
+module.exports = {
+  code: 'en',
+  name: 'English',
+  
+  uppercase: 'A-Z',
+  sentenceOpeners: '',
+  
+  abbreviations: [
+    'Mr', 'Mrs', 'Ms', 'Miss', 'Dr', 'Prof', 'Jr', 'Sr', 'St', 'Mt', 'Gen', 'Gov', 'Sen', 'Rep',
+    'Inc', 'Ltd', 'Corp', 'Co', 'Bros', 'vs', 'etc', 'e.g', 'i.e', 'cf', 'approx', 'dept', 'fig',
+    'vol', 'Jan', 'Feb', 'Mar', 'Apr', 'Aug', 'Sep', 'Sept', 'Oct', 'Nov', 'Dec', 'U.S', 'U.K'
+  ],
+  
+  sentenceStarters: [
+    'The', 'A', 'An', 'This', 'That', 'These', 'Those', 'But', 'And', 'Or', 'So', 'When', 'Where',
+    'How', 'If', 'Then', 'Now', 'After', 'Before', 'While', 'Although', 'Because', 'However', 'I', 'We',
+    'It', 'He', 'She', 'They', 'You'
+  ],
+  
+  breakWords: [
+    'but', 'however', 'moreover', 'therefore', 'nevertheless', 'although', 'though', 'while', 'when',
+    'where', 'which', 'because', 'since', 'whereas', 'unless'
+  ],
+  
+  questionWords: ['what', 'who', 'when', 'where', 'why', 'how', 'which'],
+  exclamationWords: ['wow', 'amazing', 'excellent', 'fantastic', 'awesome']
+};
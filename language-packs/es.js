@@ -0,0 +1,76 @@
+// Spanish language pack: abbreviations, sentence starters and the ¿/¡ handling
+// the text pipeline originally used for every model
+
+module.exports = {
+  code: 'es',
+  name: 'Español',
+  
+  // Letters a sentence can start with, and opening punctuation
+  uppercase: 'A-ZÁÉÍÓÚÑÜ',
+  sentenceOpeners: '¡¿',
+  
+  abbreviations: [
+    'Sr', 'Sra', 'Srta', 'Dr', 'Dra', 'Prof', 'Profa', 'Lic', 'Licda',
+    'Ing', 'Inga', 'Arq', 'Arqa', 'Mtro', 'Mtra', 'etc', 'vs', 'p.ej',
+    'i.e', 'cf', 'vol', 'cap', 'art', 'núm', 'pág', 'ed', 'op.cit',
+    'Mr', 'Mrs', 'Ms', 'Miss', 'Inc', 'Ltd', 'Corp', 'Co', 'e.g'
+  ],
+  
+  sentenceStarters: [
+    'El', 'La', 'Los', 'Las', 'Un', 'Una', 'Este', 'Esta', 'Estos', 'Estas', 'Pero', 'Sin', 'Con',
+    'Por', 'Para', 'Cuando', 'Donde', 'Como', 'Que', 'Si', 'No', 'Y', 'O', 'Entonces', 'Así', 'Ahora',
+    'Luego', 'Después', 'Antes', 'Mientras', 'Aunque', 'Porque', 'Ya', 'Dado', 'Puesto'
+  ],
+  
+  // Connectors where a very long sentence can be split
+  breakWords: [
+    'pero', 'sin embargo', 'además', 'por tanto', 'por lo tanto', 'no obstante', 'mientras', 'cuando',
+    'donde', 'como', 'que', 'si', 'aunque', 'porque', 'ya que', 'dado que', 'puesto que'
+  ],
+  
+  // Words that make a sentence without final punctuation a question or exclamation
+  questionWords: ['qué', 'quién', 'cuándo', 'dónde', 'cómo', 'por qué', 'cuál'],
+  exclamationWords: ['wow', 'increíble', 'excelente', 'fantástico'],
+  
+  // Fix malformed ¿...? and ¡...! pairs
+  fixPunctuation(text) {
+    let fixed = text;
+    
+    fixed = fixed.replace(/¿¡/g, '¿'); // Remove duplicate opening punctuation
+    fixed = fixed.replace(/¡¿/g, '¡'); // Remove duplicate opening punctuation
+    fixed = fixed.replace(/\?!/g, '?'); // Remove duplicate closing punctuation
+    fixed = fixed.replace(/!\?/g, '!'); // Remove duplicate closing punctuation
+    
+    // Ensure proper question format
+    fixed = fixed.replace(/¿([^?]*?)\?/g, (match, content) => {
+      return `¿${content.trim()}?`;
+    });
+    
+    // Ensure proper exclamation format
+    fixed = fixed.replace(/¡([^!]*?)!/g, (match, content) => {
+      return `¡${content.trim()}!`;
+    });
+    
+    // Fix incomplete question patterns - but be more careful
+    fixed = fixed.replace(/¿\s*([^?]*?)(?:\s*[.])(?!\?)/g, '¿$1?');
+    
+    // Fix incomplete exclamation patterns - but be more careful
+    fixed = fixed.replace(/¡\s*([^!]*?)(?:\s*[.])(?!\!)/g, '¡$1!');
+    
+    return fixed;
+  },
+  
+  // Only add opening punctuation if missing and ending punctuation suggests it
+  addOpeningPunctuation(sentence) {
+    let enhanced = sentence;
+    
+    if (/\?$/.test(enhanced) && !/^¿/.test(enhanced) && !/\b(yes|no|si|sí)\b/i.test(enhanced)) {
+      enhanced = '¿' + enhanced;
+    }
+    if (/!$/.test(enhanced) && !/^¡/.test(enhanced) && /\b(wow|increíble|excelente|fantástico|bravo|genial)\b/i.test(enhanced)) {
+      enhanced = '¡' + enhanced;
+    }
+    
+    return enhanced;
+  }
+};
@@ -0,0 +1,45 @@
+// Language packs for the sentence pipeline, chosen by the model's language code.
+// A pack provides:
+//   code, name
+//   uppercase           - character class (without brackets) of letters that start a sentence
+//   sentenceOpeners     - opening punctuation that can start a sentence (¿¡ in Spanish)
+//   abbreviations       - words whose trailing period doesn't end a sentence
+//   protectedPatterns   - optional regexes for other periods that don't end a sentence
+//   sentenceStarters    - words that start a new sentence after a period
+//   breakWords          - connectors where very long sentences are split
+//   questionWords       - a sentence without final punctuation containing one becomes a question
+//   exclamationWords    - same for exclamations
+//   fixPunctuation      - optional (text) => text, language-specific punctuation cleanup
+//   addOpeningPunctuation - optional (sentence) => sentence, e.g. Spanish ¿ and ¡
+// To add a language, create <code>.js next to this file and register it below.
+
+const LANGUAGE_PACKS = {
+  es: require('./es'),
+  en: require('./en'),
+  pt: require('./pt'),
+  de: require('./de')
+};
+
+// Used for languages without a pack: splits on punctuation only and never adds ¿/¡
+const DEFAULT_LANGUAGE_PACK = {
+  code: 'default',
+  name: 'Default',
+  uppercase: 'A-ZÀ-ÖØ-Þ',
+  sentenceOpeners: '',
+  abbreviations: ['Mr', 'Mrs', 'Ms', 'Dr', 'Prof', 'Inc', 'Ltd', 'etc', 'vs', 'e.g', 'i.e', 'cf'],
+  sentenceStarters: [],
+  breakWords: [],
+  questionWords: [],
+  exclamationWords: []
+};
+
+function getLanguagePack(languageCode) {
+  const code = String(languageCode || '').split(/[-_]/)[0].toLowerCase();
+  return LANGUAGE_PACKS[code] || DEFAULT_LANGUAGE_PACK;
+}
+
+module.exports = {
+  LANGUAGE_PACKS,
+  DEFAULT_LANGUAGE_PACK,
+  getLanguagePack
+};
@@ -0,0 +1,29 @@
+// Portuguese language pack
+
+module.exports = {
+  code: 'pt',
+  name: 'Português',
+  
+  uppercase: 'A-ZÁÀÂÃÉÊÍÓÔÕÚÜÇ',
+  sentenceOpeners: '',
+  
+  abbreviations: [
+    'Sr', 'Sra', 'Srta', 'Dr', 'Dra', 'Prof', 'Profa', 'Eng', 'Arq', 'Exmo', 'Exma', 'V.Exa', 'Av',
+    'Ltda', 'Cia', 'etc', 'vs', 'p.ex', 'i.e', 'cf', 'vol', 'cap', 'art', 'pág', 'págs', 'núm', 'ed',
+    'nº', 'tel', 'aprox'
+  ],
+  
+  sentenceStarters: [
+    'O', 'A', 'Os', 'As', 'Um', 'Uma', 'Este', 'Esta', 'Estes', 'Estas', 'Mas', 'Sem', 'Com', 'Por',
+    'Para', 'Quando', 'Onde', 'Como', 'Que', 'Se', 'Não', 'E', 'Ou', 'Então', 'Assim', 'Agora',
+    'Depois', 'Antes', 'Enquanto', 'Embora', 'Porque', 'Já'
+  ],
+  
+  breakWords: [
+    'mas', 'porém', 'contudo', 'todavia', 'entretanto', 'no entanto', 'além disso', 'portanto',
+    'enquanto', 'quando', 'onde', 'como', 'que', 'se', 'embora', 'porque', 'já que', 'visto que'
+  ],
+  
+  questionWords: ['que', 'quem', 'quando', 'onde', 'como', 'por que', 'porquê', 'qual'],
+  exclamationWords: ['uau', 'incrível', 'excelente', 'fantástico', 'ótimo']
+};
@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const os = require('os');
 const { spawn } = require('child_process');
+const { sanitizeFileName } = require('./filenames');
 
 // Keep a global reference of the window object
 let mainWindow;
@@ -59,6 +60,9 @@ function startServer() {
     // Set environment variable to indicate we're in packaged mode
     process.env.ELECTRON_IS_PACKAGED = app.isPackaged ? 'true' : 'false';
     
+    // Folder where the server keeps its config and caches
+    process.env.APP_DATA_PATH = app.getPath('userData');
+    
     // Require the server module directly
     require(serverPath);
     
@@ -102,10 +106,23 @@ ipcMain.handle('get-documents-path', () => {
   return path.join(os.homedir(), 'Documents');
 });
 
-ipcMain.handle('select-folder', async () => {
+ipcMain.handle('select-folder', async (event, title) => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory'],
-    title: 'Seleccionar carpeta de modelos Piper PRO'
+    title: title || 'Seleccionar carpeta de modelos Piper PRO'
+  });
+  
+  if (!result.canceled && result.filePaths.length > 0) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
+ipcMain.handle('select-file', async (event, title, filters) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    title: title || 'Seleccionar archivo',
+    filters: filters || []
   });
   
   if (!result.canceled && result.filePaths.length > 0) {
@@ -114,6 +131,30 @@ ipcMain.handle('select-folder', async () => {
   return null;
 });
 
+ipcMain.handle('select-files', async (event, title, filters) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile', 'multiSelections'],
+    title: title || 'Seleccionar archivos',
+    filters: filters || []
+  });
+  
+  return result.canceled ? [] : result.filePaths;
+});
+
+// Text files (.txt and .md) directly inside a folder, for batch conversion
+ipcMain.handle('list-text-files', async (event, folderPath) => {
+  try {
+    const items = await fs.readdir(folderPath, { withFileTypes: true });
+    return items
+      .filter(item => item.isFile() && ['.txt', '.md'].includes(path.extname(item.name).toLowerCase()))
+      .map(item => ({ name: item.name, path: path.join(folderPath, item.name) }))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  } catch (error) {
+    console.error('Error listing text files:', error);
+    return [];
+  }
+});
+
 ipcMain.handle('check-folder-exists', async (event, folderPath) => {
   try {
     const stats = await fs.stat(folderPath);
@@ -180,7 +221,7 @@ ipcMain.handle('get-piper-path', () => {
   }
 });
 
-ipcMain.handle('get-ffmpeg-path', () => {
+function getFfmpegPath() {
   // In packaged app, resources are in a different location
   if (app.isPackaged) {
     const resourcesPath = process.resourcesPath;
@@ -189,4 +230,165 @@ ipcMain.handle('get-ffmpeg-path', () => {
     const appPath = app.getAppPath();
     return path.join(appPath, 'ffmpeg.exe');
   }
+}
+
+ipcMain.handle('get-ffmpeg-path', () => {
+  return getFfmpegPath();
+});
+
+// Formats offered when exporting audio; codecArgs are used when the file has
+// to be converted from the format it was generated in
+const EXPORT_FORMATS = {
+  mp3: { name: 'MP3', extensions: ['mp3'], mimeType: 'audio/mpeg', codecArgs: ['-codec:a', 'libmp3lame', '-qscale:a', '2'] },
+  wav: { name: 'WAV', extensions: ['wav'], mimeType: 'audio/wav', codecArgs: ['-codec:a', 'pcm_s16le'] },
+  flac: { name: 'FLAC', extensions: ['flac'], mimeType: 'audio/flac', codecArgs: ['-codec:a', 'flac'] },
+  ogg: { name: 'OGG Opus', extensions: ['ogg', 'opus'], mimeType: 'audio/ogg', codecArgs: ['-codec:a', 'libopus', '-b:a', '64k'] },
+  m4a: { name: 'AAC (M4A)', extensions: ['m4a'], mimeType: 'audio/mp4', codecArgs: ['-codec:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'] }
+};
+
+function getFormatFromExtension(filePath) {
+  const extension = path.extname(filePath).substring(1).toLowerCase();
+  return Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format].extensions.includes(extension)) || null;
+}
+
+// Add _1, _2... to the name until the path is free
+async function getAvailablePath(filePath) {
+  const { dir, name, ext } = path.parse(filePath);
+  let candidate = filePath;
+  let counter = 1;
+  
+  while (await fs.pathExists(candidate)) {
+    candidate = path.join(dir, `${name}_${counter}${ext}`);
+    counter++;
+  }
+  
+  return candidate;
+}
+
+function transcodeAudio(inputPath, outputPath, format) {
+  return new Promise((resolve, reject) => {
+    const args = ['-i', inputPath, ...EXPORT_FORMATS[format].codecArgs, '-y', outputPath];
+    const ffmpegProcess = spawn(getFfmpegPath(), args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    
+    let stderr = '';
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0) {
+        resolve(outputPath);
+      } else {
+        reject(new Error(`FFmpeg process failed with code ${code}. Stderr: ${stderr}`));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
+    });
+  });
+}
+
+// Save generated audio (a data URL) to disk.
+// options: { audio, fileName, defaultFolder, skipDialog }
+// With skipDialog and a default folder the file is written there directly;
+// otherwise a save dialog lets the user choose the location and format.
+ipcMain.handle('export-audio', async (event, options = {}) => {
+  try {
+    const match = /^data:([^;]+);base64,/.exec(options.audio || '');
+    if (!match) {
+      return { success: false, error: 'No hay audio para exportar' };
+    }
+    
+    const sourceFormat = Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format].mimeType === match[1]) || 'mp3';
+    const baseName = sanitizeFileName(options.fileName) || 'audio';
+    const defaultFolder = options.defaultFolder && await fs.pathExists(options.defaultFolder)
+      ? options.defaultFolder
+      : path.join(os.homedir(), 'Documents');
+    
+    let filePath;
+    
+    if (options.skipDialog && options.defaultFolder) {
+      filePath = await getAvailablePath(path.join(defaultFolder, `${baseName}.${EXPORT_FORMATS[sourceFormat].extensions[0]}`));
+    } else {
+      // The format the audio was generated in comes first
+      const formats = [sourceFormat, ...Object.keys(EXPORT_FORMATS).filter(format => format !== sourceFormat)];
+      
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Exportar audio',
+        defaultPath: path.join(defaultFolder, `${baseName}.${EXPORT_FORMATS[sourceFormat].extensions[0]}`),
+        filters: formats.map(format => ({ name: EXPORT_FORMATS[format].name, extensions: EXPORT_FORMATS[format].extensions }))
+      });
+      
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      
+      filePath = result.filePath;
+    }
+    
+    let targetFormat = getFormatFromExtension(filePath);
+    if (!targetFormat) {
+      targetFormat = sourceFormat;
+      filePath += `.${EXPORT_FORMATS[sourceFormat].extensions[0]}`;
+    }
+    
+    // Write a data URL in the source format to a file, transcoding it to the target format if needed
+    const writeAudio = async (dataUrl, outputPath) => {
+      const audioBuffer = Buffer.from(dataUrl.substring(dataUrl.indexOf(',') + 1), 'base64');
+      
+      if (targetFormat === sourceFormat) {
+        await fs.writeFile(outputPath, audioBuffer);
+        return;
+      }
+      
+      const tempPath = path.join(os.tmpdir(), `export_${Date.now()}.${EXPORT_FORMATS[sourceFormat].extensions[0]}`);
+      await fs.writeFile(tempPath, audioBuffer);
+      
+      try {
+        await transcodeAudio(tempPath, outputPath, targetFormat);
+      } finally {
+        fs.remove(tempPath).catch(console.error);
+      }
+    };
+    
+    await writeAudio(options.audio, filePath);
+    
+    // Dialogue stems go next to the audio as <name>_<CHARACTER>.<ext>
+    const stemFiles = [];
+    if (options.stems) {
+      const stemBase = filePath.slice(0, -path.extname(filePath).length);
+      
+      for (const [character, stem] of Object.entries(options.stems)) {
+        if (!/^data:[^;]+;base64,/.test(stem || '')) continue;
+        const stemPath = `${stemBase}_${sanitizeFileName(character)}${path.extname(filePath)}`;
+        await writeAudio(stem, stemPath);
+        stemFiles.push(stemPath);
+      }
+    }
+    
+    // Subtitles go next to the audio with the same base name
+    const subtitleFiles = [];
+    if (options.subtitles) {
+      const subtitleBase = filePath.slice(0, -path.extname(filePath).length);
+      const sidecars = {
+        srt: options.subtitles.srt,
+        vtt: options.subtitles.vtt,
+        json: options.subtitles.timings ? JSON.stringify(options.subtitles.timings, null, 2) : null
+      };
+      
+      for (const [extension, content] of Object.entries(sidecars)) {
+        if (!content) continue;
+        const subtitlePath = `${subtitleBase}.${extension}`;
+        await fs.writeFile(subtitlePath, content, 'utf8');
+        subtitleFiles.push(subtitlePath);
+      }
+    }
+    
+    console.log(`Exported audio to ${filePath} (${targetFormat})`);
+    return { success: true, filePath: filePath, format: targetFormat, subtitleFiles: subtitleFiles, stemFiles: stemFiles };
+  } catch (error) {
+    console.error('Error exporting audio:', error);
+    return { success: false, error: error.message };
+  }
 });
@@ -0,0 +1,272 @@
+// Markdown preprocessing for the TTS text pipeline
+// LLM answers and README files arrive as Markdown: without this, asterisks, heading
+// marks, link URLs, table pipes and bullets are read aloud. The Markdown is turned into
+// plain sentences, with inline pause tags (<#0.6#>) around headings, list items and
+// table rows so they get the same breaks a reader would give them.
+
+const MARKDOWN_MODES = ['auto', 'on', 'off'];
+const CODE_POLICIES = ['skip', 'read', 'placeholder'];
+const TABLE_POLICIES = ['read', 'skip'];
+
+const DEFAULT_MARKDOWN_SETTINGS = {
+  mode: 'auto',
+  inlineCode: 'read',
+  codeBlocks: 'skip',
+  tables: 'read'
+};
+
+// Pause lengths in seconds
+const MARKDOWN_PAUSES = {
+  heading: 0.6,
+  listItem: 0.25,
+  tableRow: 0.3,
+  rule: 0.8
+};
+
+// Said in place of code with the 'placeholder' policy
+const CODE_OMITTED_PHRASES = {
+  es: 'código omitido',
+  en: 'code omitted',
+  pt: 'código omitido',
+  de: 'Code ausgelassen'
+};
+
+// Said before a table's rows are read
+const TABLE_PHRASES = {
+  es: 'Tabla',
+  en: 'Table',
+  pt: 'Tabela',
+  de: 'Tabelle'
+};
+
+// Lines and inline syntax that only appear in Markdown
+const MARKDOWN_SIGNALS = [
+  /^#{1,6}\s+\S/m,                  // ATX heading
+  /^(```|~~~)/m,                    // Fenced code
+  /^\s*\|?.*\|.*\n\s*\|?\s*:?-{3,}/m, // Table with separator row
+  /\[[^\]\n]+\]\([^)\s]+\)/,        // Inline link
+  /\*\*[^*\n]+\*\*|__[^_\n]+__/,    // Bold
+  /`[^`\n]+`/,                      // Inline code
+  /^(\s*([-*+]|\d+[.)])\s+\S.*\n){2,}/m // Two or more list items
+];
+
+function normalizeMarkdownSettings(settings = {}) {
+  const options = settings || {};
+  const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+
+  return {
+    mode: pick(options.mode, MARKDOWN_MODES, DEFAULT_MARKDOWN_SETTINGS.mode),
+    inlineCode: pick(options.inlineCode, CODE_POLICIES, DEFAULT_MARKDOWN_SETTINGS.inlineCode),
+    codeBlocks: pick(options.codeBlocks, CODE_POLICIES, DEFAULT_MARKDOWN_SETTINGS.codeBlocks),
+    tables: pick(options.tables, TABLE_POLICIES, DEFAULT_MARKDOWN_SETTINGS.tables)
+  };
+}
+
+function looksLikeMarkdown(text) {
+  return MARKDOWN_SIGNALS.some(pattern => pattern.test(text));
+}
+
+function getPhrase(phrases, languageCode) {
+  const language = String(languageCode || '').split(/[-_]/)[0].toLowerCase();
+  return phrases[language] || phrases.en;
+}
+
+function pauseTag(seconds) {
+  return `<#${seconds}#>`;
+}
+
+// End a block with punctuation so it is split as its own sentence
+function terminate(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return '';
+  return /[.!?…:;]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+// Inline syntax: links, images, emphasis, inline code, HTML and escapes
+function convertInline(text, options, languageCode) {
+  const codeSpans = [];
+  const escaped = [];
+
+  let result = text
+    // Inline code and escaped characters first, so nothing inside them is treated as Markdown
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+      codeSpans.push(code.trim());
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    })
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, (match, character) => {
+      escaped.push(character);
+      return `\u0001${escaped.length - 1}\u0001`;
+    })
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')               // Images: alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')                // Links: link text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')               // Reference links
+    .replace(/\[\^[^\]]+\]/g, '')                           // Footnote references
+    .replace(/<(https?:\/\/[^>\s]+)>/g, (match, url) => {  // Autolinks: the host name
+      try {
+        return new URL(url).hostname.replace(/^www\./, '');
+      } catch (error) {
+        return url;
+      }
+    })
+    .replace(/<\/?[a-zA-Z][^>]*>/g, ' ')                    // HTML tags (inline <#...#> tags are kept)
+    .replace(/(\*\*\*|___)(\S[\s\S]*?\S|\S)\1/g, '$2')
+    .replace(/(\*\*|__)(\S[\s\S]*?\S|\S)\1/g, '$2')
+    .replace(/\*(\S[^*]*?\S|\S)\*/g, '$1')
+    .replace(/(^|[^\p{L}\p{N}_])_(\S[^_]*?\S|\S)_(?![\p{L}\p{N}_])/gu, '$1$2')
+    .replace(/~~(\S[\s\S]*?\S|\S)~~/g, '$1')
+    .replace(/\u0001(\d+)\u0001/g, (match, index) => escaped[parseInt(index, 10)]);
+
+  result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => {
+    switch (options.inlineCode) {
+      case 'skip':
+        return '';
+      case 'placeholder':
+        return getPhrase(CODE_OMITTED_PHRASES, languageCode);
+      default:
+        return codeSpans[parseInt(index, 10)];
+    }
+  });
+
+  return result.replace(/[ \t]{2,}/g, ' ');
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+}
+
+// A table is read row by row as "header: value, header: value"
+function convertTable(lines, options, languageCode) {
+  if (options.tables === 'skip') return '';
+
+  const headers = splitTableRow(lines[0]).map(cell => convertInline(cell, options, languageCode));
+  const rows = lines.slice(2).map(line => splitTableRow(line).map(cell => convertInline(cell, options, languageCode)));
+
+  const readRows = rows.map(cells => terminate(cells
+    .map((cell, i) => headers[i] && cell ? `${headers[i]}: ${cell}` : cell)
+    .filter(Boolean)
+    .join(', ')));
+
+  const pause = pauseTag(MARKDOWN_PAUSES.tableRow);
+  return [
+    `${terminate(getPhrase(TABLE_PHRASES, languageCode))}${pause}`,
+    ...readRows.filter(Boolean).map(row => `${row}${pause}`)
+  ].join('\n');
+}
+
+// Convert Markdown to plain text with pause tags. Returns the text unchanged when
+// the mode is 'off', or 'auto' and the text doesn't look like Markdown.
+function preprocessMarkdown(text, settings = {}, languageCode = 'es') {
+  const options = normalizeMarkdownSettings(settings);
+
+  if (options.mode === 'off' || (options.mode === 'auto' && !looksLikeMarkdown(text))) {
+    return text;
+  }
+
+  const lines = text.replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(convertInline(paragraph.join('\n'), options, languageCode));
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block
+    const fence = /^\s*(```|~~~)/.exec(line);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+
+      if (options.codeBlocks === 'read') {
+        blocks.push(code.map(terminate).filter(Boolean).join('\n'));
+      } else if (options.codeBlocks === 'placeholder') {
+        blocks.push(terminate(getPhrase(CODE_OMITTED_PHRASES, languageCode)));
+      }
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+
+    // Reference link definitions are not read
+    if (/^\s{0,3}\[[^\]]+\]:\s*\S+/.test(line)) continue;
+
+    // ATX heading, or setext heading (a line underlined with === or ---)
+    const heading = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+    const setext = paragraph.length === 0 && i + 1 < lines.length && /^\s{0,3}(=+|-+)\s*$/.test(lines[i + 1]) && !/^\s*([-*+]|\d+[.)])\s/.test(line);
+    if (heading || setext) {
+      flushParagraph();
+      const title = terminate(convertInline(heading ? heading[1] : line, options, languageCode));
+      if (title) {
+        const pause = pauseTag(MARKDOWN_PAUSES.heading);
+        blocks.push(`${pause}${title}${pause}`);
+      }
+      if (setext) i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      blocks.push(pauseTag(MARKDOWN_PAUSES.rule));
+      continue;
+    }
+
+    // Table: header row followed by a separator row
+    if (line.includes('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+      flushParagraph();
+      const tableLines = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      i--;
+      blocks.push(convertTable(tableLines, options, languageCode));
+      continue;
+    }
+
+    // List item, with optional task checkbox
+    const listItem = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(line);
+    if (listItem) {
+      flushParagraph();
+      const item = terminate(convertInline(listItem[1], options, languageCode));
+      if (item) {
+        blocks.push(`${pauseTag(MARKDOWN_PAUSES.listItem)}${item}`);
+      }
+      continue;
+    }
+
+    // Blockquote markers are dropped; the quoted text is read as a paragraph
+    paragraph.push(line.replace(/^\s*(>\s?)+/, ''));
+  }
+
+  flushParagraph();
+
+  const result = blocks.filter(block => block.trim()).join('\n\n');
+  console.log(`[MARKDOWN] Converted ${lines.length} lines (inline code: ${options.inlineCode}, code blocks: ${options.codeBlocks}, tables: ${options.tables})`);
+  return result;
+}
+
+module.exports = {
+  DEFAULT_MARKDOWN_SETTINGS,
+  normalizeMarkdownSettings,
+  looksLikeMarkdown,
+  preprocessMarkdown
+};
@@ -4,16 +4,24 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   getDocumentsPath: () => ipcRenderer.invoke('get-documents-path'),
-  selectFolder: () => ipcRenderer.invoke('select-folder'),
+  selectFolder: (title) => ipcRenderer.invoke('select-folder', title),
+  selectFile: (title, filters) => ipcRenderer.invoke('select-file', title, filters),
+  selectFiles: (title, filters) => ipcRenderer.invoke('select-files', title, filters),
   checkFolderExists: (folderPath) => ipcRenderer.invoke('check-folder-exists', folderPath),
   scanModels: (folderPath) => ipcRenderer.invoke('scan-models', folderPath),
   getAppPath: () => ipcRenderer.invoke('get-app-path'),
   getPiperPath: () => ipcRenderer.invoke('get-piper-path'),
-  getFfmpegPath: () => ipcRenderer.invoke('get-ffmpeg-path')
+  getFfmpegPath: () => ipcRenderer.invoke('get-ffmpeg-path'),
+  exportAudio: (options) => ipcRenderer.invoke('export-audio', options),
+  listTextFiles: (folderPath) => ipcRenderer.invoke('list-text-files', folderPath)
 });
 
 // Expose API for server communication
 contextBridge.exposeInMainWorld('serverAPI', {
+  // settings holds the synthesis settings and settings.output, the format of the
+  // returned audio: { format, bitrateMode, bitrate, vbrQuality, sampleRate, channels }.
+  // settings.subtitles (true or a list of 'srt', 'vtt', 'json') adds subtitles to the response.
+  // settings.dialogue ({ voices, gap, stems }) reads the text as a dialogue script
   convertText: async (text, modelPath, settings) => {
     try {
       const response = await fetch('http://localhost:3000/convert', {
@@ -29,7 +37,8 @@ contextBridge.exposeInMainWorld('serverAPI', {
       });
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
       }
       
       return await response.json();
@@ -39,6 +48,253 @@ contextBridge.exposeInMainWorld('serverAPI', {
     }
   },
   
+  // Streaming conversion: calls onEvent for every newline-delimited JSON event
+  // ('start', 'sentence', 'done' or 'error') as it arrives from the server
+  convertTextStream: async (text, modelPath, settings, onEvent) => {
+    try {
+      const response = await fetch('http://localhost:3000/convert-stream', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          text: text,
+          modelPath: modelPath,
+          settings: settings
+        })
+      });
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.substring(0, newlineIndex).trim();
+          buffer = buffer.substring(newlineIndex + 1);
+          
+          if (line) {
+            onEvent(JSON.parse(line));
+          }
+        }
+      }
+      
+      if (buffer.trim()) {
+        onEvent(JSON.parse(buffer));
+      }
+    } catch (error) {
+      console.error('Error streaming text conversion:', error);
+      throw error;
+    }
+  },
+  
+  createJob: async (text, modelPath, settings) => {
+    try {
+      const response = await fetch('http://localhost:3000/jobs', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          text: text,
+          modelPath: modelPath,
+          settings: settings
+        })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating job:', error);
+      throw error;
+    }
+  },
+  
+  getJob: async (jobId, includeAudio = false) => {
+    try {
+      const query = includeAudio ? '?include=audio' : '';
+      const response = await fetch(`http://localhost:3000/jobs/${jobId}${query}`);
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting job:', error);
+      throw error;
+    }
+  },
+  
+  cancelJob: async (jobId) => {
+    try {
+      const response = await fetch(`http://localhost:3000/jobs/${jobId}`, {
+        method: 'DELETE'
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      throw error;
+    }
+  },
+  
+  // files: [{ name, text | path, modelPath, settings }]; each becomes an audio file in outputFolder
+  createBatch: async (files, outputFolder) => {
+    try {
+      const response = await fetch('http://localhost:3000/batches', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          files: files,
+          outputFolder: outputFolder
+        })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating batch:', error);
+      throw error;
+    }
+  },
+  
+  // Subscribe to model library changes pushed by the server (folders are watched);
+  // callback receives { added, removed, updated, modelCount }
+  onModelsChanged: (callback) => {
+    const events = new EventSource('http://localhost:3000/models/events');
+    events.onmessage = (event) => {
+      const data = JSON.parse(event.data);
+      if (data.type === 'models-changed') callback(data);
+    };
+  },
+  
+  // Validation report of every model config: { reports, summary }
+  validateModels: async () => {
+    try {
+      const response = await fetch('http://localhost:3000/models/validate');
+      return await response.json();
+    } catch (error) {
+      console.error('Error validating models:', error);
+      throw error;
+    }
+  },
+  
+  // Characters of a dialogue script with their number of lines
+  getDialogueCharacters: async (text) => {
+    try {
+      const response = await fetch('http://localhost:3000/dialogue/characters', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ text: text })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error reading dialogue characters:', error);
+      throw error;
+    }
+  },
+  
+  // Synthesize an SRT/WebVTT file onto its timeline; progress is read with getJob
+  createDubbing: async (subtitles, modelPath, settings) => {
+    try {
+      const response = await fetch('http://localhost:3000/dub', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          subtitles: subtitles,
+          modelPath: modelPath,
+          settings: settings
+        })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating dubbing:', error);
+      throw error;
+    }
+  },
+  
+  openEpub: async (epubPath) => {
+    try {
+      const response = await fetch('http://localhost:3000/epub', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ path: epubPath })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error opening EPUB:', error);
+      throw error;
+    }
+  },
+  
+  // options: { bookId, chapters, modelPath, settings, mode: 'chapters' | 'm4b', outputFolder };
+  // progress is read with getBatch
+  createAudiobook: async (options) => {
+    try {
+      const response = await fetch('http://localhost:3000/audiobooks', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(options)
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating audiobook:', error);
+      throw error;
+    }
+  },
+  
+  getBatch: async (batchId) => {
+    try {
+      const response = await fetch(`http://localhost:3000/batches/${batchId}`);
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting batch:', error);
+      throw error;
+    }
+  },
+  
+  retryBatch: async (batchId) => {
+    try {
+      const response = await fetch(`http://localhost:3000/batches/${batchId}/retry`, {
+        method: 'POST'
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error retrying batch:', error);
+      throw error;
+    }
+  },
+  
+  cancelBatch: async (batchId) => {
+    try {
+      const response = await fetch(`http://localhost:3000/batches/${batchId}`, {
+        method: 'DELETE'
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error cancelling batch:', error);
+      throw error;
+    }
+  },
+  
   getModels: async () => {
     try {
       const response = await fetch('http://localhost:3000/models');
@@ -71,5 +327,219 @@ contextBridge.exposeInMainWorld('serverAPI', {
       console.error('Error setting model paths:', error);
       throw error;
     }
+  },
+  
+  // Install models from archives or .onnx/.onnx.json files. The response status is
+  // 'installed', or 'conflict' with the staged install to pass to resolveInstall
+  installModels: async (paths) => {
+    try {
+      const response = await fetch('http://localhost:3000/models/install', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ paths: paths })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error installing models:', error);
+      throw error;
+    }
+  },
+  
+  // resolutions: { [id]: { action: 'keep' | 'replace' | 'rename', newId } }
+  resolveInstall: async (installId, resolutions) => {
+    try {
+      const response = await fetch(`http://localhost:3000/models/install/${installId}/resolve`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ resolutions: resolutions })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error resolving install:', error);
+      throw error;
+    }
+  },
+  
+  cancelInstall: async (installId) => {
+    try {
+      const response = await fetch(`http://localhost:3000/models/install/${installId}`, {
+        method: 'DELETE'
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error cancelling install:', error);
+      throw error;
+    }
+  },
+  
+  uninstallModel: async (modelId) => {
+    try {
+      const response = await fetch(`http://localhost:3000/models/installed/${encodeURIComponent(modelId)}`, {
+        method: 'DELETE'
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error uninstalling model:', error);
+      throw error;
+    }
+  },
+  
+  // Synthesis presets: { presets: [{ name, speaker, noise_scale, length_scale, noise_w }], modelPresets }
+  getPresets: async () => {
+    try {
+      const response = await fetch('http://localhost:3000/presets');
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting presets:', error);
+      throw error;
+    }
+  },
+  
+  savePreset: async (name, values) => {
+    try {
+      const response = await fetch(`http://localhost:3000/presets/${encodeURIComponent(name)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(values)
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error saving preset:', error);
+      throw error;
+    }
+  },
+  
+  deletePreset: async (name) => {
+    try {
+      const response = await fetch(`http://localhost:3000/presets/${encodeURIComponent(name)}`, {
+        method: 'DELETE'
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+      throw error;
+    }
+  },
+  
+  importPresets: async (presets) => {
+    try {
+      const response = await fetch('http://localhost:3000/presets/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ presets })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error importing presets:', error);
+      throw error;
+    }
+  },
+  
+  // Attach a preset to a model as its default; null detaches it
+  setModelPreset: async (modelId, presetName) => {
+    try {
+      const response = await fetch(`http://localhost:3000/models/${encodeURIComponent(modelId)}/preset`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ preset: presetName })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error setting model preset:', error);
+      throw error;
+    }
+  },
+  
+  // Editable modelcard fields: { name, description, language, voiceprompt, image, replacements }
+  getModelcard: async (modelId) => {
+    try {
+      const response = await fetch(`http://localhost:3000/models/${encodeURIComponent(modelId)}/modelcard`);
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting modelcard:', error);
+      throw error;
+    }
+  },
+  
+  // Fields left out of modelcard are not changed; null removes a field
+  saveModelcard: async (modelId, modelcard) => {
+    try {
+      const response = await fetch(`http://localhost:3000/models/${encodeURIComponent(modelId)}/modelcard`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ modelcard })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error saving modelcard:', error);
+      throw error;
+    }
+  },
+  
+  // Model sources: [{ path, enabled, isDefault, status, modelCount, invalidCount }]
+  getModelSources: async () => {
+    try {
+      const response = await fetch('http://localhost:3000/model-sources');
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting model sources:', error);
+      throw error;
+    }
+  },
+  
+  addModelSource: async (folderPath) => {
+    try {
+      const response = await fetch('http://localhost:3000/model-sources', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ path: folderPath })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error adding model source:', error);
+      throw error;
+    }
+  },
+  
+  // Replace the list of sources ([{ path, enabled }] in priority order)
+  updateModelSources: async (sources) => {
+    try {
+      const response = await fetch('http://localhost:3000/model-sources', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ sources })
+      });
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating model sources:', error);
+      throw error;
+    }
   }
 });
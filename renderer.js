@@ -2,8 +2,41 @@
 let availableModels = [];
 let selectedModel = null;
 let isConverting = false;
+let currentJobId = null;
 let currentAudio = null;
 
+// Progressive playback state for streamed sentences
+let audioChunkQueue = [];
+let isStreamingAudio = false;
+let isChunkPlaying = false;
+let pendingFinalAudio = null;
+
+// Last generated audio, kept for exporting
+let lastGeneratedAudio = null;
+
+// Pronunciation dictionary editor state
+let dictionaryEntries = [];
+let currentDictionaryScope = 'user';
+
+// Batch conversion state
+let batchFiles = [];
+let currentBatchId = null;
+let batchPollTimer = null;
+
+// Audiobook (EPUB) state
+let currentBook = null;
+let currentAudiobookBatchId = null;
+let audiobookPollTimer = null;
+
+// Dubbing state
+let dubbingSubtitles = null;
+let currentDubbingJobId = null;
+let dubbingPollTimer = null;
+
+// Dialogue script state: voice of each character, { NAME: { modelId, speaker } }
+let dialogueVoices = {};
+let dialogueRefreshTimer = null;
+
 // DOM elements
 let textInput;
 let modelSelector;
@@ -19,7 +52,10 @@ let folderPathsContainer;
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
   initializeElements();
+  // Presets first, so a model selected while loading gets its default preset
+  await loadPresets();
   await loadModels();
+  window.serverAPI.onModelsChanged(handleModelsChanged);
   setupEventListeners();
   await loadSettings();
   autoResizeTextarea(); // Resize on load if there's saved text
@@ -42,6 +78,16 @@ function setupEventListeners() {
   // Generate button
   generateBtn.addEventListener('click', handleGenerate);
 
+  // Cancel the running conversion
+  document.getElementById('cancel-btn').addEventListener('click', cancelGeneration);
+
+  // Play the next streamed sentence when the current one finishes
+  audioPlayer.addEventListener('ended', playNextAudioChunk);
+  
+  // Export
+  document.getElementById('export-btn').addEventListener('click', exportAudio);
+  document.getElementById('select-export-folder-btn').addEventListener('click', selectExportFolder);
+
   // Model search
   modelSearch.addEventListener('input', filterModels);
   
@@ -57,6 +103,89 @@ function setupEventListeners() {
   // Rescan models button
   document.getElementById('rescan-btn').addEventListener('click', rescanModels);
   
+  // Model diagnostics
+  document.getElementById('diagnostics-btn').addEventListener('click', openModelDiagnostics);
+  document.getElementById('diagnostics-refresh-btn').addEventListener('click', loadModelDiagnostics);
+  document.getElementById('close-diagnostics').addEventListener('click', () => {
+    document.getElementById('diagnostics-modal').classList.add('hidden');
+  });
+  
+  // Synthesis presets
+  document.getElementById('preset-setting').addEventListener('change', (event) => {
+    const preset = findPreset(event.target.value);
+    if (preset) {
+      applyPresetValues(preset);
+      document.getElementById('preset-name').value = preset.name;
+    }
+    updatePresetControls();
+  });
+  document.getElementById('preset-save-btn').addEventListener('click', savePreset);
+  document.getElementById('preset-delete-btn').addEventListener('click', deletePreset);
+  document.getElementById('preset-model-default').addEventListener('change', setModelDefaultPreset);
+  document.getElementById('preset-export-btn').addEventListener('click', exportPresets);
+  document.getElementById('preset-import-btn').addEventListener('click', () => {
+    document.getElementById('preset-import-input').click();
+  });
+  document.getElementById('preset-import-input').addEventListener('change', importPresets);
+  // Values edited by hand no longer match the selected preset
+  PRESET_INPUTS.forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      document.getElementById('preset-setting').value = '';
+      updatePresetControls();
+    });
+  });
+  
+  // Model card editor
+  document.getElementById('close-modelcard').addEventListener('click', () => {
+    document.getElementById('modelcard-modal').classList.add('hidden');
+  });
+  document.getElementById('modelcard-image-upload-btn').addEventListener('click', () => {
+    document.getElementById('modelcard-image-input').click();
+  });
+  document.getElementById('modelcard-image-input').addEventListener('change', async (event) => {
+    if (event.target.files[0]) {
+      await loadModelcardImage(event.target.files[0]);
+    }
+    event.target.value = '';
+  });
+  document.getElementById('modelcard-image-remove-btn').addEventListener('click', removeModelcardImage);
+  ['modelcard-image-zoom', 'modelcard-image-x', 'modelcard-image-y'].forEach(id => {
+    document.getElementById(id).addEventListener('input', () => {
+      modelcardImage.changed = true;
+      drawModelcardImage();
+    });
+  });
+  document.getElementById('modelcard-add-replacement-btn').addEventListener('click', () => {
+    modelcardReplacements.push({ find: '', replace: '', options: null });
+    modelcardReplacementsChanged = true;
+    renderModelcardReplacements();
+  });
+  document.getElementById('modelcard-save-btn').addEventListener('click', saveModelcard);
+  
+  // Model install from archives or .onnx + .onnx.json pairs
+  const installDropZone = document.getElementById('install-drop-zone');
+  document.getElementById('install-model-btn').addEventListener('click', openInstallModal);
+  document.getElementById('close-install').addEventListener('click', () => {
+    document.getElementById('install-modal').classList.add('hidden');
+  });
+  document.getElementById('install-select-btn').addEventListener('click', selectInstallFiles);
+  document.getElementById('install-resolve-btn').addEventListener('click', resolveInstall);
+  document.getElementById('install-cancel-btn').addEventListener('click', cancelInstall);
+  [installDropZone, modelList].forEach(zone => {
+    zone.addEventListener('dragover', (event) => {
+      if (!event.dataTransfer.types.includes('Files')) return;
+      event.preventDefault();
+      zone.classList.add('drag-over');
+    });
+    zone.addEventListener('dragleave', () => zone.classList.remove('drag-over'));
+    zone.addEventListener('drop', async (event) => {
+      if (event.dataTransfer.files.length === 0) return;
+      event.preventDefault();
+      zone.classList.remove('drag-over');
+      await dropInstallFiles(event.dataTransfer.files);
+    });
+  });
+  
   // Close settings
   document.getElementById('close-settings').addEventListener('click', () => {
     settingsPanel.classList.add('hidden');
@@ -82,10 +211,107 @@ function setupEventListeners() {
     maxThreadsInput.addEventListener('change', saveThreadSettings);
   }
   
+  // Dictionary editor
+  document.getElementById('open-dictionary-btn').addEventListener('click', openDictionaryEditor);
+  document.getElementById('close-dictionary').addEventListener('click', () => {
+    document.getElementById('dictionary-modal').classList.add('hidden');
+  });
+  document.getElementById('dictionary-scope').addEventListener('change', (event) => {
+    loadDictionary(event.target.value);
+  });
+  document.getElementById('dictionary-add-btn').addEventListener('click', addDictionaryEntry);
+  document.getElementById('dictionary-save-btn').addEventListener('click', saveDictionary);
+  document.getElementById('dictionary-export-btn').addEventListener('click', exportDictionary);
+  document.getElementById('dictionary-import-btn').addEventListener('click', () => {
+    document.getElementById('dictionary-import-input').click();
+  });
+  document.getElementById('dictionary-import-input').addEventListener('change', importDictionary);
+  document.getElementById('dictionary-test-btn').addEventListener('click', testDictionary);
+  
+  // Batch conversion
+  const batchDropZone = document.getElementById('batch-drop-zone');
+  document.getElementById('batch-btn').addEventListener('click', openBatchModal);
+  document.getElementById('close-batch').addEventListener('click', () => {
+    document.getElementById('batch-modal').classList.add('hidden');
+  });
+  document.getElementById('batch-add-files-btn').addEventListener('click', () => {
+    document.getElementById('batch-file-input').click();
+  });
+  document.getElementById('batch-file-input').addEventListener('change', async (event) => {
+    await addBatchFiles(event.target.files);
+    event.target.value = '';
+  });
+  document.getElementById('batch-add-folder-btn').addEventListener('click', addBatchFolder);
+  document.getElementById('batch-clear-btn').addEventListener('click', clearBatchFiles);
+  document.getElementById('batch-start-btn').addEventListener('click', startBatch);
+  document.getElementById('batch-retry-btn').addEventListener('click', retryBatch);
+  document.getElementById('batch-cancel-btn').addEventListener('click', cancelBatch);
+  batchDropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    batchDropZone.classList.add('drag-over');
+  });
+  batchDropZone.addEventListener('dragleave', () => batchDropZone.classList.remove('drag-over'));
+  batchDropZone.addEventListener('drop', async (event) => {
+    event.preventDefault();
+    batchDropZone.classList.remove('drag-over');
+    await addBatchFiles(event.dataTransfer.files);
+  });
+  
+  // Audiobooks from EPUB
+  document.getElementById('audiobook-btn').addEventListener('click', () => {
+    document.getElementById('audiobook-modal').classList.remove('hidden');
+    renderAudiobookChapters();
+  });
+  document.getElementById('close-audiobook').addEventListener('click', () => {
+    document.getElementById('audiobook-modal').classList.add('hidden');
+  });
+  document.getElementById('audiobook-open-btn').addEventListener('click', openEpubFile);
+  document.getElementById('audiobook-toggle-btn').addEventListener('click', toggleAllChapters);
+  document.getElementById('audiobook-start-btn').addEventListener('click', startAudiobook);
+  document.getElementById('audiobook-retry-btn').addEventListener('click', retryAudiobook);
+  document.getElementById('audiobook-cancel-btn').addEventListener('click', cancelAudiobook);
+  
+  // Dubbing from SRT/VTT
+  document.getElementById('dub-btn').addEventListener('click', () => {
+    document.getElementById('dub-modal').classList.remove('hidden');
+    updateDubbingControls();
+  });
+  document.getElementById('close-dub').addEventListener('click', () => {
+    document.getElementById('dub-modal').classList.add('hidden');
+  });
+  document.getElementById('dub-select-btn').addEventListener('click', () => {
+    document.getElementById('dub-file-input').click();
+  });
+  document.getElementById('dub-file-input').addEventListener('change', loadDubbingFile);
+  document.getElementById('dub-start-btn').addEventListener('click', startDubbing);
+  document.getElementById('dub-cancel-btn').addEventListener('click', cancelDubbing);
+  
+  // Dialogue scripts
+  document.getElementById('dialogue-enabled-setting').addEventListener('change', () => {
+    saveDialogueSettings();
+    updateDialoguePanel();
+  });
+  document.getElementById('dialogue-gap-setting').addEventListener('change', saveDialogueSettings);
+  document.getElementById('dialogue-stems-setting').addEventListener('change', saveDialogueSettings);
+  document.getElementById('dialogue-save-btn').addEventListener('click', saveDialogueScript);
+  document.getElementById('dialogue-open-btn').addEventListener('click', () => {
+    document.getElementById('dialogue-file-input').click();
+  });
+  document.getElementById('dialogue-file-input').addEventListener('change', openDialogueScript);
+  
+  // Speaker preview
+  document.getElementById('speaker-preview-btn').addEventListener('click', previewSpeaker);
+  
+  // Cache settings
+  document.getElementById('cache-enabled-setting').addEventListener('change', saveCacheSettings);
+  document.getElementById('cache-size-setting').addEventListener('change', saveCacheSettings);
+  document.getElementById('clear-cache-btn').addEventListener('click', clearCache);
+  
   // Text input auto-save, auto-resize, and paste handling
   textInput.addEventListener('input', () => {
     saveTextToStorage();
     autoResizeTextarea();
+    scheduleDialogueRefresh();
   });
 
   textInput.addEventListener('paste', handlePaste);
@@ -126,6 +352,46 @@ async function loadModels() {
   }
 }
 
+// The server watches the model folders and pushes changes; the list is refreshed in
+// place, keeping the selected model when it still exists
+async function handleModelsChanged(change) {
+  try {
+    const response = await window.serverAPI.getModels();
+    if (!response.success) return;
+    
+    availableModels = response.models;
+    renderModels();
+    updateModelCount();
+    
+    if (selectedModel) {
+      const model = availableModels.find(m => m.onnxPath === selectedModel.onnxPath);
+      if (model) {
+        selectModel(model);
+      } else {
+        selectedModel = null;
+        generateBtn.disabled = true;
+        generateBtn.querySelector('span').textContent = 'Selecciona un modelo primero';
+        document.getElementById('selected-model').innerHTML = `
+          <div class="selected-model-placeholder"><i class="fas fa-robot"></i></div>
+          <div>
+            <div class="selected-model-name">Ningún modelo seleccionado</div>
+            <div class="selected-model-language">Selecciona un modelo de la lista</div>
+          </div>
+        `;
+        showNotification('El modelo seleccionado ya no está disponible');
+      }
+    }
+    
+    const parts = [];
+    if (change.added.length > 0) parts.push(`${change.added.length} ${change.added.length === 1 ? 'nuevo' : 'nuevos'}`);
+    if (change.removed.length > 0) parts.push(`${change.removed.length} ${change.removed.length === 1 ? 'eliminado' : 'eliminados'}`);
+    if (change.updated.length > 0) parts.push(`${change.updated.length} ${change.updated.length === 1 ? 'actualizado' : 'actualizados'}`);
+    showNotification(`Modelos: ${parts.join(', ')}`);
+  } catch (error) {
+    console.error('Error refreshing models:', error);
+  }
+}
+
 function renderModels() {
   if (!modelList) return;
   
@@ -177,12 +443,32 @@ function createModelCard(model) {
         </span>
         <span class="model-source">
           <i class="fas fa-folder"></i>
-          ${getSourceName(model.source)}
+          ${getSourceName(model.source)}${model.folder ? `/${model.folder.replace(/\\/g, '/')}` : ''}
         </span>
       </div>
     </div>
   `;
   
+  // Usable models with configuration warnings
+  const issues = model.validation ? model.validation.issues : [];
+  if (issues.length > 0) {
+    const warning = document.createElement('span');
+    warning.className = 'model-warning';
+    warning.title = issues.map(issue => issue.message).join('\n');
+    warning.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${issues.length} ${issues.length === 1 ? 'aviso' : 'avisos'}`;
+    card.querySelector('.model-meta').appendChild(warning);
+  }
+  
+  const editBtn = document.createElement('button');
+  editBtn.className = 'icon-btn model-edit-btn';
+  editBtn.title = 'Editar tarjeta del modelo';
+  editBtn.innerHTML = '<i class="fas fa-pen"></i>';
+  editBtn.addEventListener('click', (event) => {
+    event.stopPropagation();
+    openModelcardEditor(model);
+  });
+  card.appendChild(editBtn);
+  
   card.addEventListener('click', () => selectModel(model));
   
   return card;
@@ -194,6 +480,7 @@ function getSourceName(sourcePath) {
 }
 
 function selectModel(model) {
+  const modelChanged = !selectedModel || selectedModel.onnxPath !== model.onnxPath;
   selectedModel = model;
   
   // Update UI
@@ -225,11 +512,84 @@ function selectModel(model) {
     `;
   }
   
+  renderSpeakerOptions(model);
+  
+  // Switching to a model with a default preset applies it
+  if (modelChanged && modelPresets[model.id]) {
+    const preset = findPreset(modelPresets[model.id]);
+    if (preset) {
+      applyPresetValues(preset);
+      document.getElementById('preset-setting').value = preset.name;
+    }
+  }
+  updatePresetControls();
+  
+  // Characters without a voice of their own use the selected model's speakers
+  if (isDialogueEnabled()) {
+    refreshDialogueCharacters();
+  }
+  
   // Enable generate button
   generateBtn.disabled = false;
   generateBtn.querySelector('span').textContent = 'Generar Audio';
 }
 
+// Sample sentence for speaker previews, by language code
+const SPEAKER_PREVIEW_TEXTS = {
+  es: 'Hola, esta es una muestra de mi voz.',
+  en: 'Hello, this is a sample of my voice.',
+  pt: 'Olá, esta é uma amostra da minha voz.',
+  de: 'Hallo, das ist eine Probe meiner Stimme.'
+};
+
+let speakerPreviewAudio = null;
+
+// Fill the speaker dropdown with the model's speakers, keeping the current (or saved)
+// speaker when the model has it
+function renderSpeakerOptions(model) {
+  const select = document.getElementById('speaker-setting');
+  const savedSpeaker = JSON.parse(localStorage.getItem('tts-settings') || '{}').speaker;
+  const previous = select.disabled ? String(savedSpeaker || '0') : select.value;
+  const speakers = model.speakers && model.speakers.length > 0 ? model.speakers : [{ id: 0, name: null }];
+  
+  select.innerHTML = '';
+  speakers.forEach(speaker => {
+    const option = document.createElement('option');
+    option.value = String(speaker.id);
+    option.textContent = speaker.name ? `${speaker.name} (${speaker.id})` : `Hablante ${speaker.id}`;
+    select.appendChild(option);
+  });
+  
+  select.value = speakers.some(speaker => String(speaker.id) === previous) ? previous : '0';
+  select.disabled = speakers.length <= 1;
+  document.getElementById('speaker-preview-btn').disabled = false;
+  document.getElementById('speaker-info').textContent = speakers.length > 1
+    ? `${speakers.length} hablantes en este modelo`
+    : 'Modelo de un solo hablante';
+}
+
+async function previewSpeaker() {
+  if (!selectedModel) return;
+  
+  const previewBtn = document.getElementById('speaker-preview-btn');
+  const text = SPEAKER_PREVIEW_TEXTS[selectedModel.languageCode] || SPEAKER_PREVIEW_TEXTS.en;
+  const settings = { ...getAudioSettings(), subtitles: false };
+  
+  try {
+    previewBtn.disabled = true;
+    const response = await window.serverAPI.convertText(text, selectedModel.onnxPath, settings);
+    
+    if (speakerPreviewAudio) speakerPreviewAudio.pause();
+    speakerPreviewAudio = new Audio(response.audio);
+    speakerPreviewAudio.play().catch(error => console.log('Preview playback prevented:', error));
+  } catch (error) {
+    console.error('Error previewing speaker:', error);
+    showError('Error al generar la muestra: ' + error.message);
+  } finally {
+    previewBtn.disabled = false;
+  }
+}
+
 function filterModels() {
   const searchTerm = modelSearch.value.toLowerCase();
   const modelCards = document.querySelectorAll('.model-card');
@@ -406,40 +766,207 @@ async function handleGenerate() {
     showProgress('Generando audio...');
     
     const settings = getAudioSettings();
+    if (isDialogueEnabled()) {
+      settings.dialogue = getDialogueSettings();
+    }
+    let streamError = null;
     
-    const response = await window.serverAPI.convertText(text, selectedModel.onnxPath, settings);
+    startProgressivePlayback();
     
-    if (response.success) {
-      displayAudio(response.audio);
-      showSuccess(`Audio generado exitosamente (${response.sentenceCount} oraciones)`);
-    } else {
-      showError('Error al generar audio: ' + response.error);
+    await window.serverAPI.convertTextStream(text, selectedModel.onnxPath, settings, (event) => {
+      if (event.type === 'start') {
+        currentJobId = event.jobId;
+        showProgress(`Generando audio... (0/${event.total})`);
+        updateGenerateProgress(0, event.total);
+      } else if (event.type === 'progress') {
+        updateGenerateProgress(event.completed, event.total);
+      } else if (event.type === 'sentence') {
+        // Playback starts with the first sentence, so the overlay is no longer needed
+        hideProgress();
+        displayAudioChunk(event.audio);
+      } else if (event.type === 'done') {
+        finishProgressivePlayback(event.audio);
+        setLastGeneratedAudio(event.audio, event.format, selectedModel, text, event.subtitles, event.stems);
+        showSuccess(`Audio generado exitosamente (${event.sentenceCount} oraciones)`);
+      } else if (event.type === 'cancelled') {
+        stopProgressivePlayback();
+        showNotification('Generación cancelada');
+      } else if (event.type === 'error') {
+        streamError = event.error;
+      }
+    });
+    
+    if (streamError) {
+      stopProgressivePlayback();
+      showError('Error al generar audio: ' + streamError);
     }
   } catch (error) {
     console.error('Error generating audio:', error);
+    stopProgressivePlayback();
     showError('Error de conexión al generar audio');
   } finally {
     isConverting = false;
+    currentJobId = null;
     updateGenerateButton(false);
     hideProgress();
   }
 }
 
+function setLastGeneratedAudio(audio, format, model, text, subtitles = null, stems = null) {
+  lastGeneratedAudio = {
+    audio: audio,
+    format: format,
+    subtitles: subtitles,
+    stems: stems,
+    modelName: model ? model.name : '',
+    text: text,
+    createdAt: new Date()
+  };
+  document.getElementById('export-btn').disabled = false;
+}
+
+// Build a file name (without extension) from a template such as
+// {model}_{date}_{first-words}
+function buildExportFileName(template, audioInfo) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const date = audioInfo.createdAt;
+  const firstWords = audioInfo.text
+    .replace(/<[^>]*>/g, ' ') // Inline tags and SSML markup
+    .split(/\s+/)
+    .map(word => word.replace(/[^\p{L}\p{N}-]/gu, ''))
+    .filter(Boolean)
+    .slice(0, 5)
+    .join('-');
+  
+  const values = {
+    model: audioInfo.modelName,
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+    'first-words': firstWords
+  };
+  
+  return (template || '{model}_{date}_{first-words}')
+    .replace(/\{([\w-]+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match)
+    .replace(/[<>:"/\\|?*]/g, '')
+    .replace(/\s+/g, '_');
+}
+
+function getExportSettings() {
+  return {
+    folder: document.getElementById('export-folder-setting')?.value || '',
+    template: document.getElementById('filename-template-setting')?.value || '{model}_{date}_{first-words}',
+    skipDialog: document.getElementById('export-skip-dialog-setting')?.checked || false,
+    subtitles: document.getElementById('export-subtitles-setting')?.checked || false
+  };
+}
+
+async function exportAudio() {
+  if (!lastGeneratedAudio) {
+    showError('Genera un audio antes de exportar');
+    return;
+  }
+  
+  const exportSettings = getExportSettings();
+  
+  try {
+    const result = await window.electronAPI.exportAudio({
+      audio: lastGeneratedAudio.audio,
+      subtitles: lastGeneratedAudio.subtitles,
+      stems: lastGeneratedAudio.stems,
+      fileName: buildExportFileName(exportSettings.template, lastGeneratedAudio),
+      defaultFolder: exportSettings.folder,
+      skipDialog: exportSettings.skipDialog
+    });
+    
+    if (result.success) {
+      const stemNote = result.stemFiles && result.stemFiles.length > 0 ? ` (y ${result.stemFiles.length} pistas de personajes)` : '';
+      showSuccess(`Audio guardado en ${result.filePath}${stemNote}`);
+    } else if (!result.canceled) {
+      showError('Error al exportar audio: ' + result.error);
+    }
+  } catch (error) {
+    console.error('Error exporting audio:', error);
+    showError('Error al exportar audio');
+  }
+}
+
+async function selectExportFolder() {
+  const folderPath = await window.electronAPI.selectFolder('Seleccionar carpeta de salida');
+  if (folderPath) {
+    document.getElementById('export-folder-setting').value = folderPath;
+    saveSettings();
+  }
+}
+
+async function cancelGeneration() {
+  if (!currentJobId) return;
+  
+  try {
+    const response = await window.serverAPI.cancelJob(currentJobId);
+    if (!response.success) {
+      showError('No se pudo cancelar: ' + response.error);
+    }
+  } catch (error) {
+    console.error('Error cancelling generation:', error);
+    showError('Error de conexión al cancelar la generación');
+  }
+}
+
 function getAudioSettings() {
   return {
     speaker: parseInt(document.getElementById('speaker-setting')?.value || '0'),
     noise_scale: parseFloat(document.getElementById('noise-scale-setting')?.value || '0.667'),
     length_scale: parseFloat(document.getElementById('length-scale-setting')?.value || '1.0'),
-    noise_w: parseFloat(document.getElementById('noise-w-setting')?.value || '0.8')
+    noise_w: parseFloat(document.getElementById('noise-w-setting')?.value || '0.8'),
+    output: getOutputSettings(),
+    subtitles: getExportSettings().subtitles,
+    markdown: getMarkdownSettings()
+  };
+}
+
+// How Markdown in the text is read
+function getMarkdownSettings() {
+  return {
+    mode: document.getElementById('markdown-mode-setting')?.value || 'auto',
+    inlineCode: document.getElementById('markdown-inline-code-setting')?.value || 'read',
+    codeBlocks: document.getElementById('markdown-code-blocks-setting')?.value || 'skip',
+    tables: document.getElementById('markdown-tables-setting')?.value || 'read'
+  };
+}
+
+// Format and encoding of the final audio
+function getOutputSettings() {
+  const sampleRate = document.getElementById('output-sample-rate-setting')?.value;
+  
+  return {
+    format: document.getElementById('output-format-setting')?.value || 'mp3',
+    bitrateMode: document.getElementById('bitrate-mode-setting')?.value || 'vbr',
+    bitrate: parseInt(document.getElementById('bitrate-setting')?.value || '192'),
+    vbrQuality: parseInt(document.getElementById('vbr-quality-setting')?.value || '2'),
+    sampleRate: sampleRate ? parseInt(sampleRate) : null,
+    channels: parseInt(document.getElementById('channels-setting')?.value || '1')
   };
 }
 
+// Only show the encoding options that apply to the selected format
+function updateOutputFormatFields() {
+  const format = document.getElementById('output-format-setting').value;
+  const bitrateMode = document.getElementById('bitrate-mode-setting').value;
+  
+  document.getElementById('bitrate-mode-item').classList.toggle('hidden', format !== 'mp3');
+  document.getElementById('vbr-quality-item').classList.toggle('hidden', format !== 'mp3' || bitrateMode !== 'vbr');
+  document.getElementById('bitrate-item').classList.toggle('hidden',
+    !['mp3', 'ogg', 'm4a'].includes(format) || (format === 'mp3' && bitrateMode !== 'cbr'));
+}
+
 function displayAudio(audioData) {
   if (currentAudio) {
     currentAudio.pause();
     currentAudio = null;
   }
   
+  stopProgressivePlayback();
+  
   audioPlayer.src = audioData;
   audioContainer.classList.remove('hidden');
   
@@ -451,19 +978,109 @@ function displayAudio(audioData) {
   });
 }
 
+// Reset the player so streamed sentences can be queued as they arrive
+function startProgressivePlayback() {
+  if (currentAudio) {
+    currentAudio.pause();
+    currentAudio = null;
+  }
+  
+  audioChunkQueue = [];
+  pendingFinalAudio = null;
+  isChunkPlaying = false;
+  isStreamingAudio = true;
+  
+  audioPlayer.removeAttribute('src');
+  audioPlayer.load();
+  audioContainer.classList.remove('hidden');
+  
+  currentAudio = audioPlayer;
+}
+
+// Queue a streamed sentence and start playing it if nothing else is playing
+function displayAudioChunk(audioData) {
+  if (!isStreamingAudio) return;
+  
+  audioChunkQueue.push(audioData);
+  
+  if (!isChunkPlaying) {
+    playNextAudioChunk();
+  }
+}
+
+// Once the stream is done, the full file replaces the sentence chunks after the last one plays
+function finishProgressivePlayback(finalAudio) {
+  if (!isStreamingAudio) return;
+  
+  pendingFinalAudio = finalAudio;
+  
+  if (!isChunkPlaying) {
+    playNextAudioChunk();
+  }
+}
+
+function stopProgressivePlayback() {
+  isStreamingAudio = false;
+  isChunkPlaying = false;
+  audioChunkQueue = [];
+  pendingFinalAudio = null;
+}
+
+function playNextAudioChunk() {
+  if (!isStreamingAudio) return;
+  
+  if (audioChunkQueue.length > 0) {
+    isChunkPlaying = true;
+    audioPlayer.src = audioChunkQueue.shift();
+    audioPlayer.play().catch(error => {
+      console.log('Auto-play prevented:', error);
+      isChunkPlaying = false;
+    });
+  } else {
+    isChunkPlaying = false;
+    
+    if (pendingFinalAudio) {
+      // All sentences have been played, load the complete file for replay
+      const finalAudio = pendingFinalAudio;
+      stopProgressivePlayback();
+      audioPlayer.src = finalAudio;
+    }
+  }
+}
+
+function updateGenerateProgress(completed, total) {
+  const label = generateBtn.querySelector('span');
+  if (label) {
+    label.textContent = `Generando... (${completed}/${total})`;
+  }
+  
+  const progressBar = document.getElementById('generation-progress-bar');
+  if (progressBar) {
+    progressBar.style.width = total > 0 ? `${Math.round((completed / total) * 100)}%` : '0%';
+  }
+}
+
 function updateGenerateButton(loading) {
+  const cancelBtn = document.getElementById('cancel-btn');
+  const generationProgress = document.getElementById('generation-progress');
+  
   if (loading) {
     generateBtn.innerHTML = `
       <div class="loading-spinner"></div>
       <span>Generando...</span>
     `;
     generateBtn.disabled = true;
+    cancelBtn.classList.remove('hidden');
+    generationProgress.classList.remove('hidden');
+    updateGenerateProgress(0, 0);
   } else {
     generateBtn.innerHTML = `
       <i class="fas fa-play"></i>
       <span>Generar Audio</span>
     `;
     generateBtn.disabled = !selectedModel;
+    cancelBtn.classList.add('hidden');
+    generationProgress.classList.add('hidden');
   }
 }
 
@@ -530,58 +1147,142 @@ function toggleSettings() {
   settingsPanel.classList.toggle('hidden');
   if (!settingsPanel.classList.contains('hidden')) {
     loadFolderPaths();
+    loadCacheStats();
   }
 }
 
+// Model sources: folders scanned for models, in priority order
+const SOURCE_STATUS_LABELS = {
+  available: 'Disponible',
+  missing: 'No encontrada',
+  disabled: 'Desactivada'
+};
+
+let modelSources = [];
+
 async function loadFolderPaths() {
   try {
-    const documentsPath = await window.electronAPI.getDocumentsPath();
-    const onnxTtsPath = `${documentsPath}\\ONNX-TTS`;
-    
+    const response = await window.serverAPI.getModelSources();
+    if (response.success) {
+      modelSources = response.sources;
+      renderModelSources();
+    } else {
+      showError('Error al cargar carpetas de modelos: ' + response.error);
+    }
+  } catch (error) {
+    console.error('Error loading folder paths:', error);
+  }
+}
+
+function renderModelSources() {
+  folderPathsContainer.innerHTML = '';
+  
+  if (modelSources.length === 0) {
     folderPathsContainer.innerHTML = `
       <div class="folder-path-item">
-        <div class="folder-info">
-          <i class="fas fa-folder"></i>
-          <span>${onnxTtsPath}</span>
-          <span class="folder-status" id="status-default">Verificando...</span>
-        </div>
+        <div class="folder-info"><span>No hay carpetas de modelos</span></div>
       </div>
     `;
+    return;
+  }
+  
+  modelSources.forEach((source, index) => {
+    const item = document.createElement('div');
+    item.className = 'folder-path-item';
+    
+    const info = document.createElement('div');
+    info.className = 'folder-info';
+    
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = source.enabled;
+    enabled.title = source.enabled ? 'Desactivar carpeta' : 'Activar carpeta';
+    enabled.addEventListener('change', () => {
+      source.enabled = enabled.checked;
+      saveModelSources();
+    });
+    
+    const name = document.createElement('span');
+    name.className = 'folder-name';
+    name.textContent = source.isDefault ? `${source.path} (predeterminada)` : source.path;
+    name.title = source.path;
+    
+    const status = document.createElement('span');
+    status.className = `folder-status status-${source.status}`;
+    status.textContent = SOURCE_STATUS_LABELS[source.status];
+    if (source.status === 'available') {
+      status.textContent += ` · ${source.modelCount} ${source.modelCount === 1 ? 'modelo' : 'modelos'}`;
+      if (source.invalidCount > 0) status.textContent += ` · ${source.invalidCount} con errores`;
+    }
+    
+    info.append(enabled, name, status);
     
-    // Check if default folder exists
-    const exists = await window.electronAPI.checkFolderExists(onnxTtsPath);
-    const statusElement = document.getElementById('status-default');
+    const actions = document.createElement('div');
+    actions.className = 'folder-actions';
     
-    if (exists) {
-      statusElement.textContent = 'Disponible';
-      statusElement.className = 'folder-status status-available';
+    const addAction = (icon, title, disabled, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'btn-secondary';
+      button.title = title;
+      button.innerHTML = `<i class="fas ${icon}"></i>`;
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    };
+    
+    addAction('fa-arrow-up', 'Subir prioridad', index === 0, () => moveModelSource(index, -1));
+    addAction('fa-arrow-down', 'Bajar prioridad', index === modelSources.length - 1, () => moveModelSource(index, 1));
+    addAction('fa-trash', 'Quitar carpeta', false, () => {
+      modelSources.splice(index, 1);
+      saveModelSources();
+    });
+    
+    item.append(info, actions);
+    folderPathsContainer.appendChild(item);
+  });
+}
+
+function moveModelSource(index, offset) {
+  const [source] = modelSources.splice(index, 1);
+  modelSources.splice(index + offset, 0, source);
+  saveModelSources();
+}
+
+// Send the edited list to the server, which persists it and rescans
+async function saveModelSources() {
+  try {
+    const response = await window.serverAPI.updateModelSources(
+      modelSources.map(source => ({ path: source.path, enabled: source.enabled }))
+    );
+    
+    if (response.success) {
+      modelSources = response.sources;
+      renderModelSources();
+      await loadModels();
     } else {
-      statusElement.textContent = 'No encontrada';
-      statusElement.className = 'folder-status status-missing';
+      showError('Error al guardar carpetas de modelos: ' + response.error);
+      loadFolderPaths();
     }
   } catch (error) {
-    console.error('Error loading folder paths:', error);
+    console.error('Error saving model sources:', error);
+    showError('Error de conexión al guardar carpetas de modelos');
   }
 }
 
 async function addModelFolder() {
   try {
     const folderPath = await window.electronAPI.selectFolder();
+    if (!folderPath) return;
     
-    if (folderPath) {
-      // Add to server
-      const currentPaths = [folderPath];
-      const documentsPath = await window.electronAPI.getDocumentsPath();
-      const onnxTtsPath = `${documentsPath}\\ONNX-TTS`;
-      currentPaths.push(onnxTtsPath);
-      
-      await window.serverAPI.setModelPaths(currentPaths);
-      
-      // Reload models
+    const response = await window.serverAPI.addModelSource(folderPath);
+    
+    if (response.success) {
+      modelSources = response.sources;
+      renderModelSources();
       await loadModels();
-      loadFolderPaths();
-      
       showSuccess('Carpeta de modelos agregada exitosamente');
+    } else {
+      showError('Error al agregar carpeta de modelos: ' + response.error);
     }
   } catch (error) {
     console.error('Error adding model folder:', error);
@@ -598,7 +1299,11 @@ async function rescanModels() {
     
     if (data.success) {
       await loadModels();
-      showSuccess(`Modelos reescaneados: ${data.modelCount} encontrados`);
+      if (data.invalidCount > 0) {
+        showError(`Modelos reescaneados: ${data.modelCount} encontrados, ${data.invalidCount} con errores (ver Diagnóstico)`);
+      } else {
+        showSuccess(`Modelos reescaneados: ${data.modelCount} encontrados`);
+      }
     } else {
       showError('Error al reescanear modelos: ' + data.error);
     }
@@ -610,160 +1315,2091 @@ async function rescanModels() {
   }
 }
 
-function updateModelCount() {
-  const countElement = document.getElementById('model-count');
-  if (countElement) {
-    countElement.textContent = `${availableModels.length} modelos disponibles`;
-  }
+// Model diagnostics: validation report of every model config, including broken ones
+const DIAGNOSTICS_STATUS = {
+  ok: { icon: 'fa-check-circle', label: 'Correcto' },
+  warning: { icon: 'fa-exclamation-triangle', label: 'Avisos' },
+  error: { icon: 'fa-times-circle', label: 'Error' }
+};
+
+function openModelDiagnostics() {
+  document.getElementById('diagnostics-modal').classList.remove('hidden');
+  loadModelDiagnostics();
 }
 
-async function loadSettings() {
-  // Load saved settings from localStorage
-  const settings = JSON.parse(localStorage.getItem('tts-settings') || '{}');
-  
-  // Apply settings to UI elements
-  const speakerSetting = document.getElementById('speaker-setting');
-  const noiseScaleSetting = document.getElementById('noise-scale-setting');
-  const lengthScaleSetting = document.getElementById('length-scale-setting');
-  const noiseWSetting = document.getElementById('noise-w-setting');
-  
-  if (speakerSetting) speakerSetting.value = settings.speaker || '0';
-  if (noiseScaleSetting) noiseScaleSetting.value = settings.noise_scale || '0.667';
-  if (lengthScaleSetting) lengthScaleSetting.value = settings.length_scale || '1.0';
-  if (noiseWSetting) noiseWSetting.value = settings.noise_w || '0.8';
+async function loadModelDiagnostics() {
+  const summary = document.getElementById('diagnostics-summary');
+  const list = document.getElementById('diagnostics-list');
+  summary.textContent = 'Comprobando modelos...';
+  list.innerHTML = '';
   
-  // Add event listeners to save settings
-  [speakerSetting, noiseScaleSetting, lengthScaleSetting, noiseWSetting].forEach(element => {
-    if (element) {
-      element.addEventListener('change', saveSettings);
+  try {
+    const response = await window.serverAPI.validateModels();
+    if (!response.success) {
+      summary.textContent = '';
+      showError('Error al comprobar modelos: ' + response.error);
+      return;
     }
+    
+    const { ok, warning, error } = response.summary;
+    summary.textContent = `${response.reports.length} modelos: ${ok} correctos, ${warning} con avisos, ${error} con errores`;
+    
+    // Errors first, then warnings
+    const order = { error: 0, warning: 1, ok: 2 };
+    response.reports
+      .sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name))
+      .forEach(report => {
+        const item = document.createElement('div');
+        item.className = 'diagnostics-item';
+        
+        const title = document.createElement('div');
+        const status = DIAGNOSTICS_STATUS[report.status];
+        title.innerHTML = `<i class="fas ${status.icon} diagnostics-${report.status}" title="${status.label}"></i> `;
+        title.appendChild(document.createTextNode(`${report.name} (${report.id})`));
+        
+        const filePath = document.createElement('div');
+        filePath.className = 'diagnostics-path';
+        filePath.textContent = report.jsonPath;
+        
+        item.append(title, filePath);
+        
+        if (report.issues.length > 0) {
+          const issues = document.createElement('ul');
+          report.issues.forEach(issue => {
+            const entry = document.createElement('li');
+            entry.className = `diagnostics-${issue.level}`;
+            entry.textContent = issue.message;
+            issues.appendChild(entry);
+          });
+          item.appendChild(issues);
+        }
+        
+        list.appendChild(item);
+      });
+  } catch (error) {
+    console.error('Error validating models:', error);
+    summary.textContent = '';
+    showError('Error de conexión al comprobar modelos');
+  }
+}
+
+// Synthesis presets: named values of the speaker and the three scales, stored by the
+// server. A preset can be a model's default, applied when that model is selected.
+const PRESET_INPUTS = ['speaker-setting', 'noise-scale-setting', 'length-scale-setting', 'noise-w-setting'];
+let synthesisPresets = [];
+let modelPresets = {};
+
+async function loadPresets() {
+  try {
+    const response = await window.serverAPI.getPresets();
+    if (!response.success) {
+      showError('Error al cargar presets: ' + response.error);
+      return;
+    }
+    
+    synthesisPresets = response.presets;
+    modelPresets = response.modelPresets;
+    renderPresetOptions();
+  } catch (error) {
+    console.error('Error loading presets:', error);
+    showError('Error de conexión al cargar presets');
+  }
+}
+
+function findPreset(name) {
+  return synthesisPresets.find(preset => preset.name === name) || null;
+}
+
+function renderPresetOptions() {
+  const select = document.getElementById('preset-setting');
+  const previous = select.value;
+  
+  select.innerHTML = '<option value="">Sin preset</option>';
+  synthesisPresets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.name;
+    option.textContent = preset.name;
+    select.appendChild(option);
+  });
+  
+  select.value = findPreset(previous) ? previous : '';
+  updatePresetControls();
+}
+
+function updatePresetControls() {
+  const name = document.getElementById('preset-setting').value;
+  const modelDefault = document.getElementById('preset-model-default');
+  
+  document.getElementById('preset-delete-btn').disabled = !name;
+  modelDefault.disabled = !selectedModel || !name;
+  modelDefault.checked = Boolean(selectedModel && name && modelPresets[selectedModel.id] === name);
+}
+
+// The preset's speaker may be a speaker name; it is looked up in the selected model
+function applyPresetValues(preset) {
+  const speakerSelect = document.getElementById('speaker-setting');
+  const speakers = selectedModel && selectedModel.speakers ? selectedModel.speakers : [];
+  const speaker = speakers.find(entry => entry.name === preset.speaker || String(entry.id) === String(preset.speaker));
+  if (speaker) {
+    speakerSelect.value = String(speaker.id);
+  }
+  
+  document.getElementById('noise-scale-setting').value = preset.noise_scale;
+  document.getElementById('length-scale-setting').value = preset.length_scale;
+  document.getElementById('noise-w-setting').value = preset.noise_w;
+  saveSettings();
+}
+
+async function savePreset() {
+  const name = document.getElementById('preset-name').value.trim() || document.getElementById('preset-setting').value;
+  if (!name) {
+    showError('Escribe un nombre para el preset');
+    return;
+  }
+  
+  const { speaker, noise_scale, length_scale, noise_w } = getAudioSettings();
+  
+  try {
+    const response = await window.serverAPI.savePreset(name, { speaker, noise_scale, length_scale, noise_w });
+    if (!response.success) {
+      showError('Error al guardar el preset: ' + response.error);
+      return;
+    }
+    
+    await loadPresets();
+    document.getElementById('preset-setting').value = response.preset.name;
+    updatePresetControls();
+    showSuccess(`Preset "${response.preset.name}" guardado`);
+  } catch (error) {
+    console.error('Error saving preset:', error);
+    showError('Error de conexión al guardar el preset');
+  }
+}
+
+async function deletePreset() {
+  const name = document.getElementById('preset-setting').value;
+  if (!name) return;
+  
+  try {
+    const response = await window.serverAPI.deletePreset(name);
+    if (!response.success) {
+      showError('Error al eliminar el preset: ' + response.error);
+      return;
+    }
+    
+    await loadPresets();
+    showSuccess(`Preset "${name}" eliminado`);
+  } catch (error) {
+    console.error('Error deleting preset:', error);
+    showError('Error de conexión al eliminar el preset');
+  }
+}
+
+async function setModelDefaultPreset(event) {
+  if (!selectedModel) return;
+  
+  const name = event.target.checked ? document.getElementById('preset-setting').value : null;
+  
+  try {
+    const response = await window.serverAPI.setModelPreset(selectedModel.id, name);
+    if (!response.success) {
+      showError('Error al asignar el preset: ' + response.error);
+    } else {
+      modelPresets = response.modelPresets;
+    }
+  } catch (error) {
+    console.error('Error setting model preset:', error);
+    showError('Error de conexión al asignar el preset');
+  }
+  updatePresetControls();
+}
+
+function exportPresets() {
+  if (synthesisPresets.length === 0) {
+    showError('No hay presets para exportar');
+    return;
+  }
+  
+  const blob = new Blob([JSON.stringify({ type: 'tts-presets', presets: synthesisPresets }, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'presets.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Imported presets are saved right away; a preset with an existing name replaces it
+async function importPresets(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showError('El archivo no es un JSON de presets válido');
+    return;
+  }
+  
+  try {
+    const response = await window.serverAPI.importPresets(Array.isArray(data) ? data : (data.presets || []));
+    if (!response.success) {
+      showError('Error al importar presets: ' + response.error);
+      return;
+    }
+    
+    await loadPresets();
+    showSuccess(`${response.imported.length} presets importados`);
+    if (response.errors.length > 0) {
+      showError(`Presets ignorados: ${response.errors.join('; ')}`);
+    }
+  } catch (error) {
+    console.error('Error importing presets:', error);
+    showError('Error de conexión al importar presets');
+  }
+}
+
+// Model card editor: edits the modelcard block of a model's .onnx.json. The image is
+// cropped to a square on a canvas and saved as a base64 PNG data URL.
+let modelcardModel = null;
+let modelcardReplacements = [];
+let modelcardReplacementsChanged = false;
+let modelcardImage = { source: null, changed: false, removed: false };
+
+// Replacement text is edited in single-line inputs, so line breaks and tabs are shown as \n, \r and \t
+function escapeControlCharacters(text) {
+  return text.replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+}
+
+function unescapeControlCharacters(text) {
+  const characters = { n: '\n', r: '\r', t: '\t' };
+  return text.replace(/\\([nrt])/g, (match, character) => characters[character]);
+}
+
+async function openModelcardEditor(model) {
+  try {
+    const response = await window.serverAPI.getModelcard(model.id);
+    if (!response.success) {
+      showError('Error al leer la tarjeta del modelo: ' + response.error);
+      return;
+    }
+    
+    const modelcard = response.modelcard;
+    modelcardModel = model;
+    document.getElementById('modelcard-name').value = modelcard.name || model.name;
+    document.getElementById('modelcard-description').value = modelcard.description;
+    document.getElementById('modelcard-language').value = modelcard.language;
+    document.getElementById('modelcard-voiceprompt').value = modelcard.voiceprompt;
+    document.getElementById('modelcard-path').textContent = `${response.jsonPath} (la versión anterior se guarda como .onnx.json.bak)`;
+    
+    // Tuples are edited as find/replace; rule objects keep their other options
+    modelcardReplacements = (modelcard.replacements || []).map(entry => {
+      if (Array.isArray(entry)) {
+        return { find: String(entry[0]), replace: String(entry[1]), options: null };
+      }
+      const { find, replace, ...options } = entry;
+      return { find: String(find || ''), replace: String(replace || ''), options };
+    });
+    modelcardReplacementsChanged = false;
+    renderModelcardReplacements();
+    
+    modelcardImage = { source: null, changed: false, removed: false };
+    resetModelcardCrop();
+    if (modelcard.image) {
+      modelcardImage.source = await loadImage(modelcard.image);
+    }
+    drawModelcardImage();
+    
+    document.getElementById('modelcard-modal').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error opening modelcard editor:', error);
+    showError('Error de conexión al leer la tarjeta del modelo');
+  }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('No se pudo leer la imagen'));
+    image.src = src;
+  });
+}
+
+function resetModelcardCrop() {
+  document.getElementById('modelcard-image-zoom').value = 1;
+  document.getElementById('modelcard-image-x').value = 0.5;
+  document.getElementById('modelcard-image-y').value = 0.5;
+}
+
+async function loadModelcardImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    modelcardImage = { source: await loadImage(url), changed: true, removed: false };
+    resetModelcardCrop();
+    drawModelcardImage();
+  } catch (error) {
+    showError(error.message);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function removeModelcardImage() {
+  modelcardImage = { source: null, changed: false, removed: true };
+  drawModelcardImage();
+}
+
+// Square crop: the side is the image's shorter side divided by the zoom, and the
+// sliders move it across the rest of the image
+function drawModelcardImage() {
+  const canvas = document.getElementById('modelcard-image-canvas');
+  const context = canvas.getContext('2d');
+  const image = modelcardImage.source;
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  if (!image) return;
+  
+  const zoom = parseFloat(document.getElementById('modelcard-image-zoom').value);
+  const side = Math.min(image.naturalWidth, image.naturalHeight) / zoom;
+  const x = (image.naturalWidth - side) * parseFloat(document.getElementById('modelcard-image-x').value);
+  const y = (image.naturalHeight - side) * parseFloat(document.getElementById('modelcard-image-y').value);
+  context.drawImage(image, x, y, side, side, 0, 0, canvas.width, canvas.height);
+}
+
+function renderModelcardReplacements() {
+  const container = document.getElementById('modelcard-replacements');
+  container.innerHTML = `
+    <div class="dictionary-row dictionary-header">
+      <span>Buscar</span>
+      <span>Reemplazar por</span>
+      <span></span>
+    </div>
+  `;
+  
+  if (modelcardReplacements.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'no-models';
+    empty.textContent = 'La tarjeta no tiene reemplazos';
+    container.appendChild(empty);
+    return;
+  }
+  
+  modelcardReplacements.forEach((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'dictionary-row';
+    
+    const findInput = document.createElement('input');
+    findInput.type = 'text';
+    findInput.value = escapeControlCharacters(entry.find);
+    findInput.placeholder = 'Texto original';
+    findInput.addEventListener('input', () => {
+      entry.find = unescapeControlCharacters(findInput.value);
+      modelcardReplacementsChanged = true;
+    });
+    
+    const replaceInput = document.createElement('input');
+    replaceInput.type = 'text';
+    replaceInput.value = escapeControlCharacters(entry.replace);
+    replaceInput.placeholder = 'Reemplazo';
+    replaceInput.addEventListener('input', () => {
+      entry.replace = unescapeControlCharacters(replaceInput.value);
+      modelcardReplacementsChanged = true;
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'icon-btn';
+    deleteBtn.title = 'Eliminar reemplazo';
+    deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    deleteBtn.addEventListener('click', () => {
+      modelcardReplacements.splice(index, 1);
+      modelcardReplacementsChanged = true;
+      renderModelcardReplacements();
+    });
+    
+    row.append(findInput, replaceInput, deleteBtn);
+    container.appendChild(row);
+  });
+}
+
+async function saveModelcard() {
+  if (!modelcardModel) return;
+  
+  const modelcard = {
+    name: document.getElementById('modelcard-name').value,
+    description: document.getElementById('modelcard-description').value,
+    language: document.getElementById('modelcard-language').value,
+    voiceprompt: document.getElementById('modelcard-voiceprompt').value
+  };
+  
+  // The image and replacements are only written when they were edited, so an
+  // untouched image isn't re-encoded and a card without replacements keeps the defaults
+  if (modelcardImage.changed && modelcardImage.source) {
+    modelcard.image = document.getElementById('modelcard-image-canvas').toDataURL('image/png');
+  } else if (modelcardImage.removed) {
+    modelcard.image = null;
+  }
+  
+  if (modelcardReplacementsChanged) {
+    modelcard.replacements = modelcardReplacements
+      .filter(entry => entry.find !== '')
+      .map(entry => entry.options ? { ...entry.options, find: entry.find, replace: entry.replace } : [entry.find, entry.replace]);
+  }
+  
+  try {
+    const response = await window.serverAPI.saveModelcard(modelcardModel.id, modelcard);
+    if (!response.success) {
+      showError('Error al guardar la tarjeta: ' + response.error);
+      return;
+    }
+    
+    document.getElementById('modelcard-modal').classList.add('hidden');
+    showSuccess(`Tarjeta de "${response.model ? response.model.name : modelcardModel.name}" guardada`);
+    
+    const models = await window.serverAPI.getModels();
+    if (models.success) {
+      availableModels = models.models;
+      renderModels();
+      updateModelCount();
+      
+      const updated = selectedModel && availableModels.find(m => m.onnxPath === selectedModel.onnxPath);
+      if (updated) selectModel(updated);
+    }
+    modelcardModel = null;
+  } catch (error) {
+    console.error('Error saving modelcard:', error);
+    showError('Error de conexión al guardar la tarjeta');
+  }
+}
+
+// Model install: archives (.zip, .tar.gz) or loose .onnx + .onnx.json pairs are copied
+// into the managed models folder. Id conflicts are resolved per model before installing.
+const INSTALL_FILE_PATTERN = /\.(zip|tar\.gz|tgz|onnx|json)$/i;
+const INSTALL_ACTION_LABELS = {
+  keep: 'Conservar existente',
+  replace: 'Reemplazar',
+  rename: 'Instalar con otro id'
+};
+let pendingInstall = null;
+
+function openInstallModal() {
+  document.getElementById('install-modal').classList.remove('hidden');
+  renderInstallConflicts();
+  renderInstalledModels();
+}
+
+async function selectInstallFiles() {
+  const paths = await window.electronAPI.selectFiles('Seleccionar modelos', [
+    { name: 'Modelos', extensions: ['zip', 'gz', 'tgz', 'onnx', 'json'] }
+  ]);
+  if (paths.length > 0) {
+    await installModelFiles(paths);
+  }
+}
+
+async function dropInstallFiles(fileList) {
+  const paths = Array.from(fileList)
+    .filter(file => INSTALL_FILE_PATTERN.test(file.name) && file.path)
+    .map(file => file.path);
+  
+  if (paths.length === 0) {
+    showError('Solo se pueden instalar archivos .zip, .tar.gz o pares .onnx + .onnx.json');
+    return;
+  }
+  
+  document.getElementById('install-modal').classList.remove('hidden');
+  await installModelFiles(paths);
+}
+
+async function installModelFiles(paths) {
+  if (pendingInstall) {
+    await window.serverAPI.cancelInstall(pendingInstall.id);
+    pendingInstall = null;
+  }
+  
+  const summary = document.getElementById('install-summary');
+  summary.textContent = 'Comprobando archivos...';
+  renderInstallConflicts();
+  
+  try {
+    const response = await window.serverAPI.installModels(paths);
+    if (!response.success) {
+      summary.textContent = (response.errors || []).join('\n');
+      showError('Error al instalar modelos: ' + response.error);
+      return;
+    }
+    
+    if (response.status === 'conflict') {
+      pendingInstall = response.install;
+      summary.textContent = 'Algunos modelos ya existen: elige qué hacer con cada uno';
+      renderInstallConflicts();
+      return;
+    }
+    
+    await finishInstall(response);
+  } catch (error) {
+    console.error('Error installing models:', error);
+    summary.textContent = '';
+    showError('Error de conexión al instalar modelos');
+  }
+}
+
+function shortChecksum(checksum) {
+  return checksum ? checksum.slice(0, 12) : '';
+}
+
+function renderInstallConflicts() {
+  const container = document.getElementById('install-conflicts');
+  container.innerHTML = '';
+  container.classList.toggle('hidden', !pendingInstall);
+  document.getElementById('install-resolve-btn').classList.toggle('hidden', !pendingInstall);
+  document.getElementById('install-cancel-btn').classList.toggle('hidden', !pendingInstall);
+  if (!pendingInstall) return;
+  
+  pendingInstall.models.forEach(model => {
+    const row = document.createElement('div');
+    row.className = 'batch-row install-conflict';
+    
+    const name = document.createElement('span');
+    name.className = 'batch-file-name';
+    name.textContent = `${model.name} (${model.id})`;
+    name.title = `sha256 ${model.checksums.onnx}`;
+    row.appendChild(name);
+    
+    if (!model.conflict) {
+      const status = document.createElement('span');
+      status.textContent = 'Nuevo';
+      row.appendChild(status);
+      container.appendChild(row);
+      return;
+    }
+    
+    const actionSelect = document.createElement('select');
+    actionSelect.dataset.modelId = model.id;
+    Object.entries(INSTALL_ACTION_LABELS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      option.disabled = value === 'replace' && !model.conflict.installed;
+      actionSelect.appendChild(option);
+    });
+    
+    const newIdInput = document.createElement('input');
+    newIdInput.type = 'text';
+    newIdInput.value = `${model.id}-2`;
+    newIdInput.placeholder = 'Nuevo id';
+    newIdInput.disabled = true;
+    actionSelect.addEventListener('change', () => {
+      newIdInput.disabled = actionSelect.value !== 'rename';
+    });
+    
+    const detail = document.createElement('span');
+    detail.className = 'batch-file-error';
+    detail.textContent = model.conflict.identical
+      ? `Idéntico a "${model.conflict.name}" (sha256 ${shortChecksum(model.checksums.onnx)})`
+      : `Ya existe "${model.conflict.name}"${model.conflict.installed ? '' : ' en una carpeta externa'} · nuevo sha256 ${shortChecksum(model.checksums.onnx)}`;
+    detail.title = model.conflict.jsonPath;
+    
+    row.append(actionSelect, newIdInput, detail);
+    container.appendChild(row);
+  });
+}
+
+async function resolveInstall() {
+  if (!pendingInstall) return;
+  
+  const resolutions = {};
+  document.querySelectorAll('#install-conflicts select').forEach(select => {
+    const newIdInput = select.nextElementSibling;
+    resolutions[select.dataset.modelId] = {
+      action: select.value,
+      newId: select.value === 'rename' ? newIdInput.value.trim() : undefined
+    };
+  });
+  
+  try {
+    const response = await window.serverAPI.resolveInstall(pendingInstall.id, resolutions);
+    pendingInstall = null;
+    renderInstallConflicts();
+    
+    if (!response.success) {
+      document.getElementById('install-summary').textContent = '';
+      showError('Error al instalar modelos: ' + response.error);
+      return;
+    }
+    
+    await finishInstall(response);
+  } catch (error) {
+    console.error('Error resolving install:', error);
+    showError('Error de conexión al instalar modelos');
+  }
+}
+
+async function cancelInstall() {
+  if (!pendingInstall) return;
+  
+  await window.serverAPI.cancelInstall(pendingInstall.id);
+  pendingInstall = null;
+  document.getElementById('install-summary').textContent = 'Instalación cancelada';
+  renderInstallConflicts();
+}
+
+async function finishInstall(result) {
+  const lines = [`${result.installed.length} instalados, ${result.skipped.length} conservados`];
+  result.installed.forEach(model => lines.push(`✓ ${model.name} (${model.id})`));
+  result.errors.forEach(error => lines.push(`✗ ${error}`));
+  document.getElementById('install-summary').textContent = lines.join('\n');
+  
+  if (result.installed.length > 0) {
+    showSuccess(`${result.installed.length} modelos instalados`);
+  }
+  
+  await loadModels();
+  await loadFolderPaths();
+  renderInstalledModels();
+}
+
+function renderInstalledModels() {
+  const container = document.getElementById('installed-models');
+  const installed = availableModels.filter(model => model.installed);
+  container.innerHTML = '';
+  
+  if (installed.length === 0) {
+    container.innerHTML = '<div class="batch-row"><span>No hay modelos instalados</span></div>';
+    return;
+  }
+  
+  installed.forEach(model => {
+    const row = document.createElement('div');
+    row.className = 'batch-row installed-model';
+    
+    const name = document.createElement('span');
+    name.className = 'batch-file-name';
+    name.textContent = `${model.name} (${model.id})`;
+    name.title = model.onnxPath;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-secondary';
+    removeBtn.title = 'Desinstalar';
+    removeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    removeBtn.addEventListener('click', () => uninstallModel(model));
+    
+    row.append(name, removeBtn);
+    container.appendChild(row);
+  });
+}
+
+async function uninstallModel(model) {
+  if (!confirm(`¿Desinstalar el modelo "${model.name}"? Se borrarán sus archivos.`)) return;
+  
+  try {
+    const response = await window.serverAPI.uninstallModel(model.id);
+    if (!response.success) {
+      showError('Error al desinstalar: ' + response.error);
+      return;
+    }
+    
+    showSuccess(`Modelo "${model.name}" desinstalado`);
+    await loadModels();
+    renderInstalledModels();
+  } catch (error) {
+    console.error('Error uninstalling model:', error);
+    showError('Error de conexión al desinstalar');
+  }
+}
+
+function updateModelCount() {
+  const countElement = document.getElementById('model-count');
+  if (countElement) {
+    countElement.textContent = `${availableModels.length} modelos disponibles`;
+  }
+}
+
+async function loadSettings() {
+  // Load saved settings from localStorage
+  const settings = JSON.parse(localStorage.getItem('tts-settings') || '{}');
+  
+  // Apply settings to UI elements
+  const speakerSetting = document.getElementById('speaker-setting');
+  const noiseScaleSetting = document.getElementById('noise-scale-setting');
+  const lengthScaleSetting = document.getElementById('length-scale-setting');
+  const noiseWSetting = document.getElementById('noise-w-setting');
+  
+  if (speakerSetting) speakerSetting.value = settings.speaker || '0';
+  if (noiseScaleSetting) noiseScaleSetting.value = settings.noise_scale || '0.667';
+  if (lengthScaleSetting) lengthScaleSetting.value = settings.length_scale || '1.0';
+  if (noiseWSetting) noiseWSetting.value = settings.noise_w || '0.8';
+  
+  // Output format settings
+  const output = settings.output || {};
+  const outputElements = {
+    format: document.getElementById('output-format-setting'),
+    bitrateMode: document.getElementById('bitrate-mode-setting'),
+    bitrate: document.getElementById('bitrate-setting'),
+    vbrQuality: document.getElementById('vbr-quality-setting'),
+    sampleRate: document.getElementById('output-sample-rate-setting'),
+    channels: document.getElementById('channels-setting')
+  };
+  
+  outputElements.format.value = output.format || 'mp3';
+  outputElements.bitrateMode.value = output.bitrateMode || 'vbr';
+  outputElements.bitrate.value = String(output.bitrate || 192);
+  outputElements.vbrQuality.value = output.vbrQuality !== undefined ? output.vbrQuality : 2;
+  outputElements.sampleRate.value = output.sampleRate ? String(output.sampleRate) : '';
+  outputElements.channels.value = String(output.channels || 1);
+  updateOutputFormatFields();
+  
+  // Add event listeners to save settings
+  [speakerSetting, noiseScaleSetting, lengthScaleSetting, noiseWSetting, ...Object.values(outputElements)].forEach(element => {
+    if (element) {
+      element.addEventListener('change', saveSettings);
+    }
+  });
+  outputElements.format.addEventListener('change', updateOutputFormatFields);
+  outputElements.bitrateMode.addEventListener('change', updateOutputFormatFields);
+  
+  // Markdown settings
+  const markdownSettings = settings.markdown || {};
+  const markdownElements = {
+    mode: document.getElementById('markdown-mode-setting'),
+    inlineCode: document.getElementById('markdown-inline-code-setting'),
+    codeBlocks: document.getElementById('markdown-code-blocks-setting'),
+    tables: document.getElementById('markdown-tables-setting')
+  };
+  
+  markdownElements.mode.value = markdownSettings.mode || 'auto';
+  markdownElements.inlineCode.value = markdownSettings.inlineCode || 'read';
+  markdownElements.codeBlocks.value = markdownSettings.codeBlocks || 'skip';
+  markdownElements.tables.value = markdownSettings.tables || 'read';
+  Object.values(markdownElements).forEach(element => element.addEventListener('change', saveSettings));
+  
+  // Dubbing settings
+  const dubMaxSpeedup = document.getElementById('dub-max-speedup-setting');
+  dubMaxSpeedup.value = (settings.dubbing && settings.dubbing.maxSpeedup) || 1.25;
+  dubMaxSpeedup.addEventListener('change', saveSettings);
+  
+  loadDialogueSettings();
+  
+  // Export settings
+  const exportSettings = settings.export || {};
+  const exportTemplate = document.getElementById('filename-template-setting');
+  const exportSkipDialog = document.getElementById('export-skip-dialog-setting');
+  const exportSubtitles = document.getElementById('export-subtitles-setting');
+  
+  document.getElementById('export-folder-setting').value = exportSettings.folder || '';
+  exportTemplate.value = exportSettings.template || '{model}_{date}_{first-words}';
+  exportSkipDialog.checked = exportSettings.skipDialog || false;
+  exportSubtitles.checked = exportSettings.subtitles || false;
+  
+  exportTemplate.addEventListener('change', saveSettings);
+  exportSkipDialog.addEventListener('change', saveSettings);
+  exportSubtitles.addEventListener('change', saveSettings);
+  
+  // Load thread settings from server
+  await loadThreadSettings();
+  
+  // Start queue status updates
+  startQueueStatusUpdates();
+}
+
+function saveSettings() {
+  const settings = {
+    speaker: document.getElementById('speaker-setting')?.value || '0',
+    noise_scale: document.getElementById('noise-scale-setting')?.value || '0.667',
+    length_scale: document.getElementById('length-scale-setting')?.value || '1.0',
+    noise_w: document.getElementById('noise-w-setting')?.value || '0.8',
+    output: getOutputSettings(),
+    markdown: getMarkdownSettings(),
+    dubbing: getDubbingSettings(),
+    export: getExportSettings()
+  };
+  
+  localStorage.setItem('tts-settings', JSON.stringify(settings));
+}
+
+// Thread settings functions
+async function loadThreadSettings() {
+  try {
+    const response = await fetch('http://localhost:3000/settings');
+    const data = await response.json();
+    
+    if (data.success) {
+      const { settings, queueStatus } = data;
+      
+      // Update UI elements
+      const autoThreadsCheckbox = document.getElementById('auto-threads-setting');
+      const maxThreadsInput = document.getElementById('max-threads-setting');
+      const manualThreadsContainer = document.getElementById('manual-threads-container');
+      const cpuCoresSpan = document.getElementById('cpu-cores');
+      const recommendedThreadsSpan = document.getElementById('recommended-threads');
+      
+      if (autoThreadsCheckbox) {
+        autoThreadsCheckbox.checked = settings.autoDetectThreads;
+      }
+      
+      if (maxThreadsInput) {
+        maxThreadsInput.value = settings.maxThreads;
+      }
+      
+      if (manualThreadsContainer) {
+        manualThreadsContainer.style.display = settings.autoDetectThreads ? 'none' : 'block';
+      }
+      
+      if (cpuCoresSpan) {
+        cpuCoresSpan.textContent = settings.cpuCores;
+      }
+      
+      if (recommendedThreadsSpan) {
+        recommendedThreadsSpan.textContent = settings.recommendedThreads;
+      }
+      
+      const cacheEnabledCheckbox = document.getElementById('cache-enabled-setting');
+      const cacheSizeInput = document.getElementById('cache-size-setting');
+      
+      if (cacheEnabledCheckbox) {
+        cacheEnabledCheckbox.checked = settings.cacheEnabled;
+      }
+      
+      if (cacheSizeInput) {
+        cacheSizeInput.value = settings.cacheMaxSizeMB;
+      }
+      
+      updateQueueStatus(queueStatus);
+    }
+  } catch (error) {
+    console.error('Error loading thread settings:', error);
+  }
+}
+
+async function saveThreadSettings() {
+  try {
+    const autoThreadsCheckbox = document.getElementById('auto-threads-setting');
+    const maxThreadsInput = document.getElementById('max-threads-setting');
+    
+    const requestData = {
+      autoDetectThreads: autoThreadsCheckbox?.checked || true,
+      maxThreads: parseInt(maxThreadsInput?.value || '8')
+    };
+    
+    const response = await fetch('http://localhost:3000/settings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestData)
+    });
+    
+    const data = await response.json();
+    
+    if (data.success) {
+      updateQueueStatus(data.queueStatus);
+      showSuccess('Configuración de hilos actualizada');
+    } else {
+      showError('Error al actualizar configuración: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error saving thread settings:', error);
+    showError('Error de conexión al guardar configuración');
+  }
+}
+
+// Cache settings functions
+async function saveCacheSettings() {
+  try {
+    const requestData = {
+      cacheEnabled: document.getElementById('cache-enabled-setting').checked,
+      cacheMaxSizeMB: parseInt(document.getElementById('cache-size-setting').value || '500')
+    };
+    
+    const response = await fetch('http://localhost:3000/settings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestData)
+    });
+    
+    const data = await response.json();
+    
+    if (data.success) {
+      await loadCacheStats();
+      showSuccess('Configuración de caché actualizada');
+    } else {
+      showError('Error al actualizar configuración: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error saving cache settings:', error);
+    showError('Error de conexión al guardar configuración');
+  }
+}
+
+async function loadCacheStats() {
+  try {
+    const response = await fetch('http://localhost:3000/cache');
+    const data = await response.json();
+    
+    if (data.success) {
+      updateCacheStats(data.cache);
+    }
+  } catch (error) {
+    console.error('Error loading cache stats:', error);
+  }
+}
+
+function updateCacheStats(cache) {
+  const entriesSpan = document.getElementById('cache-entries');
+  const sizeSpan = document.getElementById('cache-size');
+  const hitsSpan = document.getElementById('cache-hits');
+  
+  if (entriesSpan) {
+    entriesSpan.textContent = cache.entries;
+  }
+  
+  if (sizeSpan) {
+    const usedMB = (cache.sizeBytes / 1024 / 1024).toFixed(1);
+    const maxMB = Math.round(cache.maxSizeBytes / 1024 / 1024);
+    sizeSpan.textContent = `${usedMB} / ${maxMB} MB`;
+  }
+  
+  if (hitsSpan) {
+    hitsSpan.textContent = `${cache.hits} / ${cache.misses}`;
+  }
+}
+
+async function clearCache() {
+  try {
+    const response = await fetch('http://localhost:3000/cache', {
+      method: 'DELETE'
+    });
+    const data = await response.json();
+    
+    if (data.success) {
+      updateCacheStats(data.cache);
+      showSuccess('Caché vaciada');
+    } else {
+      showError('Error al vaciar caché: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    showError('Error de conexión al vaciar caché');
+  }
+}
+
+function updateQueueStatus(queueStatus) {
+  const queueStatusSpan = document.getElementById('queue-status');
+  const runningProcessesSpan = document.getElementById('running-processes');
+  const queuedProcessesSpan = document.getElementById('queued-processes');
+  
+  if (queueStatusSpan) {
+    queueStatusSpan.textContent = `${queueStatus.maxConcurrent} máx`;
+  }
+  
+  if (runningProcessesSpan) {
+    runningProcessesSpan.textContent = queueStatus.running;
+  }
+  
+  if (queuedProcessesSpan) {
+    queuedProcessesSpan.textContent = queueStatus.queued;
+  }
+}
+
+function startQueueStatusUpdates() {
+  // Update queue status every 2 seconds when settings panel is open
+  setInterval(async () => {
+    if (!settingsPanel.classList.contains('hidden')) {
+      try {
+        const response = await fetch('http://localhost:3000/queue-status');
+        const data = await response.json();
+        
+        if (data.success) {
+          updateQueueStatus(data.status);
+        }
+      } catch (error) {
+        // Silently fail - don't spam console with connection errors
+      }
+    }
+  }, 2000);
+}
+
+// Pronunciation dictionary editor
+async function openDictionaryEditor() {
+  const scopeSelect = document.getElementById('dictionary-scope');
+  scopeSelect.innerHTML = '';
+  
+  const scopes = [
+    { value: 'global', label: 'Global (todos los modelos)' },
+    { value: 'user', label: 'Usuario' },
+    ...availableModels.map(model => ({ value: `model:${model.id}`, label: `Modelo: ${model.name}` }))
+  ];
+  
+  scopes.forEach(scope => {
+    const option = document.createElement('option');
+    option.value = scope.value;
+    option.textContent = scope.label;
+    scopeSelect.appendChild(option);
+  });
+  
+  // Start with the selected model's overrides when a model is selected
+  const initialScope = selectedModel ? `model:${selectedModel.id}` : 'user';
+  scopeSelect.value = initialScope;
+  
+  document.getElementById('dictionary-modal').classList.remove('hidden');
+  await loadDictionary(initialScope);
+}
+
+async function loadDictionary(scope) {
+  try {
+    const response = await fetch(`http://localhost:3000/dictionaries/${encodeURIComponent(scope)}`);
+    const data = await response.json();
+    
+    if (data.success) {
+      currentDictionaryScope = scope;
+      dictionaryEntries = data.replacements.map(rule => ({ ...rule }));
+      renderDictionaryEntries();
+    } else {
+      showError('Error al cargar diccionario: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error loading dictionary:', error);
+    showError('Error de conexión al cargar diccionario');
+  }
+}
+
+// Entries are edited as rule objects: { find, replace, regex, caseSensitive, wholeWord, priority }
+function createDictionaryEntry(find = '', replace = '') {
+  return { find, replace, regex: false, caseSensitive: false, wholeWord: true, priority: 0 };
+}
+
+function createDictionaryOption(label, title, checked, onChange) {
+  const option = document.createElement('label');
+  option.title = title;
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = checked;
+  checkbox.addEventListener('change', () => onChange(checkbox.checked));
+  
+  option.appendChild(checkbox);
+  option.appendChild(document.createTextNode(label));
+  return option;
+}
+
+function renderDictionaryEntries() {
+  const container = document.getElementById('dictionary-entries');
+  container.innerHTML = `
+    <div class="dictionary-row dictionary-header">
+      <span>Buscar</span>
+      <span>Reemplazar por</span>
+      <span></span>
+    </div>
+  `;
+  
+  if (dictionaryEntries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'no-models';
+    empty.textContent = 'Este diccionario no tiene entradas';
+    container.appendChild(empty);
+    return;
+  }
+  
+  dictionaryEntries.forEach((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'dictionary-row';
+    
+    const findInput = document.createElement('input');
+    findInput.type = 'text';
+    findInput.value = entry.find;
+    findInput.placeholder = entry.regex ? 'Expresión regular' : 'Texto original';
+    findInput.addEventListener('input', () => { entry.find = findInput.value; });
+    
+    const replaceInput = document.createElement('input');
+    replaceInput.type = 'text';
+    replaceInput.value = entry.replace;
+    replaceInput.placeholder = entry.regex ? 'Pronunciación ($1, $2...)' : 'Pronunciación';
+    replaceInput.addEventListener('input', () => { entry.replace = replaceInput.value; });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'icon-btn';
+    deleteBtn.title = 'Eliminar entrada';
+    deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    deleteBtn.addEventListener('click', () => {
+      dictionaryEntries.splice(index, 1);
+      renderDictionaryEntries();
+    });
+    
+    const options = document.createElement('div');
+    options.className = 'dictionary-options';
+    options.appendChild(createDictionaryOption('Regex', 'Buscar como expresión regular', entry.regex, checked => {
+      entry.regex = checked;
+      // Regex rules match exactly what the pattern says by default
+      entry.wholeWord = !checked;
+      renderDictionaryEntries();
+    }));
+    options.appendChild(createDictionaryOption('Mayúsculas', 'Distinguir mayúsculas y minúsculas', entry.caseSensitive, checked => {
+      entry.caseSensitive = checked;
+    }));
+    options.appendChild(createDictionaryOption('Palabra completa', 'Reemplazar solo palabras completas', entry.wholeWord, checked => {
+      entry.wholeWord = checked;
+    }));
+    
+    const priorityLabel = document.createElement('label');
+    priorityLabel.title = 'Las reglas con mayor prioridad se aplican primero';
+    priorityLabel.textContent = 'Prioridad';
+    const priorityInput = document.createElement('input');
+    priorityInput.type = 'number';
+    priorityInput.step = '1';
+    priorityInput.value = entry.priority;
+    priorityInput.addEventListener('input', () => { entry.priority = parseInt(priorityInput.value, 10) || 0; });
+    priorityLabel.appendChild(priorityInput);
+    options.appendChild(priorityLabel);
+    
+    row.appendChild(findInput);
+    row.appendChild(replaceInput);
+    row.appendChild(deleteBtn);
+    row.appendChild(options);
+    container.appendChild(row);
+  });
+}
+
+function addDictionaryEntry() {
+  dictionaryEntries.push(createDictionaryEntry());
+  renderDictionaryEntries();
+  
+  const inputs = document.querySelectorAll('#dictionary-entries .dictionary-row input[type="text"]');
+  if (inputs.length >= 2) {
+    inputs[inputs.length - 2].focus();
+  }
+}
+
+async function saveDictionary() {
+  try {
+    const replacements = dictionaryEntries.filter(entry => entry.find.trim());
+    
+    const response = await fetch(`http://localhost:3000/dictionaries/${encodeURIComponent(currentDictionaryScope)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ replacements })
+    });
+    
+    const data = await response.json();
+    
+    if (data.success) {
+      dictionaryEntries = data.replacements.map(rule => ({ ...rule }));
+      renderDictionaryEntries();
+      showSuccess(`Diccionario guardado (${data.replacements.length} entradas)`);
+    } else {
+      showError('Error al guardar diccionario: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error saving dictionary:', error);
+    showError('Error de conexión al guardar diccionario');
+  }
+}
+
+// Run sample text through the saved dictionaries of the selected model
+async function testDictionary() {
+  const text = document.getElementById('dictionary-test-input').value;
+  const result = document.getElementById('dictionary-test-result');
+  
+  if (!text.trim()) return;
+  
+  if (!selectedModel) {
+    showError('Selecciona un modelo para probar los diccionarios');
+    return;
+  }
+  
+  try {
+    const response = await fetch('http://localhost:3000/dictionaries/test', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ text, modelPath: selectedModel.onnxPath })
+    });
+    
+    const data = await response.json();
+    
+    if (data.success) {
+      const fired = data.replacements.length > 0
+        ? data.replacements.map(rule => `${rule.layer}: "${rule.find}" → "${rule.replace}" (${rule.count})`).join('\n')
+        : 'Ninguna regla aplicada';
+      result.textContent = `${data.text}\n\n${fired}`;
+    } else {
+      showError('Error al probar diccionario: ' + data.error);
+    }
+  } catch (error) {
+    console.error('Error testing dictionary:', error);
+    showError('Error de conexión al probar diccionario');
+  }
+}
+
+function exportDictionary() {
+  const replacements = dictionaryEntries.filter(entry => entry.find.trim());
+  
+  const blob = new Blob([JSON.stringify({ replacements }, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${currentDictionaryScope.replace(/[^\w.-]/g, '_')}_replacements.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Imported entries are added to the editor; they are stored when the user saves
+function importDictionary(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const data = JSON.parse(reader.result);
+      const imported = Array.isArray(data) ? data : (data.replacements || data.global_replacements || []);
+      
+      const entries = imported
+        .map(item => Array.isArray(item) ? { find: item[0], replace: item[1] } : item)
+        .filter(item => item && typeof item.find === 'string' && typeof item.replace === 'string');
+      
+      dictionaryEntries.push(...entries.map(item => ({ ...createDictionaryEntry(item.find, item.replace), ...item })));
+      renderDictionaryEntries();
+      showSuccess(`${entries.length} entradas importadas. Guarda para aplicarlas.`);
+    } catch (error) {
+      console.error('Error importing dictionary:', error);
+      showError('El archivo no es un diccionario JSON válido');
+    }
+  };
+  reader.readAsText(file);
+}
+
+// Batch conversion: every .txt or .md file becomes its own audio file
+const BATCH_STATUS_LABELS = {
+  pending: 'En espera',
+  running: 'Generando',
+  done: 'Listo',
+  error: 'Error',
+  cancelled: 'Cancelado'
+};
+
+function isBatchRunning() {
+  return batchPollTimer !== null;
+}
+
+function openBatchModal() {
+  document.getElementById('batch-modal').classList.remove('hidden');
+  renderBatchFiles();
+}
+
+// Each file keeps the model and audio settings that were selected when it was added
+function createBatchFile(file) {
+  return {
+    ...file,
+    modelPath: selectedModel ? selectedModel.onnxPath : (availableModels[0] ? availableModels[0].onnxPath : ''),
+    settings: getAudioSettings(),
+    status: 'pending',
+    percent: 0,
+    attempts: 0,
+    outputPath: null,
+    error: null
+  };
+}
+
+async function addBatchFiles(fileList) {
+  const files = Array.from(fileList).filter(file => /\.(txt|md)$/i.test(file.name));
+  const skipped = fileList.length - files.length;
+  
+  for (const file of files) {
+    batchFiles.push(createBatchFile({ name: file.name, text: await file.text() }));
+  }
+  
+  if (skipped > 0) {
+    showError(`${skipped} archivos ignorados: solo se admiten .txt y .md`);
+  }
+  renderBatchFiles();
+}
+
+async function addBatchFolder() {
+  const folderPath = await window.electronAPI.selectFolder('Seleccionar carpeta con archivos de texto');
+  if (!folderPath) return;
+  
+  const files = await window.electronAPI.listTextFiles(folderPath);
+  if (files.length === 0) {
+    showError('La carpeta no contiene archivos .txt ni .md');
+    return;
+  }
+  
+  files.forEach(file => batchFiles.push(createBatchFile(file)));
+  renderBatchFiles();
+}
+
+function clearBatchFiles() {
+  if (isBatchRunning()) return;
+  
+  batchFiles = [];
+  currentBatchId = null;
+  document.getElementById('batch-summary').textContent = '';
+  renderBatchFiles();
+}
+
+function renderBatchFiles() {
+  const container = document.getElementById('batch-files');
+  const running = isBatchRunning();
+  container.innerHTML = '';
+  
+  if (batchFiles.length === 0) {
+    container.innerHTML = '<div class="batch-row"><span>No hay archivos en el lote</span></div>';
+  }
+  
+  batchFiles.forEach((file, index) => {
+    const row = document.createElement('div');
+    row.className = 'batch-row';
+    
+    const name = document.createElement('span');
+    name.className = 'batch-file-name';
+    name.textContent = file.name;
+    name.title = file.outputPath || file.path || file.name;
+    
+    const modelSelect = document.createElement('select');
+    availableModels.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.onnxPath;
+      option.textContent = model.name;
+      modelSelect.appendChild(option);
+    });
+    modelSelect.value = file.modelPath;
+    modelSelect.disabled = running;
+    modelSelect.addEventListener('change', () => {
+      file.modelPath = modelSelect.value;
+    });
+    
+    const status = document.createElement('span');
+    status.textContent = file.status === 'running' ? `${file.percent}%` : BATCH_STATUS_LABELS[file.status];
+    if (file.attempts > 1) {
+      status.textContent += ` (intento ${file.attempts})`;
+    }
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-secondary';
+    removeBtn.title = 'Quitar';
+    removeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    removeBtn.disabled = running;
+    removeBtn.addEventListener('click', () => {
+      batchFiles.splice(index, 1);
+      currentBatchId = null;
+      renderBatchFiles();
+    });
+    
+    row.append(name, modelSelect, status, removeBtn);
+    
+    if (file.error) {
+      const error = document.createElement('span');
+      error.className = 'batch-file-error';
+      error.textContent = file.error;
+      row.appendChild(error);
+    }
+    
+    container.appendChild(row);
   });
   
-  // Load thread settings from server
-  await loadThreadSettings();
+  document.getElementById('batch-start-btn').disabled = running || batchFiles.length === 0;
+  document.getElementById('batch-retry-btn').disabled = running || !currentBatchId ||
+    !batchFiles.some(file => file.status === 'error' || file.status === 'cancelled');
+  document.getElementById('batch-cancel-btn').classList.toggle('hidden', !running);
+  document.getElementById('batch-clear-btn').disabled = running;
+  document.getElementById('batch-add-files-btn').disabled = running;
+  document.getElementById('batch-add-folder-btn').disabled = running;
+}
+
+async function startBatch() {
+  if (batchFiles.length === 0 || isBatchRunning()) return;
+  
+  let outputFolder = getExportSettings().folder;
+  if (!outputFolder) {
+    outputFolder = await window.electronAPI.selectFolder('Seleccionar carpeta de salida');
+    if (!outputFolder) return;
+    document.getElementById('export-folder-setting').value = outputFolder;
+    saveSettings();
+  }
+  
+  const files = batchFiles.map(file => ({
+    name: file.name,
+    text: file.text,
+    path: file.path,
+    modelPath: file.modelPath,
+    settings: file.settings
+  }));
+  
+  try {
+    const response = await window.serverAPI.createBatch(files, outputFolder);
+    if (!response.success) {
+      showError('Error al iniciar el lote: ' + response.error);
+      return;
+    }
+    
+    currentBatchId = response.batchId;
+    batchFiles.forEach(file => Object.assign(file, { status: 'pending', percent: 0, attempts: 0, error: null, outputPath: null }));
+    document.getElementById('batch-summary').textContent = '';
+    startBatchPolling();
+  } catch (error) {
+    console.error('Error starting batch:', error);
+    showError('Error de conexión al iniciar el lote');
+  }
+}
+
+async function retryBatch() {
+  if (!currentBatchId || isBatchRunning()) return;
+  
+  try {
+    const response = await window.serverAPI.retryBatch(currentBatchId);
+    if (!response.success) {
+      showError('No se pudo reintentar: ' + response.error);
+      return;
+    }
+    
+    document.getElementById('batch-summary').textContent = '';
+    startBatchPolling();
+  } catch (error) {
+    console.error('Error retrying batch:', error);
+    showError('Error de conexión al reintentar el lote');
+  }
+}
+
+async function cancelBatch() {
+  if (!currentBatchId) return;
+  
+  try {
+    const response = await window.serverAPI.cancelBatch(currentBatchId);
+    if (!response.success) {
+      showError('No se pudo cancelar: ' + response.error);
+    }
+  } catch (error) {
+    console.error('Error cancelling batch:', error);
+    showError('Error de conexión al cancelar el lote');
+  }
+}
+
+function startBatchPolling() {
+  batchPollTimer = setInterval(pollBatch, 1000);
+  renderBatchFiles();
+}
+
+function stopBatchPolling() {
+  clearInterval(batchPollTimer);
+  batchPollTimer = null;
+}
+
+async function pollBatch() {
+  try {
+    const response = await window.serverAPI.getBatch(currentBatchId);
+    if (!response.success) {
+      stopBatchPolling();
+      showError('Error al consultar el lote: ' + response.error);
+      renderBatchFiles();
+      return;
+    }
+    
+    const batch = response.batch;
+    batch.files.forEach(serverFile => {
+      const file = batchFiles[serverFile.index];
+      if (file) {
+        Object.assign(file, {
+          status: serverFile.status,
+          percent: serverFile.percent,
+          attempts: serverFile.attempts,
+          outputPath: serverFile.outputPath,
+          error: serverFile.error
+        });
+      }
+    });
+    
+    if (batch.status !== 'queued' && batch.status !== 'running') {
+      stopBatchPolling();
+      showBatchSummary(batch);
+    }
+    
+    renderBatchFiles();
+  } catch (error) {
+    // The next poll tries again
+  }
+}
+
+function showBatchSummary(batch) {
+  const { total, done, failed, cancelled, durationMs } = batch.summary;
+  const seconds = Math.round(durationMs / 1000);
+  
+  let summary = `${done} de ${total} archivos convertidos en ${seconds} s`;
+  if (failed > 0) summary += `, ${failed} con errores`;
+  if (cancelled > 0) summary += `, ${cancelled} cancelados`;
+  summary += `. Carpeta: ${batch.outputFolder}`;
   
-  // Start queue status updates
-  startQueueStatusUpdates();
+  document.getElementById('batch-summary').textContent = summary;
+  
+  if (failed > 0) {
+    showError(`Lote terminado con ${failed} errores`);
+  } else {
+    showSuccess(`Lote terminado: ${done} archivos convertidos`);
+  }
 }
 
-function saveSettings() {
-  const settings = {
-    speaker: document.getElementById('speaker-setting')?.value || '0',
-    noise_scale: document.getElementById('noise-scale-setting')?.value || '0.667',
-    length_scale: document.getElementById('length-scale-setting')?.value || '1.0',
-    noise_w: document.getElementById('noise-w-setting')?.value || '0.8'
-  };
-  
-  localStorage.setItem('tts-settings', JSON.stringify(settings));
+// Audiobooks: chapters of an EPUB synthesized into one M4B or one file per chapter
+function isAudiobookRunning() {
+  return audiobookPollTimer !== null;
 }
 
-// Thread settings functions
-async function loadThreadSettings() {
+async function openEpubFile() {
+  if (isAudiobookRunning()) return;
+  
+  const epubPath = await window.electronAPI.selectFile('Abrir EPUB', [{ name: 'EPUB', extensions: ['epub'] }]);
+  if (!epubPath) return;
+  
   try {
-    const response = await fetch('http://localhost:3000/settings');
-    const data = await response.json();
+    const response = await window.serverAPI.openEpub(epubPath);
+    if (!response.success) {
+      showError('No se pudo abrir el EPUB: ' + response.error);
+      return;
+    }
     
-    if (data.success) {
-      const { settings, queueStatus } = data;
+    currentBook = response.book;
+    currentAudiobookBatchId = null;
+    // Non-linear spine items (notes, extras) start deselected
+    currentBook.chapters.forEach(chapter => Object.assign(chapter, {
+      selected: chapter.linear,
+      status: null,
+      percent: 0,
+      error: null
+    }));
+    
+    document.getElementById('audiobook-info').classList.remove('hidden');
+    document.getElementById('audiobook-title').textContent = currentBook.title;
+    document.getElementById('audiobook-author').textContent = currentBook.author || '';
+    const cover = document.getElementById('audiobook-cover');
+    cover.classList.toggle('hidden', !currentBook.cover);
+    if (currentBook.cover) cover.src = currentBook.cover;
+    document.getElementById('audiobook-summary').textContent = '';
+    
+    renderAudiobookChapters();
+  } catch (error) {
+    console.error('Error opening EPUB:', error);
+    showError('Error de conexión al abrir el EPUB');
+  }
+}
+
+function renderAudiobookChapters() {
+  const container = document.getElementById('audiobook-chapters');
+  const running = isAudiobookRunning();
+  container.innerHTML = '';
+  
+  if (!currentBook) {
+    container.innerHTML = '<div class="batch-row"><span>Abre un archivo EPUB para ver sus capítulos</span></div>';
+  } else {
+    currentBook.chapters.forEach(chapter => {
+      const row = document.createElement('div');
+      row.className = 'batch-row audiobook-chapter';
       
-      // Update UI elements
-      const autoThreadsCheckbox = document.getElementById('auto-threads-setting');
-      const maxThreadsInput = document.getElementById('max-threads-setting');
-      const manualThreadsContainer = document.getElementById('manual-threads-container');
-      const cpuCoresSpan = document.getElementById('cpu-cores');
-      const recommendedThreadsSpan = document.getElementById('recommended-threads');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = chapter.selected;
+      checkbox.disabled = running;
+      checkbox.addEventListener('change', () => {
+        chapter.selected = checkbox.checked;
+        renderAudiobookChapters();
+      });
       
-      if (autoThreadsCheckbox) {
-        autoThreadsCheckbox.checked = settings.autoDetectThreads;
-      }
+      const title = document.createElement('span');
+      title.className = 'batch-file-name';
+      title.textContent = chapter.title;
+      title.title = chapter.title;
       
-      if (maxThreadsInput) {
-        maxThreadsInput.value = settings.maxThreads;
-      }
+      const words = document.createElement('span');
+      words.textContent = `${chapter.wordCount} pal.`;
       
-      if (manualThreadsContainer) {
-        manualThreadsContainer.style.display = settings.autoDetectThreads ? 'none' : 'block';
+      const status = document.createElement('span');
+      if (chapter.status) {
+        status.textContent = chapter.status === 'running' ? `${chapter.percent}%` : BATCH_STATUS_LABELS[chapter.status];
       }
       
-      if (cpuCoresSpan) {
-        cpuCoresSpan.textContent = settings.cpuCores;
-      }
+      const preview = document.createElement('span');
+      preview.className = 'batch-file-preview';
+      preview.textContent = chapter.preview.replace(/\s+/g, ' ').substring(0, 140);
       
-      if (recommendedThreadsSpan) {
-        recommendedThreadsSpan.textContent = settings.recommendedThreads;
+      row.append(checkbox, title, words, status, preview);
+      
+      if (chapter.error) {
+        const error = document.createElement('span');
+        error.className = 'batch-file-error';
+        error.textContent = chapter.error;
+        row.appendChild(error);
       }
       
-      updateQueueStatus(queueStatus);
+      container.appendChild(row);
+    });
+  }
+  
+  const hasSelection = currentBook && currentBook.chapters.some(chapter => chapter.selected);
+  document.getElementById('audiobook-start-btn').disabled = running || !hasSelection || !selectedModel;
+  document.getElementById('audiobook-toggle-btn').disabled = running || !currentBook;
+  document.getElementById('audiobook-open-btn').disabled = running;
+  document.getElementById('audiobook-mode').disabled = running;
+  document.getElementById('audiobook-retry-btn').disabled = running || !currentAudiobookBatchId ||
+    !currentBook.chapters.some(chapter => chapter.status === 'error' || chapter.status === 'cancelled');
+  document.getElementById('audiobook-cancel-btn').classList.toggle('hidden', !running);
+}
+
+function toggleAllChapters() {
+  if (!currentBook) return;
+  
+  const selectAll = !currentBook.chapters.every(chapter => chapter.selected);
+  currentBook.chapters.forEach(chapter => { chapter.selected = selectAll; });
+  renderAudiobookChapters();
+}
+
+async function startAudiobook() {
+  if (!currentBook || !selectedModel || isAudiobookRunning()) return;
+  
+  let outputFolder = getExportSettings().folder;
+  if (!outputFolder) {
+    outputFolder = await window.electronAPI.selectFolder('Seleccionar carpeta de salida');
+    if (!outputFolder) return;
+    document.getElementById('export-folder-setting').value = outputFolder;
+    saveSettings();
+  }
+  
+  const chapters = currentBook.chapters.filter(chapter => chapter.selected);
+  
+  try {
+    const response = await window.serverAPI.createAudiobook({
+      bookId: currentBook.id,
+      chapters: chapters.map(chapter => chapter.index),
+      modelPath: selectedModel.onnxPath,
+      settings: getAudioSettings(),
+      mode: document.getElementById('audiobook-mode').value,
+      outputFolder: outputFolder
+    });
+    
+    if (!response.success) {
+      showError('Error al generar el audiolibro: ' + response.error);
+      return;
     }
+    
+    currentAudiobookBatchId = response.batchId;
+    currentBook.chapters.forEach(chapter => Object.assign(chapter, {
+      status: chapter.selected ? 'pending' : null,
+      percent: 0,
+      error: null
+    }));
+    document.getElementById('audiobook-summary').textContent = '';
+    startAudiobookPolling();
   } catch (error) {
-    console.error('Error loading thread settings:', error);
+    console.error('Error creating audiobook:', error);
+    showError('Error de conexión al generar el audiolibro');
   }
 }
 
-async function saveThreadSettings() {
+async function retryAudiobook() {
+  if (!currentAudiobookBatchId || isAudiobookRunning()) return;
+  
   try {
-    const autoThreadsCheckbox = document.getElementById('auto-threads-setting');
-    const maxThreadsInput = document.getElementById('max-threads-setting');
+    const response = await window.serverAPI.retryBatch(currentAudiobookBatchId);
+    if (!response.success) {
+      showError('No se pudo reintentar: ' + response.error);
+      return;
+    }
     
-    const requestData = {
-      autoDetectThreads: autoThreadsCheckbox?.checked || true,
-      maxThreads: parseInt(maxThreadsInput?.value || '8')
-    };
+    document.getElementById('audiobook-summary').textContent = '';
+    startAudiobookPolling();
+  } catch (error) {
+    console.error('Error retrying audiobook:', error);
+    showError('Error de conexión al reintentar el audiolibro');
+  }
+}
+
+async function cancelAudiobook() {
+  if (!currentAudiobookBatchId) return;
+  
+  try {
+    const response = await window.serverAPI.cancelBatch(currentAudiobookBatchId);
+    if (!response.success) {
+      showError('No se pudo cancelar: ' + response.error);
+    }
+  } catch (error) {
+    console.error('Error cancelling audiobook:', error);
+    showError('Error de conexión al cancelar el audiolibro');
+  }
+}
+
+function startAudiobookPolling() {
+  audiobookPollTimer = setInterval(pollAudiobook, 1000);
+  renderAudiobookChapters();
+}
+
+async function pollAudiobook() {
+  try {
+    const response = await window.serverAPI.getBatch(currentAudiobookBatchId);
+    if (!response.success) {
+      clearInterval(audiobookPollTimer);
+      audiobookPollTimer = null;
+      showError('Error al consultar el audiolibro: ' + response.error);
+      renderAudiobookChapters();
+      return;
+    }
     
-    const response = await fetch('http://localhost:3000/settings', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestData)
+    const batch = response.batch;
+    const selected = currentBook.chapters.filter(chapter => chapter.status !== null);
+    
+    // Batch files are the selected chapters, in order
+    batch.files.forEach(file => {
+      const chapter = selected[file.index];
+      if (chapter) {
+        Object.assign(chapter, { status: file.status, percent: file.percent, error: file.error });
+      }
     });
     
-    const data = await response.json();
+    const summary = document.getElementById('audiobook-summary');
+    if (batch.status === 'assembling') {
+      summary.textContent = 'Uniendo capítulos en el audiolibro...';
+    } else if (batch.status !== 'queued' && batch.status !== 'running') {
+      clearInterval(audiobookPollTimer);
+      audiobookPollTimer = null;
+      showAudiobookSummary(batch);
+    }
     
-    if (data.success) {
-      updateQueueStatus(data.queueStatus);
-      showSuccess('Configuración de hilos actualizada');
+    renderAudiobookChapters();
+  } catch (error) {
+    // The next poll tries again
+  }
+}
+
+function showAudiobookSummary(batch) {
+  const { total, done, failed } = batch.summary;
+  const summary = document.getElementById('audiobook-summary');
+  
+  if (batch.status === 'cancelled') {
+    summary.textContent = `Cancelado: ${done} de ${total} capítulos generados`;
+  } else if (batch.error) {
+    summary.textContent = `${done} de ${total} capítulos generados. ${batch.error}`;
+    showError('El audiolibro no se completó');
+  } else if (batch.outputPath) {
+    summary.textContent = `Audiolibro guardado en ${batch.outputPath}`;
+    showSuccess('Audiolibro generado');
+  } else {
+    summary.textContent = `${done} de ${total} capítulos guardados en ${batch.outputFolder}` +
+      (failed > 0 ? `, ${failed} con errores` : '');
+    if (failed > 0) {
+      showError(`Audiolibro terminado con ${failed} errores`);
     } else {
-      showError('Error al actualizar configuración: ' + data.error);
+      showSuccess('Capítulos generados');
+    }
+  }
+}
+
+// Dubbing: an SRT or WebVTT file synthesized onto its own timeline
+function getDubbingSettings() {
+  return {
+    maxSpeedup: parseFloat(document.getElementById('dub-max-speedup-setting')?.value || '1.25')
+  };
+}
+
+function updateDubbingControls() {
+  const running = dubbingPollTimer !== null;
+  document.getElementById('dub-start-btn').disabled = running || !dubbingSubtitles || !selectedModel;
+  document.getElementById('dub-select-btn').disabled = running;
+  document.getElementById('dub-cancel-btn').classList.toggle('hidden', !running);
+}
+
+async function loadDubbingFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  dubbingSubtitles = { name: file.name, content: await file.text() };
+  document.getElementById('dub-file-name').value = file.name;
+  document.getElementById('dub-summary').textContent = '';
+  document.getElementById('dub-report').innerHTML = '';
+  updateDubbingControls();
+}
+
+async function startDubbing() {
+  if (!dubbingSubtitles || !selectedModel || dubbingPollTimer) return;
+  
+  const settings = { ...getAudioSettings(), dubbing: getDubbingSettings() };
+  const model = selectedModel;
+  
+  try {
+    const response = await window.serverAPI.createDubbing(dubbingSubtitles.content, model.onnxPath, settings);
+    if (!response.success) {
+      showError('Error al iniciar el doblaje: ' + response.error);
+      return;
     }
+    
+    currentDubbingJobId = response.jobId;
+    document.getElementById('dub-summary').textContent = `Sintetizando ${response.cueCount} subtítulos...`;
+    document.getElementById('dub-report').innerHTML = '';
+    dubbingPollTimer = setInterval(() => pollDubbing(model, settings.output.format), 1000);
+    updateDubbingControls();
   } catch (error) {
-    console.error('Error saving thread settings:', error);
-    showError('Error de conexión al guardar configuración');
+    console.error('Error starting dubbing:', error);
+    showError('Error de conexión al iniciar el doblaje');
   }
 }
 
-function updateQueueStatus(queueStatus) {
-  const queueStatusSpan = document.getElementById('queue-status');
-  const runningProcessesSpan = document.getElementById('running-processes');
-  const queuedProcessesSpan = document.getElementById('queued-processes');
+async function cancelDubbing() {
+  if (!currentDubbingJobId) return;
   
-  if (queueStatusSpan) {
-    queueStatusSpan.textContent = `${queueStatus.maxConcurrent} máx`;
+  try {
+    const response = await window.serverAPI.cancelJob(currentDubbingJobId);
+    if (!response.success) {
+      showError('No se pudo cancelar: ' + response.error);
+    }
+  } catch (error) {
+    console.error('Error cancelling dubbing:', error);
+    showError('Error de conexión al cancelar el doblaje');
   }
+}
+
+function stopDubbingPolling() {
+  clearInterval(dubbingPollTimer);
+  dubbingPollTimer = null;
+  updateDubbingControls();
+}
+
+async function pollDubbing(model, format) {
+  try {
+    const response = await window.serverAPI.getJob(currentDubbingJobId);
+    if (!response.success) {
+      stopDubbingPolling();
+      showError('Error al consultar el doblaje: ' + response.error);
+      return;
+    }
+    
+    const job = response.job;
+    const summary = document.getElementById('dub-summary');
+    
+    if (job.status === 'queued' || job.status === 'running') {
+      summary.textContent = `Sintetizando subtítulos: ${job.progress.completed} de ${job.progress.total}`;
+      return;
+    }
+    
+    stopDubbingPolling();
+    
+    if (job.status === 'cancelled') {
+      summary.textContent = 'Doblaje cancelado';
+      return;
+    }
+    
+    if (job.status === 'failed') {
+      summary.textContent = '';
+      showError('Error en el doblaje: ' + job.error);
+      return;
+    }
+    
+    displayAudio(job.audio);
+    setLastGeneratedAudio(job.audio, format, model, dubbingSubtitles.name.replace(/\.(srt|vtt)$/i, ''));
+    showDubbingReport(job.dubbing);
+    showSuccess('Doblaje generado');
+  } catch (error) {
+    // The next poll tries again
+  }
+}
+
+// List the cues that were sped up, didn't fit or start late
+function showDubbingReport(dubbing) {
+  const formatTime = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+  };
   
-  if (runningProcessesSpan) {
-    runningProcessesSpan.textContent = queueStatus.running;
+  document.getElementById('dub-summary').textContent =
+    `${dubbing.cues.length} subtítulos: ${dubbing.compressed} acelerados, ${dubbing.overflow} no caben en su tiempo, ${dubbing.delayed} empiezan tarde`;
+  
+  const report = document.getElementById('dub-report');
+  report.innerHTML = '';
+  
+  dubbing.cues
+    .filter(cue => cue.status === 'overflow' || cue.status === 'compressed' || cue.delay > 0.05)
+    .forEach(cue => {
+      const item = document.createElement('div');
+      const notes = [];
+      if (cue.status === 'compressed') notes.push(`acelerado x${cue.speed}`);
+      if (cue.status === 'overflow') notes.push(`no cabe (clip de ${cue.clipDuration} s, x${cue.speed})`);
+      if (cue.delay > 0.05) notes.push(`empieza ${cue.delay} s tarde`);
+      
+      item.textContent = `#${cue.index + 1} ${formatTime(cue.start)}: ${notes.join(', ')} — ${cue.text}`;
+      report.appendChild(item);
+    });
+}
+
+// Dialogue scripts: "NOMBRE: texto" lines read with the voice mapped to each character.
+// The mapping is saved with the script and in localStorage
+function loadDialogueSettings() {
+  const saved = JSON.parse(localStorage.getItem('tts-dialogue') || '{}');
+  
+  dialogueVoices = saved.voices || {};
+  document.getElementById('dialogue-enabled-setting').checked = saved.enabled || false;
+  document.getElementById('dialogue-gap-setting').value = saved.gap !== undefined ? saved.gap : 0.4;
+  document.getElementById('dialogue-stems-setting').checked = saved.stems || false;
+  updateDialoguePanel();
+}
+
+function saveDialogueSettings() {
+  localStorage.setItem('tts-dialogue', JSON.stringify({
+    enabled: isDialogueEnabled(),
+    ...getDialogueSettings()
+  }));
+}
+
+function isDialogueEnabled() {
+  return document.getElementById('dialogue-enabled-setting').checked;
+}
+
+function getDialogueSettings() {
+  const gap = parseFloat(document.getElementById('dialogue-gap-setting').value);
+  
+  return {
+    voices: dialogueVoices,
+    gap: isNaN(gap) ? 0.4 : gap,
+    stems: document.getElementById('dialogue-stems-setting').checked
+  };
+}
+
+function updateDialoguePanel() {
+  document.getElementById('dialogue-panel').classList.toggle('hidden', !isDialogueEnabled());
+  if (isDialogueEnabled()) {
+    refreshDialogueCharacters();
   }
+}
+
+// Re-read the characters a moment after the user stops typing
+function scheduleDialogueRefresh() {
+  if (!isDialogueEnabled()) return;
   
-  if (queuedProcessesSpan) {
-    queuedProcessesSpan.textContent = queueStatus.queued;
+  clearTimeout(dialogueRefreshTimer);
+  dialogueRefreshTimer = setTimeout(refreshDialogueCharacters, 500);
+}
+
+async function refreshDialogueCharacters() {
+  try {
+    const response = await window.serverAPI.getDialogueCharacters(textInput.value);
+    if (response.success) {
+      renderDialogueCharacters(response.characters);
+    }
+  } catch (error) {
+    console.error('Error reading dialogue characters:', error);
   }
 }
 
-function startQueueStatusUpdates() {
-  // Update queue status every 2 seconds when settings panel is open
-  setInterval(async () => {
-    if (!settingsPanel.classList.contains('hidden')) {
-      try {
-        const response = await fetch('http://localhost:3000/queue-status');
-        const data = await response.json();
-        
-        if (data.success) {
-          updateQueueStatus(data.status);
-        }
-      } catch (error) {
-        // Silently fail - don't spam console with connection errors
-      }
+function renderDialogueCharacters(characters) {
+  const container = document.getElementById('dialogue-characters');
+  container.innerHTML = '';
+  
+  if (characters.length === 0) {
+    container.innerHTML = '<div class="batch-row"><span>Escribe líneas como «ANA: Hola» para asignar voces</span></div>';
+    return;
+  }
+  
+  characters.forEach(character => {
+    const voice = dialogueVoices[character.name] || (dialogueVoices[character.name] = { modelId: '', speaker: 0 });
+    
+    const row = document.createElement('div');
+    row.className = 'batch-row dialogue-character';
+    
+    const name = document.createElement('span');
+    name.className = 'batch-file-name';
+    name.textContent = character.name;
+    
+    const lines = document.createElement('span');
+    lines.textContent = `${character.lines} ${character.lines === 1 ? 'línea' : 'líneas'}`;
+    
+    const modelSelect = document.createElement('select');
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Modelo seleccionado';
+    modelSelect.appendChild(defaultOption);
+    availableModels.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.textContent = model.name;
+      modelSelect.appendChild(option);
+    });
+    modelSelect.value = voice.modelId || '';
+    
+    // Speakers of the mapped model (or of the selected model)
+    const speaker = document.createElement('select');
+    speaker.title = 'Hablante';
+    const renderCharacterSpeakers = () => {
+      const model = availableModels.find(m => m.id === voice.modelId) || selectedModel;
+      const speakers = (model && model.speakers) || [{ id: 0, name: null }];
+      
+      speaker.innerHTML = '';
+      speakers.forEach(item => {
+        const option = document.createElement('option');
+        option.value = String(item.id);
+        option.textContent = item.name || `Hablante ${item.id}`;
+        speaker.appendChild(option);
+      });
+      speaker.value = speakers.some(item => String(item.id) === String(voice.speaker)) ? String(voice.speaker) : '0';
+      speaker.disabled = speakers.length <= 1;
+    };
+    renderCharacterSpeakers();
+    
+    modelSelect.addEventListener('change', () => {
+      voice.modelId = modelSelect.value;
+      renderCharacterSpeakers();
+      voice.speaker = parseInt(speaker.value, 10);
+      saveDialogueSettings();
+    });
+    speaker.addEventListener('change', () => {
+      voice.speaker = parseInt(speaker.value, 10);
+      saveDialogueSettings();
+    });
+    
+    row.append(name, lines, modelSelect, speaker);
+    container.appendChild(row);
+  });
+}
+
+function saveDialogueScript() {
+  const script = { type: 'dialogue-script', text: textInput.value, ...getDialogueSettings() };
+  
+  const blob = new Blob([JSON.stringify(script, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'guion.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// A saved script (JSON) restores the text and its voices; a plain text file only the text
+async function openDialogueScript(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  const content = await file.text();
+  let script = { text: content };
+  
+  if (/\.json$/i.test(file.name)) {
+    try {
+      script = JSON.parse(content);
+    } catch (error) {
+      script = null;
     }
-  }, 2000);
-}
\ No newline at end of file
+    
+    if (!script || script.type !== 'dialogue-script' || typeof script.text !== 'string') {
+      showError('El archivo no es un guion válido');
+      return;
+    }
+  }
+  
+  textInput.value = script.text;
+  saveTextToStorage();
+  autoResizeTextarea();
+  
+  if (script.voices) dialogueVoices = script.voices;
+  if (script.gap !== undefined) document.getElementById('dialogue-gap-setting').value = script.gap;
+  if (script.stems !== undefined) document.getElementById('dialogue-stems-setting').checked = script.stems;
+  
+  saveDialogueSettings();
+  refreshDialogueCharacters();
+  showSuccess(`Guion cargado: ${file.name}`);
+}
@@ -4,6 +4,13 @@ const path = require('path');
 const { spawn } = require('child_process');
 const os = require('os');
 const crypto = require('crypto');
+const readline = require('readline');
+const { verbalizeText, verbalizeDate } = require('./verbalizer');
+const { getLanguagePack } = require('./language-packs');
+const { parseEpub } = require('./epub');
+const { extractZip, extractTarGz } = require('./archive');
+const { preprocessMarkdown } = require('./markdown');
+const { sanitizeFileName } = require('./filenames');
 
 // Get CPU core count for parallel processing
 const CPU_CORES = os.cpus().length;
@@ -23,12 +30,14 @@ class ProcessQueue {
     this.processQueue();
   }
 
-  async add(task) {
+  // groupId tags the task (e.g. with a job id) so it can be cancelled with cancelGroup
+  async add(task, groupId = null) {
     return new Promise((resolve, reject) => {
       const queueItem = {
         task,
         resolve,
         reject,
+        groupId,
         id: Math.random().toString(36).substr(2, 9)
       };
       
@@ -63,6 +72,21 @@ class ProcessQueue {
     }
   }
 
+  // Remove every pending task of a group and reject it as cancelled
+  cancelGroup(groupId) {
+    const cancelledItems = this.queue.filter(item => item.groupId === groupId);
+    this.queue = this.queue.filter(item => item.groupId !== groupId);
+    
+    for (const queueItem of cancelledItems) {
+      const error = new Error('Task cancelled');
+      error.cancelled = true;
+      queueItem.reject(error);
+    }
+    
+    console.log(`[QUEUE] Cancelled ${cancelledItems.length} pending tasks for group ${groupId}. Queue size: ${this.queue.length}`);
+    return cancelledItems.length;
+  }
+
   getStatus() {
     return {
       maxConcurrent: this.maxConcurrent,
@@ -76,693 +100,4727 @@ class ProcessQueue {
 // Global process queue instance
 const processQueue = new ProcessQueue();
 
-// Settings for user configuration
-let userSettings = {
-  maxThreads: processQueue.maxConcurrent,
-  autoDetectThreads: true
-};
+// Piper worker pool configuration
+const WORKER_REQUEST_TIMEOUT_MS = 60 * 1000; // Max time for a single sentence
+const WORKER_IDLE_TIMEOUT_MS = 5 * 60 * 1000; // Idle workers are shut down after this
+const WORKER_HEALTH_CHECK_MS = 15 * 1000;
 
-const app = express();
-const PORT = 3000;
+// A long-lived piper process that keeps one model loaded and synthesizes one
+// sentence at a time, sent as JSON lines over stdin. Piper prints the path of
+// each finished WAV file on its own stdout line.
+class PiperWorker {
+  constructor(key, modelPath, settings) {
+    this.key = key;
+    this.modelPath = modelPath;
+    this.settings = settings;
+    this.id = Math.random().toString(36).substr(2, 9);
+    this.process = null;
+    this.current = null; // { resolve, reject, outputFile, startedAt, job, timer }
+    this.lastUsed = Date.now();
+    this.alive = false;
+    this.stderr = '';
+  }
 
-// Middleware
-const cors = require('cors');
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static('public'));
+  start() {
+    const args = [
+      '-m', this.modelPath,
+      '--json-input',
+      '--output_dir', os.tmpdir(),
+      '--noise-scale', String(this.settings.noise_scale || 0.667),
+      '--length-scale', String(this.settings.length_scale || 1.0),
+      '--noise-w', String(this.settings.noise_w || 0.8)
+    ];
+    
+    console.log(`[WORKER] Starting worker ${this.id}:`, piperPath, args.join(' '));
+    
+    this.process = spawn(piperPath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.alive = true;
+    
+    const lines = readline.createInterface({ input: this.process.stdout });
+    lines.on('line', (line) => this.handleOutputLine(line.trim()));
+    
+    this.process.stderr.on('data', (data) => {
+      // Keep only the tail, piper logs every sentence
+      this.stderr = (this.stderr + data.toString()).slice(-4000);
+    });
+    
+    this.process.stdin.on('error', (error) => {
+      console.error(`[WORKER] Worker ${this.id} stdin error: ${error.message}`);
+    });
+    
+    this.process.on('error', (error) => {
+      this.handleExit(null, error);
+    });
+    
+    this.process.on('close', (code) => {
+      this.handleExit(code);
+    });
+  }
 
-// Global variables
-let modelPaths = [];
-let availableModels = [];
-let piperPath, ffmpegPath, ffprobePath;
+  isBusy() {
+    return this.current !== null;
+  }
 
-// Default model paths
-const onnxTtsPath = path.join(os.homedir(), 'Documents', 'onnx-tts');
+  synthesize(text, settings = {}, job = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.alive) {
+        reject(new Error('Piper worker is not running'));
+        return;
+      }
+      
+      const outputFile = path.join(os.tmpdir(), `tts_${generateRandomString()}.wav`);
+      const request = {
+        text: text,
+        speaker_id: parseInt(settings.speaker || 0, 10),
+        output_file: outputFile
+      };
+      
+      this.current = { resolve, reject, outputFile, startedAt: Date.now(), job };
+      this.current.timer = setTimeout(() => {
+        console.error(`[WORKER] Worker ${this.id} timed out, restarting`);
+        this.kill();
+      }, WORKER_REQUEST_TIMEOUT_MS);
+      
+      if (job) {
+        job.processes.add(this.process);
+      }
+      
+      console.log(`[WORKER] Worker ${this.id} synthesizing: ${text}`);
+      this.process.stdin.write(JSON.stringify(request) + '\n');
+    });
+  }
 
-// Initialize paths - handle both development and packaged app
-function initializePaths() {
-  const isPackaged = process.env.ELECTRON_IS_PACKAGED === 'true';
-  
-  if (isPackaged) {
-    // In packaged app, resources are in process.resourcesPath
-    const resourcesPath = process.resourcesPath;
-    piperPath = path.join(resourcesPath, 'piper', 'piper.exe');
-    ffmpegPath = path.join(resourcesPath, 'ffmpeg.exe');
-    ffprobePath = path.join(resourcesPath, 'ffprobe.exe');
-  } else {
-    // In development, use current directory
-    piperPath = path.join(__dirname, 'piper', 'piper.exe');
-    ffmpegPath = path.join(__dirname, 'ffmpeg.exe');
-    ffprobePath = path.join(__dirname, 'ffprobe.exe');
+  handleOutputLine(line) {
+    if (!line || !this.current) return;
+    
+    const { resolve, reject, outputFile } = this.finishRequest();
+    
+    if (fs.existsSync(outputFile)) {
+      resolve(outputFile);
+    } else {
+      reject(new Error(`Piper worker did not produce ${outputFile}: ${this.stderr}`));
+    }
   }
-  
-  console.log(`[PATHS] Packaged: ${isPackaged}`);
-  console.log(`[PATHS] Piper: ${piperPath}`);
-  console.log(`[PATHS] FFmpeg: ${ffmpegPath}`);
-  console.log(`[PATHS] FFprobe: ${ffprobePath}`);
-}
 
-// Initialize paths on startup
-try {
-  initializePaths();
-} catch (error) {
-  // Fallback to development paths if electron is not available
-  piperPath = path.join(__dirname, 'piper', 'piper.exe');
-  ffmpegPath = path.join(__dirname, 'ffmpeg.exe');
-  ffprobePath = path.join(__dirname, 'ffprobe.exe');
-}
+  handleExit(code, error = null) {
+    if (!this.alive) return;
+    this.alive = false;
+    
+    console.log(`[WORKER] Worker ${this.id} exited with code ${code}`);
+    
+    if (this.current) {
+      const { reject, outputFile } = this.finishRequest();
+      fs.unlink(outputFile).catch(() => {});
+      
+      const crashError = error || new Error(`Piper failed with code ${code}: ${this.stderr}${describeModelWarnings(this.modelPath)}`);
+      crashError.workerCrashed = true;
+      reject(crashError);
+    }
+    
+    piperPool.removeWorker(this);
+  }
 
-// Initialize model paths
-modelPaths = [onnxTtsPath];
-console.log('Initialized model paths:', modelPaths);
+  // Clear the in-flight request and return it
+  finishRequest() {
+    const request = this.current;
+    clearTimeout(request.timer);
+    
+    if (request.job) {
+      request.job.processes.delete(this.process);
+    }
+    
+    this.current = null;
+    this.lastUsed = Date.now();
+    return request;
+  }
 
-// Scan models from specified directories
-async function scanModels() {
-  availableModels = [];
-  
-  for (const modelPath of modelPaths) {
-    try {
-      if (await fs.pathExists(modelPath)) {
-        const files = await fs.readdir(modelPath);
-        
-        for (const file of files) {
-          if (file.endsWith('.onnx.json')) {
-            const jsonPath = path.join(modelPath, file);
-            const onnxPath = path.join(modelPath, file.replace('.onnx.json', '.onnx'));
-            
-            // Check if corresponding .onnx file exists
-            if (await fs.pathExists(onnxPath)) {
-              try {
-                const modelData = await fs.readJson(jsonPath);
-                const modelcard = modelData.modelcard || {};
-                
-                // Get model-specific replacements, convert to tuples if needed
-                let modelReplacements = modelcard.replacements || [['\n', ' . '], ['*', ''], [')', ',']];
-                if (modelReplacements.length > 0 && Array.isArray(modelReplacements[0])) {
-                  // Already in correct format
-                } else if (modelReplacements.length > 0 && typeof modelReplacements[0] === 'object') {
-                  // Convert objects to arrays
-                  modelReplacements = modelReplacements.map(item => [item[0], item[1]]);
-                }
-                
-                // Extract and process base64 image if it exists
-                let imageBase64 = null;
-                if (modelcard.image) {
-                  try {
-                    let imageData = modelcard.image;
-                    let imgFormat = 'png'; // default format
-                    
-                    // Extract image format and data from base64 string
-                    if (imageData.includes('base64,')) {
-                      const [header, data] = imageData.split('base64,', 2);
-                      imgFormat = header.split('/')[1]?.split(';')[0] || 'png';
-                      imageData = data;
-                    }
-                    
-                    // Validate base64 data
-                    if (imageData && /^[A-Za-z0-9+/]*={0,2}$/.test(imageData)) {
-                      imageBase64 = imageData;
-                      console.log(`Extracted base64 image for model: ${modelcard.id || file.replace('.onnx.json', '')} (${imgFormat})`);
-                    }
-                  } catch (error) {
-                    console.error(`Error processing image for model ${modelcard.id || file.replace('.onnx.json', '')}:`, error);
-                  }
-                }
-                
-                const model = {
-                  id: modelcard.id || file.replace('.onnx.json', ''),
-                  name: modelcard.name || file.replace('.onnx.json', ''),
-                  description: modelcard.description || 'No description available',
-                  language: modelcard.language || 'Unknown',
-                  voiceprompt: modelcard.voiceprompt || 'Not available',
-                  jsonPath: jsonPath,
-                  onnxPath: onnxPath,
-                  image: imageBase64,
-                  replacements: modelReplacements,
-                  source: modelPath
-                };
-                
-                availableModels.push(model);
-                console.log(`Found model: ${model.name} (${model.id})`);
-              } catch (error) {
-                console.error(`Error reading model ${file}:`, error);
-              }
-            }
-          }
-        }
-      } else {
-        console.log(`Model path does not exist: ${modelPath}`);
-      }
-    } catch (error) {
-      console.error(`Error scanning path ${modelPath}:`, error);
+  kill() {
+    if (this.process && this.alive) {
+      this.process.kill();
     }
   }
-  
-  console.log(`Total models found: ${availableModels.length}`);
 }
 
-// Generate random string for temporary files
-function generateRandomString(length = 8) {
-  return crypto.randomBytes(length).toString('hex');
-}
+// Pool of piper workers grouped by model and synthesis settings. The
+// ProcessQueue limits how many sentences run at once; the pool makes sure each
+// of them gets a worker that already has the model loaded.
+class PiperWorkerPool {
+  constructor() {
+    this.workers = new Map(); // key -> PiperWorker[]
+    this.healthTimer = setInterval(() => this.checkHealth(), WORKER_HEALTH_CHECK_MS);
+    this.healthTimer.unref();
+  }
 
-// Apply text replacements with proper word boundary handling
-function applyReplacements(text, replacements) {
-  if (!text || !replacements || replacements.length === 0) {
-    return text;
+  // Speaker is sent per sentence, the other settings are fixed when piper starts
+  getKey(modelPath, settings) {
+    const { noise_scale, length_scale, noise_w } = normalizeSynthesisSettings(settings);
+    return [modelPath, noise_scale, length_scale, noise_w].join('|');
   }
-  
-  console.log(`[REPLACEMENTS] Starting text: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
-  const originalText = text;
-  let processedText = text;
-  
-  for (const [find, replace] of replacements) {
-    if (!find) continue; // Skip empty find strings
+
+  getTotalWorkers() {
+    let total = 0;
+    for (const workers of this.workers.values()) {
+      total += workers.length;
+    }
+    return total;
+  }
+
+  acquire(modelPath, settings) {
+    const key = this.getKey(modelPath, settings);
+    const workers = this.workers.get(key) || [];
+    
+    const idleWorker = workers.find(w => w.alive && !w.isBusy());
+    if (idleWorker) {
+      return idleWorker;
+    }
     
-    const beforeCount = (processedText.match(new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
+    // Make room by stopping the longest idle worker of another model
+    if (this.getTotalWorkers() >= processQueue.maxConcurrent) {
+      this.stopOldestIdleWorker(key);
+    }
     
-    // Special handling for abbreviations ending with period
-    if (find.endsWith('.')) {
-      const pattern = new RegExp(`\\b${find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'gi');
-      processedText = processedText.replace(pattern, replace);
+    const worker = new PiperWorker(key, modelPath, settings);
+    worker.start();
+    workers.push(worker);
+    this.workers.set(key, workers);
+    console.log(`[WORKER] Pool for ${path.basename(modelPath)} now has ${workers.length} workers (total: ${this.getTotalWorkers()})`);
+    return worker;
+  }
+
+  async synthesize(text, modelPath, settings = {}, job = null) {
+    // A crashed worker is replaced and the sentence retried once
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const worker = this.acquire(modelPath, settings);
+      
+      try {
+        return await worker.synthesize(text, settings, job);
+      } catch (error) {
+        const cancelled = job && job.cancelled;
+        if (!error.workerCrashed || cancelled || attempt === 2) {
+          throw error;
+        }
+        console.warn(`[WORKER] Worker ${worker.id} crashed, retrying sentence on a new worker`);
+      }
     }
-    // Multi-word phrases
-    else if (find.includes(' ')) {
-      const pattern = new RegExp(`\\b${find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-      processedText = processedText.replace(pattern, replace);
+  }
+
+  removeWorker(worker) {
+    const workers = this.workers.get(worker.key);
+    if (!workers) return;
+    
+    const remaining = workers.filter(w => w !== worker);
+    if (remaining.length > 0) {
+      this.workers.set(worker.key, remaining);
+    } else {
+      this.workers.delete(worker.key);
     }
-    // Single words/numbers
-    else {
-      if (/^\d+$/.test(find)) {
-        // Don't replace if number is part of larger number, decimal, or comma-separated
-        // BUT allow replacement when followed by period (enumeration context)
-        const pattern = new RegExp(`\\b${find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![0-9,]|\\.(?!\\s))`, 'gi');
-        processedText = processedText.replace(pattern, replace);
-      } else {
-        // Standard word boundaries for non-numeric replacements
-        const pattern = new RegExp(`\\b${find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-        processedText = processedText.replace(pattern, replace);
+  }
+
+  stopOldestIdleWorker(exceptKey) {
+    let oldest = null;
+    
+    for (const [key, workers] of this.workers) {
+      if (key === exceptKey) continue;
+      for (const worker of workers) {
+        if (!worker.isBusy() && (!oldest || worker.lastUsed < oldest.lastUsed)) {
+          oldest = worker;
+        }
       }
     }
     
-    const afterCount = (processedText.match(new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
-    const replacementsMade = beforeCount - afterCount;
+    if (oldest) {
+      console.log(`[WORKER] Stopping idle worker ${oldest.id} to free a slot`);
+      oldest.kill();
+      this.removeWorker(oldest);
+    }
+  }
+
+  // Drop dead workers, restart hung ones and shut down idle ones
+  checkHealth() {
+    const now = Date.now();
     
-    if (replacementsMade > 0) {
-      console.log(`[REPLACEMENTS] '${find}' → '${replace}' (${replacementsMade} replacements)`);
+    for (const workers of [...this.workers.values()]) {
+      for (const worker of workers) {
+        if (!worker.alive || worker.process.exitCode !== null) {
+          this.removeWorker(worker);
+        } else if (worker.isBusy() && now - worker.current.startedAt > WORKER_REQUEST_TIMEOUT_MS) {
+          console.warn(`[WORKER] Worker ${worker.id} is not responding, restarting`);
+          worker.kill();
+        } else if (!worker.isBusy() && now - worker.lastUsed > WORKER_IDLE_TIMEOUT_MS) {
+          console.log(`[WORKER] Worker ${worker.id} idle, shutting down`);
+          worker.kill();
+          this.removeWorker(worker);
+        }
+      }
     }
   }
-  
-  if (processedText !== originalText) {
-    console.log(`[REPLACEMENTS] Final text: '${processedText.substring(0, 100)}${processedText.length > 100 ? '...' : ''}'`);
-  } else {
-    console.log('[REPLACEMENTS] No changes made to text');
+
+  shutdown() {
+    for (const workers of this.workers.values()) {
+      workers.forEach(worker => worker.kill());
+    }
+    this.workers.clear();
+  }
+
+  getStatus() {
+    let busy = 0;
+    for (const workers of this.workers.values()) {
+      busy += workers.filter(w => w.isBusy()).length;
+    }
+    
+    return {
+      models: this.workers.size,
+      workers: this.getTotalWorkers(),
+      busy: busy
+    };
+  }
+}
+
+// Global piper worker pool
+const piperPool = new PiperWorkerPool();
+
+process.on('exit', () => piperPool.shutdown());
+
+// Settings for user configuration
+let userSettings = {
+  maxThreads: processQueue.maxConcurrent,
+  autoDetectThreads: true,
+  cacheEnabled: true,
+  cacheMaxSizeMB: 500
+};
+
+// App data folder (set by main.js from Electron's userData path)
+const appDataPath = process.env.APP_DATA_PATH || path.join(os.homedir(), '.piper-tts-electron');
+const appConfigPath = path.join(appDataPath, 'config.json');
+
+// Load persisted settings from the app config
+function loadAppConfig() {
+  try {
+    if (fs.existsSync(appConfigPath)) {
+      const config = fs.readJsonSync(appConfigPath);
+      userSettings = { ...userSettings, ...(config.settings || {}) };
+      console.log(`[CONFIG] Loaded app config from ${appConfigPath}`);
+    }
+  } catch (error) {
+    console.error('[CONFIG] Error loading app config, using defaults:', error);
   }
   
-  return processedText;
+  if (!userSettings.autoDetectThreads) {
+    processQueue.setMaxConcurrent(userSettings.maxThreads);
+  }
 }
 
-// Filter code blocks
-function filterCodeBlocks(text) {
-  return text.replace(/```[^`\n]*\n.*?```/gs, '');
+async function saveAppConfig() {
+  try {
+    await fs.ensureDir(appDataPath);
+    const config = (await fs.pathExists(appConfigPath)) ? await fs.readJson(appConfigPath) : {};
+    config.settings = userSettings;
+    config.modelSources = modelSources;
+    config.presets = presets;
+    config.modelPresets = modelPresets;
+    await fs.writeJson(appConfigPath, config, { spaces: 2 });
+  } catch (error) {
+    console.error('[CONFIG] Error saving app config:', error);
+  }
 }
 
-// Process line breaks - Fixed to preserve text integrity
-function processLineBreaks(text) {
-  console.log(`[LINE_BREAKS] Original text: "${text.substring(0, 200)}${text.length > 200 ? '...' : ''}"`);
-  
-  // Don't split by lines aggressively - preserve the original text structure
-  // Only handle obvious paragraph breaks
-  let processedText = text;
-  
-  // Handle paragraph breaks (double line breaks) - these become sentence breaks
-  processedText = processedText.replace(/\n\s*\n/g, '. ');
-  
-  // Handle single line breaks more carefully - they become spaces unless at end of sentence
-  processedText = processedText.replace(/([.!?¿¡…])\s*\n/g, '$1 '); // Punctuation + line break = punctuation + space
-  processedText = processedText.replace(/([^.!?¿¡…])\s*\n\s*([A-ZÁÉÍÓÚÑÜ])/g, '$1. $2'); // No punctuation + line break + capital = add period
-  processedText = processedText.replace(/\n/g, ' '); // Remaining line breaks become spaces
-  
-  // Clean up spacing
-  processedText = processedText.replace(/\s+/g, ' ').trim();
-  
-  // Handle special cases for better speech flow
-  processedText = processedText.replace(/([a-zA-Z])\s*:\s*/g, '$1: '); // Normalize colons
-  
-  // Clean up multiple periods but be careful not to break ellipsis
-  processedText = processedText.replace(/\.{4,}/g, '...'); // 4+ periods become ellipsis
-  processedText = processedText.replace(/\.{2}(?!\.)/g, '.'); // Double periods become single (preserve ellipsis)
-  
-  console.log(`[LINE_BREAKS] Final processed text: "${processedText.substring(0, 200)}${processedText.length > 200 ? '...' : ''}"`);
-  
-  return processedText;
+// Synthesis settings with piper's defaults filled in
+function normalizeSynthesisSettings(settings = {}) {
+  return {
+    speaker: parseInt(settings.speaker || 0, 10),
+    noise_scale: parseFloat(settings.noise_scale || 0.667),
+    length_scale: parseFloat(settings.length_scale || 1.0),
+    noise_w: parseFloat(settings.noise_w || 0.8)
+  };
 }
 
-// Advanced sentence splitting with natural speech pattern handling - Enhanced for punctuation pairs
-function splitSentences(text) {
-  if (!text || !text.trim()) {
-    return [];
+// Content-addressed cache of per-sentence WAV files. The key hashes the model
+// file, the final sentence text and the synthesis settings. Least recently used
+// entries are evicted when the cache grows past its size limit; the file mtime
+// records the last access so the order survives restarts.
+class SentenceCache {
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+    this.entries = new Map(); // key -> { size, lastAccess, pending }
+    this.totalSize = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.modelHashes = new Map(); // modelPath -> { size, mtimeMs, hash: Promise<string> }
+    this.ready = this.load();
   }
-  
-  console.log(`[SPLIT] Original text: "${text}"`);
-  
-  // Common abbreviations in multiple languages
-  const abbreviations = [
-    'Sr', 'Sra', 'Srta', 'Dr', 'Dra', 'Prof', 'Profa', 'Lic', 'Licda', 
-    'Ing', 'Inga', 'Arq', 'Arqa', 'Mtro', 'Mtra', 'etc', 'vs', 'p.ej', 
-    'i.e', 'cf', 'vol', 'cap', 'art', 'núm', 'pág', 'ed', 'op.cit',
-    'Mr', 'Mrs', 'Ms', 'Miss', 'Inc', 'Ltd', 'Corp', 'Co', 'e.g'
-  ];
-  
-  // Step 1: Normalize and fix incomplete punctuation patterns
-  let normalizedText = normalizeTextForTTS(text);
-  
-  // Step 2: Protect abbreviations by temporarily replacing them
-  let protectedText = normalizedText;
-  const protectionMap = new Map();
-  let protectionCounter = 0;
-  
-  for (const abbrev of abbreviations) {
-    const regex = new RegExp(`\\b${abbrev.replace('.', '\\.')}\\b`, 'gi');
-    protectedText = protectedText.replace(regex, (match) => {
-      const placeholder = `__ABBREV_${protectionCounter}__`;
-      protectionMap.set(placeholder, match);
-      protectionCounter++;
-      return placeholder;
-    });
+
+  async load() {
+    try {
+      await fs.ensureDir(this.cacheDir);
+      const files = await fs.readdir(this.cacheDir);
+      
+      for (const file of files) {
+        if (!file.endsWith('.wav')) continue;
+        const stats = await fs.stat(path.join(this.cacheDir, file));
+        this.entries.set(file.replace('.wav', ''), { size: stats.size, lastAccess: stats.mtimeMs });
+        this.totalSize += stats.size;
+      }
+      
+      console.log(`[CACHE] Loaded ${this.entries.size} cached sentences (${(this.totalSize / 1024 / 1024).toFixed(1)} MB)`);
+    } catch (error) {
+      console.error('[CACHE] Error loading sentence cache:', error);
+    }
   }
-  
-  // Step 3: Improved sentence splitting using regex patterns
-  const sentences = [];
-  
-  // Use a more reliable regex-based approach for sentence splitting
-  // This pattern looks for sentence endings followed by whitespace and capital letters or sentence starters
-  const sentencePattern = /([.!?]+)\s+(?=[A-ZÁÉÍÓÚÑÜ¡¿]|$)/g;
-  
-  let lastIndex = 0;
-  let match;
-  
-  while ((match = sentencePattern.exec(protectedText)) !== null) {
-    const sentenceEnd = match.index + match[1].length;
-    const sentence = protectedText.substring(lastIndex, sentenceEnd).trim();
+
+  // Hash of the model file contents, recomputed only when the file changes
+  async getModelHash(modelPath) {
+    const stats = await fs.stat(modelPath);
+    const known = this.modelHashes.get(modelPath);
     
-    if (sentence.length > 0) {
-      sentences.push(sentence);
-      console.log(`[SPLIT] Extracted sentence: "${sentence}"`);
+    if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs) {
+      return known.hash;
     }
     
-    lastIndex = sentenceEnd;
-  }
+    const hash = new Promise((resolve, reject) => {
+      const hasher = crypto.createHash('sha256');
+      fs.createReadStream(modelPath)
+        .on('data', chunk => hasher.update(chunk))
+        .on('end', () => resolve(hasher.digest('hex')))
+        .on('error', reject);
+    });
+    
+    this.modelHashes.set(modelPath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+    return hash;
+  }
+
+  async getKey(modelPath, text, settings) {
+    const modelHash = await this.getModelHash(modelPath);
+    const { speaker, noise_scale, length_scale, noise_w } = normalizeSynthesisSettings(settings);
+    
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([modelHash, text, speaker, noise_scale, length_scale, noise_w]))
+      .digest('hex');
+  }
+
+  getEntryPath(key) {
+    return path.join(this.cacheDir, `${key}.wav`);
+  }
+
+  // Returns a temporary copy of the cached audio, or null on a miss
+  async lookup(modelPath, text, settings) {
+    if (!userSettings.cacheEnabled) return null;
+    
+    try {
+      await this.ready;
+      const key = await this.getKey(modelPath, text, settings);
+      const entry = this.entries.get(key);
+      
+      // Entries still being written count as misses
+      if (!entry || entry.pending) {
+        this.misses++;
+        return null;
+      }
+      
+      // The pipeline deletes sentence files after concatenation, so hand out a copy
+      const tempFile = path.join(os.tmpdir(), `tts_${generateRandomString()}.wav`);
+      await fs.copy(this.getEntryPath(key), tempFile);
+      
+      entry.lastAccess = Date.now();
+      const accessTime = new Date(entry.lastAccess);
+      fs.utimes(this.getEntryPath(key), accessTime, accessTime).catch(() => {});
+      
+      this.hits++;
+      return tempFile;
+    } catch (error) {
+      console.error('[CACHE] Error reading from cache:', error.message);
+      this.misses++;
+      return null;
+    }
+  }
+
+  async store(modelPath, text, settings, audioFile) {
+    if (!userSettings.cacheEnabled) return;
+    
+    try {
+      await this.ready;
+      const key = await this.getKey(modelPath, text, settings);
+      if (this.entries.has(key)) return;
+      
+      // Reserve the key before copying, so a second store of the same sentence is skipped
+      const entry = { size: 0, lastAccess: Date.now(), pending: true };
+      this.entries.set(key, entry);
+      
+      try {
+        await fs.copy(audioFile, this.getEntryPath(key));
+        const stats = await fs.stat(this.getEntryPath(key));
+        
+        // The cache was cleared while copying
+        if (this.entries.get(key) !== entry) {
+          await fs.unlink(this.getEntryPath(key)).catch(() => {});
+          return;
+        }
+        
+        entry.size = stats.size;
+        entry.pending = false;
+        this.totalSize += stats.size;
+      } catch (error) {
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+        throw error;
+      }
+      
+      await this.evict();
+    } catch (error) {
+      console.error('[CACHE] Error writing to cache:', error.message);
+    }
+  }
+
+  // Remove least recently used entries until the cache fits its size limit
+  async evict() {
+    const maxSize = userSettings.cacheMaxSizeMB * 1024 * 1024;
+    if (this.totalSize <= maxSize) return;
+    
+    const byAge = [...this.entries.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    let evicted = 0;
+    
+    for (const [key, entry] of byAge) {
+      if (this.totalSize <= maxSize) break;
+      if (entry.pending) continue;
+      
+      // Overlapping evictions may already have removed this entry
+      if (!this.entries.delete(key)) continue;
+      this.totalSize -= entry.size;
+      evicted++;
+      await fs.unlink(this.getEntryPath(key)).catch(() => {});
+    }
+    
+    console.log(`[CACHE] Evicted ${evicted} entries, size now ${(this.totalSize / 1024 / 1024).toFixed(1)} MB`);
+  }
+
+  async clear() {
+    await this.ready;
+    await fs.emptyDir(this.cacheDir);
+    this.entries.clear();
+    this.totalSize = 0;
+    this.hits = 0;
+    this.misses = 0;
+    console.log('[CACHE] Cache cleared');
+  }
+
+  getStats() {
+    return {
+      enabled: userSettings.cacheEnabled,
+      entries: this.entries.size,
+      sizeBytes: this.totalSize,
+      maxSizeBytes: userSettings.cacheMaxSizeMB * 1024 * 1024,
+      hits: this.hits,
+      misses: this.misses,
+      directory: this.cacheDir
+    };
+  }
+}
+
+loadAppConfig();
+
+// Global sentence cache
+const sentenceCache = new SentenceCache(path.join(appDataPath, 'cache', 'sentences'));
+
+// Pronunciation dictionaries stored in the app data folder:
+//   global_replacements.json      - applies to every model (same format as app.py)
+//   user_replacements.json        - the user's own corrections
+//   models/<model-id>.json        - overrides for a single model (characters outside [\w.-] escaped as %XX)
+// Each file holds { "replacements": [{ find, replace, regex, caseSensitive, wholeWord, priority }, ...] };
+// plain [find, replace] tuples are read too.
+function encodeModelFileName(modelId) {
+  return encodeURIComponent(modelId).replace(/[!'()*~]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Model id of a dictionary file name, or null when the name isn't a valid escape
+function decodeModelFileName(name) {
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    console.warn(`[DICTIONARY] Skipping dictionary file with an invalid name: ${name}.json`);
+    return null;
+  }
+}
+
+class DictionaryStore {
+  constructor(dictionaryDir) {
+    this.dictionaryDir = dictionaryDir;
+    this.modelDir = path.join(dictionaryDir, 'models');
+    this.dictionaries = new Map(); // scope -> entries
+    this.load();
+  }
+
+  load() {
+    try {
+      fs.ensureDirSync(this.modelDir);
+      this.dictionaries.set('global', this.readFile(this.getScopePath('global')));
+      this.dictionaries.set('user', this.readFile(this.getScopePath('user')));
+      
+      for (const file of fs.readdirSync(this.modelDir)) {
+        if (file.endsWith('.json')) {
+          const modelId = decodeModelFileName(file.replace(/\.json$/, ''));
+          if (modelId) {
+            this.dictionaries.set(`model:${modelId}`, this.readFile(path.join(this.modelDir, file)));
+          }
+        }
+      }
+      
+      console.log(`[DICTIONARY] Loaded ${this.dictionaries.size} dictionaries from ${this.dictionaryDir}`);
+    } catch (error) {
+      console.error('[DICTIONARY] Error loading dictionaries:', error);
+    }
+  }
+
+  readFile(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) return [];
+      const data = fs.readJsonSync(filePath);
+      return normalizeDictionaryEntries(data.replacements || data.global_replacements || []);
+    } catch (error) {
+      console.error(`[DICTIONARY] Error reading ${filePath}:`, error.message);
+      return [];
+    }
+  }
+
+  // Model ids come from modelcards or file names and may hold any character ("Mi voz"),
+  // so model scopes are checked against the models the server lists
+  isValidScope(scope) {
+    if (scope === 'global' || scope === 'user') return true;
+    if (!scope.startsWith('model:')) return false;
+    
+    const modelId = scope.substring('model:'.length);
+    return availableModels.some(model => model.id === modelId);
+  }
+
+  getScopePath(scope) {
+    if (scope === 'global') return path.join(this.dictionaryDir, 'global_replacements.json');
+    if (scope === 'user') return path.join(this.dictionaryDir, 'user_replacements.json');
+    return path.join(this.modelDir, `${encodeModelFileName(scope.substring('model:'.length))}.json`);
+  }
+
+  get(scope) {
+    return this.dictionaries.get(scope) || [];
+  }
+
+  async set(scope, entries) {
+    const normalized = normalizeDictionaryEntries(entries);
+    const filePath = this.getScopePath(scope);
+    
+    if (normalized.length === 0 && scope.startsWith('model:')) {
+      // Empty model overrides don't need a file
+      this.dictionaries.delete(scope);
+      await fs.remove(filePath);
+    } else {
+      this.dictionaries.set(scope, normalized);
+      await fs.writeJson(filePath, { replacements: normalized }, { spaces: 2 });
+    }
+    
+    console.log(`[DICTIONARY] Saved ${normalized.length} entries to ${scope}`);
+    return normalized;
+  }
+
+  getSummary() {
+    const summary = {};
+    for (const [scope, entries] of this.dictionaries) {
+      summary[scope] = entries.length;
+    }
+    return summary;
+  }
+}
+
+// Options for a replacement rule. [find, replace] tuples (modelcards, older
+// dictionaries) get these defaults: a literal, case-insensitive, whole-word match
+const REPLACEMENT_RULE_DEFAULTS = {
+  regex: false,
+  caseSensitive: false,
+  wholeWord: true,
+  priority: 0
+};
+
+// Turn a [find, replace] tuple or a rule object into a full rule with its compiled pattern: { rule, pattern }
+// Returns null when find is empty, replace isn't a string or the pattern doesn't compile
+function compileReplacementRule(entry) {
+  let rule;
+  
+  if (Array.isArray(entry)) {
+    rule = { find: entry[0], replace: entry[1] };
+  } else if (entry && typeof entry === 'object') {
+    rule = { find: entry.find, replace: entry.replace };
+    if (entry.regex !== undefined) rule.regex = Boolean(entry.regex);
+    if (entry.caseSensitive !== undefined) rule.caseSensitive = Boolean(entry.caseSensitive);
+    if (entry.wholeWord !== undefined) rule.wholeWord = Boolean(entry.wholeWord);
+    if (entry.priority !== undefined) rule.priority = parseInt(entry.priority, 10) || 0;
+  } else {
+    return null;
+  }
+  
+  if (typeof rule.find !== 'string' || rule.find === '' || typeof rule.replace !== 'string') {
+    return null;
+  }
+  
+  // Regex rules match exactly what the pattern says unless wholeWord is asked for
+  const defaults = { ...REPLACEMENT_RULE_DEFAULTS, wholeWord: !rule.regex };
+  rule = { find: rule.find, replace: rule.replace, ...defaults, ...rule };
+  
+  try {
+    return { rule, pattern: buildReplacementPattern(rule) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeReplacementRule(entry) {
+  const compiled = compileReplacementRule(entry);
+  return compiled ? compiled.rule : null;
+}
+
+// Drop invalid entries and return full rule objects
+function normalizeDictionaryEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  
+  return entries
+    .map(normalizeReplacementRule)
+    .filter(rule => rule !== null);
+}
+
+// Global dictionary store
+const dictionaryStore = new DictionaryStore(path.join(appDataPath, 'dictionaries'));
+
+// Replacement layers for a model, in the order they are applied: the most
+// specific layer runs first so generic rules don't undo a targeted fix
+//   1. per-model override dictionary
+//   2. user dictionary
+//   3. modelcard.replacements from the .onnx.json
+//   4. global dictionary
+function getReplacementLayers(model) {
+  return [
+    { name: `model:${model.id}`, replacements: dictionaryStore.get(`model:${model.id}`) },
+    { name: 'user', replacements: dictionaryStore.get('user') },
+    { name: 'modelcard', replacements: model.replacements || [] },
+    { name: 'global', replacements: dictionaryStore.get('global') }
+  ];
+}
+
+const app = express();
+const PORT = 3000;
+
+// Middleware
+const cors = require('cors');
+app.use(cors());
+app.use(express.json({ limit: '10mb' }));
+app.use(express.static('public'));
+
+// Global variables
+let modelPaths = [];
+let availableModels = [];
+let piperPath, ffmpegPath, ffprobePath;
+
+// Sample rate used when a model does not declare one
+const DEFAULT_SAMPLE_RATE = 22050;
+
+// Default model paths
+const onnxTtsPath = path.join(os.homedir(), 'Documents', 'onnx-tts');
+
+// Initialize paths - handle both development and packaged app
+function initializePaths() {
+  const isPackaged = process.env.ELECTRON_IS_PACKAGED === 'true';
+  
+  if (isPackaged) {
+    // In packaged app, resources are in process.resourcesPath
+    const resourcesPath = process.resourcesPath;
+    piperPath = path.join(resourcesPath, 'piper', 'piper.exe');
+    ffmpegPath = path.join(resourcesPath, 'ffmpeg.exe');
+    ffprobePath = path.join(resourcesPath, 'ffprobe.exe');
+  } else {
+    // In development, use current directory
+    piperPath = path.join(__dirname, 'piper', 'piper.exe');
+    ffmpegPath = path.join(__dirname, 'ffmpeg.exe');
+    ffprobePath = path.join(__dirname, 'ffprobe.exe');
+  }
+  
+  console.log(`[PATHS] Packaged: ${isPackaged}`);
+  console.log(`[PATHS] Piper: ${piperPath}`);
+  console.log(`[PATHS] FFmpeg: ${ffmpegPath}`);
+  console.log(`[PATHS] FFprobe: ${ffprobePath}`);
+}
+
+// Initialize paths on startup
+try {
+  initializePaths();
+} catch (error) {
+  // Fallback to development paths if electron is not available
+  piperPath = path.join(__dirname, 'piper', 'piper.exe');
+  ffmpegPath = path.join(__dirname, 'ffmpeg.exe');
+  ffprobePath = path.join(__dirname, 'ffprobe.exe');
+}
+
+// Model sources: the folders models are scanned from, in priority order (the first
+// model with a given id wins in voice tags). Persisted in the app config as
+// [{ path, enabled }]; modelPaths holds the enabled ones.
+let modelSources = [{ path: onnxTtsPath, enabled: true }];
+
+function normalizeSourcePath(sourcePath) {
+  const resolved = path.resolve(String(sourcePath));
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+}
+
+// Drop invalid entries and duplicates of the same folder
+function normalizeModelSources(sources) {
+  const seen = new Set();
+  
+  return (Array.isArray(sources) ? sources : [])
+    .filter(source => source && typeof source.path === 'string' && source.path.trim())
+    .map(source => ({ path: path.resolve(source.path.trim()), enabled: source.enabled !== false }))
+    .filter(source => {
+      const key = normalizeSourcePath(source.path);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Whether child is a folder inside parent
+function isNestedPath(parent, child) {
+  const relative = path.relative(normalizeSourcePath(parent), normalizeSourcePath(child));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function updateModelPaths() {
+  modelPaths = modelSources.filter(source => source.enabled).map(source => source.path);
+  console.log('Model paths:', modelPaths);
+}
+
+function loadModelSources() {
+  try {
+    if (fs.existsSync(appConfigPath)) {
+      const config = fs.readJsonSync(appConfigPath);
+      if (Array.isArray(config.modelSources)) {
+        modelSources = normalizeModelSources(config.modelSources);
+      }
+    }
+  } catch (error) {
+    console.error('[CONFIG] Error loading model sources, using defaults:', error);
+  }
+  
+  updateModelPaths();
+}
+
+// Sources with their status and number of models from the last scan
+async function getModelSourcesStatus() {
+  const reports = Array.from(modelReports.values());
+  
+  return Promise.all(modelSources.map(async (source) => {
+    const exists = await fs.pathExists(source.path);
+    
+    return {
+      path: source.path,
+      enabled: source.enabled,
+      isDefault: normalizeSourcePath(source.path) === normalizeSourcePath(onnxTtsPath),
+      status: !source.enabled ? 'disabled' : exists ? 'available' : 'missing',
+      modelCount: source.enabled ? availableModels.filter(model => model.source === source.path).length : 0,
+      invalidCount: source.enabled ? reports.filter(report => report.status === 'error' && report.source === source.path).length : 0
+    };
+  }));
+}
+
+// Replace the sources, persist them and rescan the models
+async function setModelSources(sources) {
+  modelSources = normalizeModelSources(sources);
+  updateModelPaths();
+  await saveAppConfig();
+  await scanModels();
+}
+
+loadModelSources();
+
+// Synthesis presets: named values of the four synthesis settings (a "fast narrator" or a
+// "slow meditation" voice), persisted in the app config. A preset can be attached to a
+// model as its default; modelPresets maps model ids to preset names.
+const PRESET_SETTINGS = ['speaker', 'noise_scale', 'length_scale', 'noise_w'];
+const PRESET_RANGES = {
+  noise_scale: [0, 1],
+  length_scale: [0.5, 2],
+  noise_w: [0, 1]
+};
+const PRESET_NAME_MAX_LENGTH = 64;
+
+let presets = [];
+let modelPresets = {};
+
+// Check a preset. The speaker is an id or a speaker name (resolved per model when used);
+// missing values get piper's defaults. Returns { preset } or { error }
+function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object') {
+    return { error: 'A preset must be an object' };
+  }
+  
+  const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+  if (!name || name.length > PRESET_NAME_MAX_LENGTH) {
+    return { error: `The preset name must have 1 to ${PRESET_NAME_MAX_LENGTH} characters` };
+  }
+  
+  const defaults = normalizeSynthesisSettings();
+  const result = { name };
+  
+  // A non-negative integer id (also as a string of digits) or a non-empty speaker name
+  const speaker = preset.speaker === undefined ? defaults.speaker
+    : typeof preset.speaker === 'string' ? preset.speaker.trim() : preset.speaker;
+  if (Number.isInteger(speaker) && speaker >= 0) {
+    result.speaker = speaker;
+  } else if (typeof speaker === 'string' && /^\d+$/.test(speaker)) {
+    result.speaker = parseInt(speaker, 10);
+  } else if (typeof speaker === 'string' && speaker && !/^[-+]?[\d.]+$/.test(speaker)) {
+    result.speaker = speaker;
+  } else {
+    return { error: `Preset '${name}': the speaker must be a non-negative integer id or a speaker name` };
+  }
+  
+  for (const [key, [min, max]] of Object.entries(PRESET_RANGES)) {
+    const value = preset[key] === undefined ? defaults[key] : parseFloat(preset[key]);
+    if (isNaN(value) || value < min || value > max) {
+      return { error: `Preset '${name}': ${key} must be between ${min} and ${max}` };
+    }
+    result[key] = value;
+  }
+  
+  return { preset: result };
+}
+
+// Preset names are matched case-insensitively
+function findPreset(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return presets.find(preset => preset.name.toLowerCase() === key) || null;
+}
+
+function loadPresets() {
+  try {
+    if (fs.existsSync(appConfigPath)) {
+      const config = fs.readJsonSync(appConfigPath);
+      
+      for (const entry of Array.isArray(config.presets) ? config.presets : []) {
+        const { preset, error } = validatePreset(entry);
+        if (error) {
+          console.warn(`[PRESETS] Skipping invalid preset: ${error}`);
+        } else if (!findPreset(preset.name)) {
+          presets.push(preset);
+        }
+      }
+      
+      for (const [modelId, name] of Object.entries(config.modelPresets || {})) {
+        const preset = findPreset(name);
+        if (preset) modelPresets[modelId] = preset.name;
+      }
+    }
+  } catch (error) {
+    console.error('[CONFIG] Error loading presets:', error);
+  }
+}
+
+// Add or replace presets by name. Returns { saved: [names], errors }
+async function savePresets(entries) {
+  const saved = [];
+  const errors = [];
+  
+  for (const entry of entries) {
+    const { preset, error } = validatePreset(entry);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+    
+    const existing = findPreset(preset.name);
+    if (existing) {
+      // Keep the stored spelling so model attachments still match
+      Object.assign(existing, preset, { name: existing.name });
+    } else {
+      presets.push(preset);
+    }
+    saved.push(existing ? existing.name : preset.name);
+  }
+  
+  if (saved.length > 0) {
+    await saveAppConfig();
+    console.log(`[PRESETS] Saved ${saved.join(', ')}`);
+  }
+  return { saved, errors };
+}
+
+async function deletePreset(name) {
+  const preset = findPreset(name);
+  if (!preset) return false;
+  
+  presets = presets.filter(entry => entry !== preset);
+  for (const [modelId, presetName] of Object.entries(modelPresets)) {
+    if (presetName === preset.name) delete modelPresets[modelId];
+  }
+  
+  await saveAppConfig();
+  console.log(`[PRESETS] Deleted ${preset.name}`);
+  return true;
+}
+
+// Fill the synthesis values of a request from settings.preset, or from the model's
+// default preset when the request gives no synthesis values. Explicit values win
+// over the preset's. Returns an error message when the named preset doesn't exist.
+function applyPreset(settings, model) {
+  const explicit = PRESET_SETTINGS.some(key => settings[key] !== undefined && settings[key] !== null);
+  const name = settings.preset || (explicit ? null : modelPresets[model.id]);
+  if (!name) return null;
+  
+  const preset = findPreset(name);
+  if (!preset) {
+    return `Preset '${name}' not found`;
+  }
+  
+  for (const key of PRESET_SETTINGS) {
+    if (settings[key] === undefined || settings[key] === null) {
+      settings[key] = preset[key];
+    }
+  }
+  console.log(`[PRESETS] Using preset ${preset.name} for ${model.name}`);
+  return null;
+}
+
+loadPresets();
+
+// Model installation: archives (.zip, .tar.gz) or loose .onnx + .onnx.json pairs are
+// unpacked into a staging folder, paired, validated and checksummed, then copied into
+// the managed models folder, one subfolder per model with an install.json manifest.
+// When an id is already taken the install waits for the user to keep the existing
+// model, replace it (installed models only) or rename the new one.
+const managedModelsPath = path.join(appDataPath, 'models');
+const INSTALL_TTL_MS = 30 * 60 * 1000;
+const MODEL_ID_PATTERN = /^[\w-]+$/; // Usable in <#model-id#> tags
+
+// Staged installs waiting for conflicts to be resolved, by install id
+const installs = new Map();
+
+function isManagedModel(jsonPath) {
+  const relative = path.relative(managedModelsPath, jsonPath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hasher = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hasher.update(chunk))
+      .on('end', () => resolve(hasher.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Copy the model files of the given archives and files into the staging folder.
+// Archives are extracted as they are read, so packages of any size are fine.
+// Only .onnx and .onnx.json files are kept; returns the names that were skipped as duplicates
+async function unpackModelFiles(filePaths, stagingPath) {
+  const duplicates = [];
+  
+  // Staging path of a file, or null when it isn't a model file or one with its name is staged
+  const getTarget = async (name) => {
+    const fileName = path.basename(name);
+    if (!/\.onnx(\.json)?$/i.test(fileName)) return null;
+    
+    const target = path.join(stagingPath, fileName);
+    if (await fs.pathExists(target)) {
+      duplicates.push(name);
+      return null;
+    }
+    return target;
+  };
+  
+  for (const filePath of filePaths) {
+    const lowerPath = filePath.toLowerCase();
+    
+    if (lowerPath.endsWith('.zip')) {
+      await extractZip(filePath, getTarget);
+    } else if (lowerPath.endsWith('.tar.gz') || lowerPath.endsWith('.tgz')) {
+      await extractTarGz(filePath, getTarget);
+    } else {
+      const target = await getTarget(filePath);
+      if (target) await fs.copy(filePath, target);
+    }
+  }
+  
+  return duplicates;
+}
+
+// Unpack, pair, validate and checksum the models in the given files.
+// Returns the staged install: { id, stagingPath, sources, models, errors }
+async function stageModelInstall(filePaths) {
+  const stagingPath = path.join(os.tmpdir(), `install_${generateRandomString()}`);
+  await fs.ensureDir(stagingPath);
+  
+  const errors = (await unpackModelFiles(filePaths, stagingPath))
+    .map(name => `${name}: a file with the same name was already found, skipped`);
+  const files = await fs.readdir(stagingPath);
+  const models = [];
+  
+  // Every config needs the .onnx file with the same base name
+  for (const file of files.filter(name => name.endsWith('.onnx.json'))) {
+    const onnxFile = file.replace(/\.onnx\.json$/, '.onnx');
+    if (!files.includes(onnxFile)) {
+      errors.push(`${file}: the matching ${onnxFile} is missing`);
+      continue;
+    }
+    
+    const report = await validateModel(path.join(stagingPath, file));
+    if (report.status === 'error') {
+      errors.push(`${file}: ${report.issues.filter(issue => issue.level === 'error').map(issue => issue.message).join('; ')}`);
+      continue;
+    }
+    
+    // The id names the install folder and files: ids that aren't safe there (spaces,
+    // dots, path separators) are turned into one that is
+    const id = report.id.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!MODEL_ID_PATTERN.test(id)) {
+      errors.push(`${file}: the model id '${report.id}' cannot be used as a folder name`);
+      continue;
+    }
+    
+    const existing = availableModels.find(model => model.id === id) ||
+      models.find(model => model.id === id);
+    const checksums = {
+      onnx: await hashFile(report.onnxPath),
+      json: await hashFile(report.jsonPath)
+    };
+    
+    models.push({
+      id,
+      originalId: report.id,
+      name: report.name,
+      jsonPath: report.jsonPath,
+      onnxPath: report.onnxPath,
+      size: (await fs.stat(report.onnxPath)).size,
+      checksums,
+      warnings: report.issues.map(issue => issue.message),
+      conflict: existing ? {
+        id: existing.id,
+        name: existing.name,
+        jsonPath: existing.jsonPath,
+        installed: existing.jsonPath ? isManagedModel(existing.jsonPath) : false,
+        identical: existing.onnxPath ? (await hashFile(existing.onnxPath)) === checksums.onnx : false
+      } : null
+    });
+  }
+  
+  for (const file of files.filter(name => name.endsWith('.onnx'))) {
+    if (!files.includes(`${file}.json`)) {
+      errors.push(`${file}: the matching ${file}.json config is missing`);
+    }
+  }
+  
+  const install = {
+    id: generateRandomString(),
+    stagingPath,
+    sources: filePaths,
+    models,
+    errors,
+    timer: null
+  };
+  
+  install.timer = setTimeout(() => discardInstall(install.id), INSTALL_TTL_MS);
+  installs.set(install.id, install);
+  
+  console.log(`[INSTALL] Staged ${models.length} models (${models.filter(model => model.conflict).length} conflicts, ${errors.length} errors) from ${filePaths.length} files`);
+  return install;
+}
+
+function discardInstall(installId) {
+  const install = installs.get(installId);
+  if (!install) return;
+  
+  clearTimeout(install.timer);
+  installs.delete(installId);
+  fs.remove(install.stagingPath).catch(console.error);
+}
+
+function serializeInstall(install) {
+  return {
+    id: install.id,
+    errors: install.errors,
+    models: install.models.map(({ jsonPath, onnxPath, ...model }) => model)
+  };
+}
+
+// The install folder of an installed model: a direct child of the managed folder with
+// an install.json. Configs placed anywhere else in the managed folder have none, so
+// replacing or uninstalling them never removes other models' files.
+async function getInstallFolder(jsonPath) {
+  const folder = path.dirname(path.resolve(jsonPath));
+  if (path.dirname(folder) !== path.resolve(managedModelsPath)) return null;
+  return (await fs.pathExists(path.join(folder, 'install.json'))) ? folder : null;
+}
+
+// Make sure the managed folder is scanned: it is added as the last model source
+async function ensureManagedModelSource() {
+  if (modelSources.some(source => normalizeSourcePath(source.path) === normalizeSourcePath(managedModelsPath))) {
+    return;
+  }
+  
+  modelSources.push({ path: managedModelsPath, enabled: true });
+  updateModelPaths();
+  await saveAppConfig();
+}
+
+// Install the staged models. resolutions maps a conflicting model id to
+// { action: 'keep' | 'replace' | 'rename', newId }; conflicts without one are kept.
+// Returns { installed: [{ id, name, path, checksums }], skipped: [id], errors }
+async function completeInstall(install, resolutions = {}) {
+  const installed = [];
+  const skipped = [];
+  const errors = [...install.errors];
+  const takenIds = new Set(availableModels.map(model => model.id));
+  
+  await fs.ensureDir(managedModelsPath);
+  
+  for (const model of install.models) {
+    const resolution = model.conflict ? (resolutions[model.id] || { action: 'keep' }) : { action: 'install' };
+    let id = model.id;
+    let replacedFolder = null;
+    
+    if (resolution.action === 'keep') {
+      skipped.push(model.id);
+      continue;
+    }
+    
+    if (resolution.action === 'rename') {
+      id = String(resolution.newId || '').trim();
+      if (!MODEL_ID_PATTERN.test(id) || takenIds.has(id)) {
+        errors.push(`${model.id}: '${id}' is not a valid free model id (letters, digits, _ and -)`);
+        continue;
+      }
+    } else if (resolution.action === 'replace') {
+      if (!model.conflict.installed) {
+        errors.push(`${model.id}: only installed models can be replaced, rename the new model instead`);
+        continue;
+      }
+      replacedFolder = await getInstallFolder(model.conflict.jsonPath);
+      if (!replacedFolder) {
+        errors.push(`${model.id}: the installed model is not in an install folder of its own, remove it by hand`);
+        continue;
+      }
+    } else if (resolution.action !== 'install') {
+      errors.push(`${model.id}: unknown action '${resolution.action}'`);
+      continue;
+    }
+    
+    // The files are written to a hidden folder (scans skip it) and moved into place once
+    // complete, so a failed copy leaves the model being replaced where it was
+    const modelFolder = path.join(managedModelsPath, id);
+    const tempFolder = path.join(managedModelsPath, `.install_${generateRandomString()}`);
+    
+    try {
+      await fs.ensureDir(tempFolder);
+      
+      const modelData = await fs.readJson(model.jsonPath);
+      if (id !== model.originalId) {
+        modelData.modelcard = { ...(modelData.modelcard || {}), id };
+      }
+      
+      await fs.writeJson(path.join(tempFolder, `${id}.onnx.json`), modelData, { spaces: 2 });
+      await fs.copy(model.onnxPath, path.join(tempFolder, `${id}.onnx`));
+      await fs.writeJson(path.join(tempFolder, 'install.json'), {
+        id,
+        originalId: model.originalId,
+        name: model.name,
+        installedAt: new Date().toISOString(),
+        sources: install.sources,
+        checksums: model.checksums
+      }, { spaces: 2 });
+      
+      if (replacedFolder) {
+        await fs.remove(replacedFolder);
+      }
+      // A leftover folder with this id holds no usable model (the id is free)
+      await fs.remove(modelFolder);
+      await fs.move(tempFolder, modelFolder);
+    } catch (error) {
+      console.error(`[INSTALL] Error installing ${model.name}:`, error);
+      await fs.remove(tempFolder).catch(() => {});
+      errors.push(`${model.id}: ${error.message}`);
+      continue;
+    }
+    
+    takenIds.add(id);
+    installed.push({ id, name: model.name, path: modelFolder, checksums: model.checksums });
+    console.log(`[INSTALL] Installed ${model.name} as '${id}' in ${modelFolder}`);
+  }
+  
+  discardInstall(install.id);
+  
+  if (installed.length > 0) {
+    await ensureManagedModelSource();
+    await scanModels();
+  }
+  
+  return { installed, skipped, errors };
+}
+
+// Remove an installed model's folder from the managed folder
+async function uninstallModel(modelId) {
+  const model = availableModels.find(m => m.id === modelId && isManagedModel(m.jsonPath));
+  if (!model) return false;
+  
+  const installFolder = await getInstallFolder(model.jsonPath);
+  if (!installFolder) {
+    throw new Error(`${model.name} is not in an install folder of its own, remove it by hand`);
+  }
+  
+  await fs.remove(installFolder);
+  console.log(`[INSTALL] Uninstalled ${model.name} (${model.id})`);
+  await scanModels();
+  return true;
+}
+
+// Model card editing: the modelcard block of a .onnx.json is rewritten in place. The new
+// config is written next to the old one and renamed over it, so piper and the folder
+// watcher never read a half-written file; the previous version is kept as .onnx.json.bak
+const MODELCARD_TEXT_FIELDS = ['name', 'description', 'language', 'voiceprompt'];
+const MODELCARD_IMAGE_PATTERN = /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/]+={0,2}$/;
+const MODELCARD_IMAGE_MAX_SIZE = 2 * 1024 * 1024;
+
+// The editable fields of a model's modelcard, as stored in the file. The image is
+// returned as a data URL; replacements is null when the modelcard has none
+async function readModelcard(model) {
+  const modelcard = (await fs.readJson(model.jsonPath)).modelcard || {};
+  const image = typeof modelcard.image === 'string' && modelcard.image
+    ? (modelcard.image.startsWith('data:') ? modelcard.image : `data:image/png;base64,${modelcard.image}`)
+    : null;
+  
+  return {
+    name: modelcard.name || '',
+    description: modelcard.description || '',
+    language: modelcard.language || '',
+    voiceprompt: modelcard.voiceprompt || '',
+    image: image,
+    replacements: Array.isArray(modelcard.replacements) ? modelcard.replacements : null
+  };
+}
+
+// Check the fields sent by the editor. Only the fields present are changed; null (or an
+// empty string) removes a field. Returns { changes } or { error }
+function normalizeModelcardChanges(edit) {
+  const changes = {};
+  
+  for (const field of MODELCARD_TEXT_FIELDS) {
+    if (edit[field] === undefined) continue;
+    if (edit[field] !== null && typeof edit[field] !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    changes[field] = edit[field] && edit[field].trim() ? edit[field].trim() : null;
+  }
+  
+  if (edit.name !== undefined && !changes.name) {
+    return { error: 'The model name cannot be empty' };
+  }
+  
+  if (edit.image !== undefined) {
+    if (edit.image && (typeof edit.image !== 'string' || !MODELCARD_IMAGE_PATTERN.test(edit.image))) {
+      return { error: 'The image must be a base64 PNG, JPEG, WebP or GIF data URL' };
+    }
+    if (edit.image && edit.image.length * 0.75 > MODELCARD_IMAGE_MAX_SIZE) {
+      return { error: `The image is larger than ${MODELCARD_IMAGE_MAX_SIZE / 1024 / 1024} MB` };
+    }
+    changes.image = edit.image || null;
+  }
+  
+  if (edit.replacements !== undefined && edit.replacements !== null) {
+    if (!Array.isArray(edit.replacements)) {
+      return { error: 'Replacements must be an array' };
+    }
+    
+    const invalidIndex = edit.replacements.findIndex(entry => normalizeReplacementRule(entry) === null);
+    if (invalidIndex !== -1) {
+      return { error: `Replacement ${invalidIndex + 1} needs a non-empty find, a replace string and a valid pattern` };
+    }
+    
+    // [find, replace] tuples are kept as tuples, rules keep only their known options
+    changes.replacements = edit.replacements.map(entry => {
+      if (Array.isArray(entry)) return [entry[0], entry[1]];
+      const rule = { find: entry.find, replace: entry.replace };
+      for (const option of ['regex', 'caseSensitive', 'wholeWord', 'priority']) {
+        if (entry[option] !== undefined) rule[option] = entry[option];
+      }
+      return rule;
+    });
+  } else if (edit.replacements === null) {
+    changes.replacements = null;
+  }
+  
+  return { changes };
+}
+
+// Apply the changes to the model's .onnx.json, keeping the file's indentation
+async function writeModelcard(model, changes) {
+  const raw = await fs.readFile(model.jsonPath, 'utf8');
+  const modelData = JSON.parse(raw);
+  const indentMatch = /^\{\r?\n([ \t]+)"/.exec(raw);
+  const modelcard = { ...(modelData.modelcard || {}) };
+  
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete modelcard[field];
+    } else {
+      modelcard[field] = value;
+    }
+  }
+  modelData.modelcard = modelcard;
+  
+  const tempPath = `${model.jsonPath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(modelData, null, indentMatch ? indentMatch[1] : 2));
+  await fs.copy(model.jsonPath, `${model.jsonPath}.bak`, { overwrite: true });
+  await fs.rename(tempPath, model.jsonPath);
+  
+  console.log(`[MODELCARD] Saved ${model.name} (${model.id}): ${Object.keys(changes).join(', ') || 'no changes'}`);
+}
+
+// Model validation: piper fails with an opaque exit code on a broken config, so every
+// .onnx.json is checked when scanned. Models with errors are left out of availableModels;
+// their reports (and the warnings of usable models) are kept for the diagnostics view.
+const SUPPORTED_PHONEME_TYPES = ['espeak', 'text'];
+const MODEL_SAMPLE_RATE_RANGE = [8000, 48000];
+const MIN_ONNX_SIZE = 1024 * 1024; // Piper voices are tens of megabytes
+
+// Validation reports by .onnx.json path, from the last scan
+let modelReports = new Map();
+
+// Cached lower-case names of the espeak-ng voices shipped with piper. The promise of the
+// folder walk is cached, so concurrent validations never see a partly filled set
+let espeakVoices = null;
+
+function getEspeakVoices() {
+  if (!espeakVoices) {
+    espeakVoices = readEspeakVoices();
+  }
+  return espeakVoices;
+}
+
+async function readEspeakVoices() {
+  const voices = new Set();
+  const langPath = path.join(path.dirname(piperPath), 'espeak-ng-data', 'lang');
+  
+  const walk = async (folder) => {
+    for (const item of await fs.readdir(folder, { withFileTypes: true })) {
+      if (item.isDirectory()) {
+        await walk(path.join(folder, item.name));
+      } else {
+        voices.add(item.name.toLowerCase());
+      }
+    }
+  };
+  
+  try {
+    await walk(langPath);
+  } catch (error) {
+    console.error(`[VALIDATE] Cannot read espeak-ng voices in ${langPath}:`, error.message);
+  }
+  
+  return voices;
+}
+
+// Check a model's config and ONNX file. Returns { jsonPath, onnxPath, id, name, status, issues, modelData }
+// where status is 'ok', 'warning' or 'error' and every issue is { level, message }
+async function validateModel(jsonPath) {
+  const onnxPath = jsonPath.replace(/\.onnx\.json$/, '.onnx');
+  const fileId = path.basename(jsonPath, '.onnx.json');
+  const issues = [];
+  const error = (message) => issues.push({ level: 'error', message });
+  const warning = (message) => issues.push({ level: 'warning', message });
+  let modelData = null;
+  
+  try {
+    modelData = await fs.readJson(jsonPath);
+  } catch (readError) {
+    error(`Config is not valid JSON: ${readError.message}`);
+  }
+  
+  if (modelData) {
+    const sampleRate = modelData.audio && modelData.audio.sample_rate;
+    if (sampleRate === undefined) {
+      warning(`No audio.sample_rate, ${DEFAULT_SAMPLE_RATE} Hz is assumed`);
+    } else if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+      error(`Invalid audio.sample_rate: ${JSON.stringify(sampleRate)}`);
+    } else if (sampleRate < MODEL_SAMPLE_RATE_RANGE[0] || sampleRate > MODEL_SAMPLE_RATE_RANGE[1]) {
+      warning(`Unusual audio.sample_rate: ${sampleRate} Hz`);
+    }
+    
+    const phonemeType = modelData.phoneme_type || 'espeak';
+    if (!SUPPORTED_PHONEME_TYPES.includes(phonemeType)) {
+      error(`Unsupported phoneme_type '${phonemeType}' (use ${SUPPORTED_PHONEME_TYPES.join(' or ')})`);
+    } else if (phonemeType === 'espeak') {
+      const voice = modelData.espeak && modelData.espeak.voice;
+      const voices = await getEspeakVoices();
+      if (!voice) {
+        error('No espeak.voice for an espeak model');
+      } else if (voices.size === 0) {
+        warning(`piper/espeak-ng-data was not found, espeak voice '${voice}' could not be checked`);
+      } else if (!voices.has(String(voice).toLowerCase())) {
+        error(`espeak voice '${voice}' not found in piper/espeak-ng-data`);
+      }
+    }
+    
+    const phonemeIdMap = modelData.phoneme_id_map;
+    if (!phonemeIdMap || typeof phonemeIdMap !== 'object' || Object.keys(phonemeIdMap).length === 0) {
+      error('phoneme_id_map is missing or empty');
+    }
+    
+    const numSpeakers = modelData.num_speakers;
+    const speakerIds = Object.values(modelData.speaker_id_map || {});
+    if (numSpeakers !== undefined && (!Number.isInteger(numSpeakers) || numSpeakers < 1)) {
+      warning(`Invalid num_speakers: ${JSON.stringify(numSpeakers)}`);
+    } else if (speakerIds.some(id => !Number.isInteger(id) || id < 0 || (numSpeakers && id >= numSpeakers))) {
+      warning(`speaker_id_map has ids outside 0-${(numSpeakers || 1) - 1}`);
+    }
+    
+    if (!modelData.modelcard) {
+      warning('No modelcard, the file name is used as the model name');
+    }
+  }
+  
+  try {
+    const stats = await fs.stat(onnxPath);
+    if (stats.size === 0) {
+      error('The .onnx file is empty');
+    } else {
+      // Readability: ONNX files are protobuf messages starting with the ir_version field
+      const handle = await fs.open(onnxPath, 'r');
+      const header = Buffer.alloc(1);
+      try {
+        await fs.read(handle, header, 0, 1, 0);
+      } finally {
+        await fs.close(handle);
+      }
+      
+      if (header[0] !== 0x08) {
+        warning('The .onnx file does not look like an ONNX model');
+      }
+      if (stats.size < MIN_ONNX_SIZE) {
+        warning(`The .onnx file is only ${stats.size < 1024 ? `${stats.size} bytes` : `${Math.round(stats.size / 1024)} KB`}`);
+      }
+    }
+  } catch (statError) {
+    error(statError.code === 'ENOENT' ? 'The matching .onnx file is missing' : `Cannot read the .onnx file: ${statError.message}`);
+  }
+  
+  const modelcard = (modelData && modelData.modelcard) || {};
+  const status = issues.some(issue => issue.level === 'error') ? 'error' : issues.length > 0 ? 'warning' : 'ok';
+  
+  return {
+    jsonPath,
+    onnxPath,
+    id: modelcard.id || fileId,
+    name: modelcard.name || fileId,
+    status,
+    issues,
+    modelData
+  };
+}
+
+// Validation warnings of a model, appended to piper errors as a likely cause
+function describeModelWarnings(onnxPath) {
+  const model = availableModels.find(m => m.onnxPath === onnxPath);
+  if (!model || !model.validation || model.validation.issues.length === 0) return '';
+  
+  return ` (model warnings: ${model.validation.issues.map(issue => issue.message).join('; ')})`;
+}
+
+// Report without the parsed config, as sent to the renderer
+function serializeModelReport(report) {
+  const { modelData, ...rest } = report;
+  return rest;
+}
+
+// Model folders are searched recursively (voices are often kept in es/, en/, ...),
+// skipping hidden folders and stopping at MODEL_SCAN_MAX_DEPTH levels
+const MODEL_SCAN_MAX_DEPTH = 8;
+
+// Every .onnx.json under a model folder, and the folders that were searched
+async function findModelConfigs(rootPath) {
+  const configs = [];
+  const folders = [];
+  
+  const walk = async (folder, depth) => {
+    folders.push(folder);
+    
+    let items;
+    try {
+      items = await fs.readdir(folder, { withFileTypes: true });
+    } catch (error) {
+      console.error(`Error reading model folder ${folder}:`, error.message);
+      return;
+    }
+    
+    for (const item of items.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (item.isDirectory() && !item.name.startsWith('.') && depth < MODEL_SCAN_MAX_DEPTH) {
+        await walk(path.join(folder, item.name), depth + 1);
+      } else if (item.isFile() && item.name.endsWith('.onnx.json')) {
+        configs.push(path.join(folder, item.name));
+      }
+    }
+  };
+  
+  await walk(rootPath, 0);
+  return { configs, folders };
+}
+
+// Validate every .onnx.json in the model folders
+async function validateModels() {
+  const reports = [];
+  const seen = new Set();
+  
+  for (const modelPath of modelPaths) {
+    if (!(await fs.pathExists(modelPath))) continue;
+    
+    const { configs } = await findModelConfigs(modelPath);
+    for (const jsonPath of configs) {
+      if (seen.has(jsonPath)) continue;
+      seen.add(jsonPath);
+      reports.push(await validateModel(jsonPath));
+    }
+  }
+  
+  return reports;
+}
+
+// Scans run one at a time: the watcher, rescans, model sources, installs and the
+// modelcard editor can all ask for one, and overlapping scans would each compare
+// against the same previous list and the slower one would overwrite the newer result
+let modelScanChain = Promise.resolve();
+
+function scanModels() {
+  const scan = modelScanChain.then(runModelScan);
+  modelScanChain = scan.catch(() => {});
+  return scan;
+}
+
+// Scan models from specified directories. The new list replaces availableModels
+// only when the scan is complete, so requests never see a half-built list
+async function runModelScan() {
+  const previousModels = availableModels;
+  const models = [];
+  const reports = new Map();
+  const watchedFolders = [];
+  
+  for (const modelPath of modelPaths) {
+    try {
+      if (await fs.pathExists(modelPath)) {
+        const { configs, folders } = await findModelConfigs(modelPath);
+        watchedFolders.push({ root: modelPath, folders });
+        
+        for (const jsonPath of configs) {
+          // A source nested in another one finds the same configs again; the first source wins
+          if (reports.has(jsonPath)) continue;
+          
+          const file = path.basename(jsonPath);
+          const onnxPath = jsonPath.replace(/\.onnx\.json$/, '.onnx');
+          const report = await validateModel(jsonPath);
+          report.source = modelPath;
+          reports.set(jsonPath, report);
+          
+          for (const issue of report.issues) {
+            console.warn(`[VALIDATE] ${file}: ${issue.level}: ${issue.message}`);
+          }
+          
+          if (report.status !== 'error') {
+            try {
+              const modelData = report.modelData;
+              const modelcard = modelData.modelcard || {};
+              
+              // Model-specific replacements: [find, replace] tuples or rule objects
+              // ({ find, replace, regex, ... }), which normalizeReplacementRule reads as they are.
+              // Objects with numeric keys (older exports) are turned into tuples
+              const modelReplacements = (Array.isArray(modelcard.replacements) ? modelcard.replacements : [['\n', ' . '], ['*', ''], [')', ',']])
+                .map(item => item && typeof item === 'object' && !Array.isArray(item) && item.find === undefined ? [item[0], item[1]] : item);
+              
+              // Extract and process base64 image if it exists
+              let imageBase64 = null;
+              if (modelcard.image) {
+                try {
+                  let imageData = modelcard.image;
+                  let imgFormat = 'png'; // default format
+                  
+                  // Extract image format and data from base64 string
+                  if (imageData.includes('base64,')) {
+                    const [header, data] = imageData.split('base64,', 2);
+                    imgFormat = header.split('/')[1]?.split(';')[0] || 'png';
+                    imageData = data;
+                  }
+                  
+                  // Validate base64 data
+                  if (imageData && /^[A-Za-z0-9+/]*={0,2}$/.test(imageData)) {
+                    imageBase64 = imageData;
+                    console.log(`Extracted base64 image for model: ${modelcard.id || file.replace('.onnx.json', '')} (${imgFormat})`);
+                  }
+                } catch (error) {
+                  console.error(`Error processing image for model ${modelcard.id || file.replace('.onnx.json', '')}:`, error);
+                }
+              }
+              
+              const speakers = getModelSpeakers(modelData);
+              
+              const model = {
+                id: modelcard.id || file.replace('.onnx.json', ''),
+                name: modelcard.name || file.replace('.onnx.json', ''),
+                description: modelcard.description || 'No description available',
+                language: modelcard.language || 'Unknown',
+                voiceprompt: modelcard.voiceprompt || 'Not available',
+                jsonPath: jsonPath,
+                onnxPath: onnxPath,
+                image: imageBase64,
+                replacements: modelReplacements,
+                sampleRate: (modelData.audio && modelData.audio.sample_rate) || DEFAULT_SAMPLE_RATE,
+                languageCode: getModelLanguageCode(modelData),
+                locale: getModelLocale(modelData),
+                speakerIdMap: modelData.speaker_id_map || {},
+                numSpeakers: speakers.length,
+                speakers: speakers,
+                validation: { status: report.status, issues: report.issues },
+                source: modelPath,
+                installed: isManagedModel(jsonPath),
+                // Subfolder of the source the model was found in ('' at the top level)
+                folder: path.relative(modelPath, path.dirname(jsonPath))
+              };
+              
+              models.push(model);
+              console.log(`Found model: ${model.name} (${model.id})`);
+            } catch (error) {
+              console.error(`Error reading model ${file}:`, error);
+            }
+          }
+        }
+      } else {
+        console.log(`Model path does not exist: ${modelPath}`);
+      }
+    } catch (error) {
+      console.error(`Error scanning path ${modelPath}:`, error);
+    }
+  }
+  
+  availableModels = models;
+  modelReports = reports;
+  console.log(`Total models found: ${availableModels.length}`);
+  
+  watchModelFolders(watchedFolders);
+  notifyModelChanges(previousModels, models);
+}
+
+// Live model library: the model folders are watched and rescanned shortly after
+// .onnx/.onnx.json files or subfolders change (copies of large models fire many
+// events). Changes are pushed to /models/events subscribers as server-sent events.
+const MODEL_RESCAN_DELAY_MS = 1500;
+
+// Watchers by watched folder
+const modelWatchers = new Map();
+let modelRescanTimer = null;
+let recursiveWatchSupported = true;
+
+// Response streams of the /models/events subscribers
+const modelEventClients = new Set();
+
+function scheduleModelRescan(folder, filename) {
+  // Only model files and folders (names without an extension) matter
+  if (filename && !/\.onnx(\.json)?$/i.test(filename) && path.extname(filename)) return;
+  
+  clearTimeout(modelRescanTimer);
+  modelRescanTimer = setTimeout(() => {
+    modelRescanTimer = null;
+    console.log(`[WATCH] Changes in ${folder}${filename ? ` (${filename})` : ''}, rescanning models`);
+    scanModels().catch(error => console.error('[WATCH] Error rescanning models:', error));
+  }, MODEL_RESCAN_DELAY_MS);
+}
+
+function watchFolder(folder, recursive) {
+  const watcher = fs.watch(folder, { recursive, persistent: false }, (eventType, filename) => {
+    scheduleModelRescan(folder, filename ? filename.toString() : null);
+  });
+  
+  watcher.on('error', (error) => {
+    console.error(`[WATCH] Error watching ${folder}:`, error.message);
+    watcher.close();
+    modelWatchers.delete(folder);
+    scheduleModelRescan(folder, null);
+  });
+  
+  modelWatchers.set(folder, watcher);
+}
+
+// Watch each model folder recursively where the platform supports it (Windows, macOS),
+// otherwise every folder found by the scan. Watchers of folders no longer scanned are closed.
+function watchModelFolders(watchedFolders) {
+  const wanted = new Set();
+  
+  for (const { root, folders } of watchedFolders) {
+    if (recursiveWatchSupported && !modelWatchers.has(root)) {
+      try {
+        watchFolder(root, true);
+      } catch (error) {
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+          console.error(`[WATCH] Cannot watch ${root}:`, error.message);
+          continue;
+        }
+        recursiveWatchSupported = false;
+        console.log('[WATCH] Recursive watching not supported, watching every model folder');
+      }
+    }
+    
+    for (const folder of recursiveWatchSupported ? [root] : folders) {
+      wanted.add(folder);
+      if (modelWatchers.has(folder)) continue;
+      
+      try {
+        watchFolder(folder, false);
+      } catch (error) {
+        console.error(`[WATCH] Cannot watch ${folder}:`, error.message);
+      }
+    }
+  }
+  
+  for (const [folder, watcher] of modelWatchers) {
+    if (!wanted.has(folder)) {
+      watcher.close();
+      modelWatchers.delete(folder);
+    }
+  }
+}
+
+// Compare two model lists by config path and push the differences to subscribers
+function notifyModelChanges(previousModels, models) {
+  const previous = new Map(previousModels.map(model => [model.jsonPath, JSON.stringify(model)]));
+  const current = new Map(models.map(model => [model.jsonPath, JSON.stringify(model)]));
+  
+  const added = models.filter(model => !previous.has(model.jsonPath)).map(model => model.id);
+  const removed = previousModels.filter(model => !current.has(model.jsonPath)).map(model => model.id);
+  const updated = models
+    .filter(model => previous.has(model.jsonPath) && previous.get(model.jsonPath) !== current.get(model.jsonPath))
+    .map(model => model.id);
+  
+  if (added.length === 0 && removed.length === 0 && updated.length === 0) return;
+  
+  console.log(`[WATCH] Models changed: ${added.length} added, ${removed.length} removed, ${updated.length} updated`);
+  sendModelEvent({ type: 'models-changed', added, removed, updated, modelCount: models.length });
+}
+
+function sendModelEvent(event) {
+  const message = `data: ${JSON.stringify(event)}\n\n`;
+  for (const client of modelEventClients) {
+    client.write(message);
+  }
+}
+
+// Speakers of a model, [{ id, name }] ordered by id. Single-speaker models have one
+// speaker with id 0; name is null when speaker_id_map doesn't name the id
+function getModelSpeakers(modelData) {
+  const speakerIdMap = modelData.speaker_id_map || {};
+  const names = new Map(Object.entries(speakerIdMap).map(([name, id]) => [id, name]));
+  const numSpeakers = Math.max(1, parseInt(modelData.num_speakers, 10) || 0, ...Array.from(names.keys(), id => id + 1));
+  
+  return Array.from({ length: numSpeakers }, (_, id) => ({ id, name: names.get(id) || null }));
+}
+
+// Speaker id for a speaker given as an id or a speaker_id_map name, or null
+// when the model has no such speaker
+function resolveSpeaker(model, speaker) {
+  if (speaker === undefined || speaker === null || speaker === '') return 0;
+  
+  // Own properties only, so names like 'constructor' don't match Object's methods
+  if (model.speakerIdMap && Object.prototype.hasOwnProperty.call(model.speakerIdMap, speaker)) {
+    return model.speakerIdMap[speaker];
+  }
+  
+  const id = Number(speaker);
+  return Number.isInteger(id) && id >= 0 && id < (model.numSpeakers || 1) ? id : null;
+}
+
+// Language code (e.g. 'es', 'en') from piper's language block or espeak voice
+function getModelLanguageCode(modelData) {
+  if (modelData.language && modelData.language.family) {
+    return modelData.language.family.toLowerCase();
+  }
+  
+  if (modelData.espeak && modelData.espeak.voice) {
+    return modelData.espeak.voice.split(/[-_]/)[0].toLowerCase();
+  }
+  
+  return 'es';
+}
+
+// Full locale (e.g. 'es_MX', 'en_GB') for number formats; falls back to the language code
+function getModelLocale(modelData) {
+  if (modelData.language && modelData.language.code) {
+    return modelData.language.code;
+  }
+  
+  if (modelData.espeak && modelData.espeak.voice) {
+    return modelData.espeak.voice.replace('-', '_');
+  }
+  
+  return getModelLanguageCode(modelData);
+}
+
+// Generate random string for temporary files
+function generateRandomString(length = 8) {
+  return crypto.randomBytes(length).toString('hex');
+}
+
+// Build the RegExp for a replacement rule
+// Literal whole-word rules keep the special cases for abbreviations ending in a
+// period and for numbers that are part of a larger number
+function buildReplacementPattern(rule) {
+  const flags = rule.caseSensitive ? 'g' : 'gi';
+  const source = rule.regex ? rule.find : rule.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  
+  if (!rule.wholeWord) {
+    return new RegExp(source, flags);
+  }
+  
+  if (rule.regex) {
+    return new RegExp(`\\b(?:${source})\\b`, flags);
+  }
+  
+  // Abbreviations ending with period
+  if (rule.find.endsWith('.')) {
+    return new RegExp(`\\b${source}`, flags);
+  }
+  
+  // Don't replace if number is part of larger number, decimal, or comma-separated
+  // BUT allow replacement when followed by period (enumeration context)
+  if (/^\d+$/.test(rule.find)) {
+    return new RegExp(`\\b${source}(?![0-9,]|\\.(?!\\s))`, flags);
+  }
+  
+  return new RegExp(`\\b${source}\\b`, flags);
+}
+
+// Apply text replacements, highest priority first; rules with the same priority
+// keep their dictionary order. Regex rules can use $1... in replace.
+// Each rule that changed the text is pushed to firedRules as { find, replace, count }.
+function applyReplacements(text, replacements, firedRules = null) {
+  if (!text || !replacements || replacements.length === 0) {
+    return text;
+  }
+  
+  console.log(`[REPLACEMENTS] Starting text: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
+  const originalText = text;
+  let processedText = text;
+  
+  // Each pattern is compiled once, while the rule is validated
+  const rules = (Array.isArray(replacements) ? replacements : [])
+    .map(compileReplacementRule)
+    .filter(compiled => compiled !== null)
+    .map((compiled, order) => ({ ...compiled, order }))
+    .sort((a, b) => (b.rule.priority - a.rule.priority) || (a.order - b.order));
+  
+  for (const { rule, pattern } of rules) {
+    const count = (processedText.match(pattern) || []).length;
+    if (count === 0) continue;
+    
+    // Literal rules insert replace as-is, so a '$' in it isn't read as a group reference
+    processedText = rule.regex
+      ? processedText.replace(pattern, rule.replace)
+      : processedText.replace(pattern, () => rule.replace);
+    
+    console.log(`[REPLACEMENTS] '${rule.find}' → '${rule.replace}' (${count} replacements)`);
+    
+    if (firedRules) {
+      firedRules.push({ find: rule.find, replace: rule.replace, count: count });
+    }
+  }
+  
+  if (processedText !== originalText) {
+    console.log(`[REPLACEMENTS] Final text: '${processedText.substring(0, 100)}${processedText.length > 100 ? '...' : ''}'`);
+  } else {
+    console.log('[REPLACEMENTS] No changes made to text');
+  }
+  
+  return processedText;
+}
+
+// Filter code blocks
+function filterCodeBlocks(text) {
+  return text.replace(/```[^`\n]*\n.*?```/gs, '');
+}
+
+// Process line breaks - Fixed to preserve text integrity
+function processLineBreaks(text, pack = getLanguagePack('es')) {
+  console.log(`[LINE_BREAKS] Original text: "${text.substring(0, 200)}${text.length > 200 ? '...' : ''}"`);
+  
+  // Don't split by lines aggressively - preserve the original text structure
+  // Only handle obvious paragraph breaks
+  let processedText = text;
+  
+  // Handle paragraph breaks (double line breaks) - these become sentence breaks
+  processedText = processedText.replace(/\n\s*\n/g, '. ');
+  
+  // Handle single line breaks more carefully - they become spaces unless at end of sentence
+  processedText = processedText.replace(/([.!?¿¡…])\s*\n/g, '$1 '); // Punctuation + line break = punctuation + space
+  processedText = processedText.replace(new RegExp(`([^.!?¿¡…])\\s*\\n\\s*([${pack.uppercase}])`, 'g'), '$1. $2'); // No punctuation + line break + capital = add period
+  processedText = processedText.replace(/\n/g, ' '); // Remaining line breaks become spaces
+  
+  // Clean up spacing
+  processedText = processedText.replace(/\s+/g, ' ').trim();
+  
+  // Handle special cases for better speech flow
+  processedText = processedText.replace(/([a-zA-Z])\s*:\s*/g, '$1: '); // Normalize colons
+  
+  // Clean up multiple periods but be careful not to break ellipsis
+  processedText = processedText.replace(/\.{4,}/g, '...'); // 4+ periods become ellipsis
+  processedText = processedText.replace(/\.{2}(?!\.)/g, '.'); // Double periods become single (preserve ellipsis)
+  
+  console.log(`[LINE_BREAKS] Final processed text: "${processedText.substring(0, 200)}${processedText.length > 200 ? '...' : ''}"`);
+  
+  return processedText;
+}
+
+// Advanced sentence splitting with natural speech pattern handling - Enhanced for punctuation pairs
+// Abbreviations, sentence starts and punctuation rules come from the language pack
+// options.display splits at the same places but keeps the characters as written (no
+// added ¿/¡ or final punctuation), for subtitle text
+function splitSentences(text, pack = getLanguagePack('es'), options = {}) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+  
+  console.log(`[SPLIT] Original text (${pack.code}): "${text}"`);
+  
+  const enhance = options.display
+    ? sentence => sentence.replace(/\s+/g, ' ').trim()
+    : sentence => enhanceSentenceForTTS(sentence, pack);
+  
+  // Step 1: Normalize and fix incomplete punctuation patterns
+  let normalizedText = options.display ? text.replace(/\s+/g, ' ').trim() : normalizeTextForTTS(text, pack);
+  
+  // Step 2: Protect abbreviations (with their period) and other non-final periods
+  // by temporarily replacing them
+  let protectedText = normalizedText;
+  const protectionMap = new Map();
+  let protectionCounter = 0;
+  
+  const protect = (match) => {
+    const placeholder = `__ABBREV_${protectionCounter}__`;
+    protectionMap.set(placeholder, match);
+    protectionCounter++;
+    return placeholder;
+  };
+  
+  for (const abbrev of pack.abbreviations) {
+    const regex = new RegExp(`\\b${abbrev.replace(/\./g, '\\.')}\\.`, 'gi');
+    protectedText = protectedText.replace(regex, protect);
+  }
+  
+  for (const pattern of pack.protectedPatterns || []) {
+    protectedText = protectedText.replace(pattern, protect);
+  }
+  
+  // Step 3: Improved sentence splitting using regex patterns
+  const sentences = [];
+  
+  // Use a more reliable regex-based approach for sentence splitting
+  // This pattern looks for sentence endings followed by whitespace and capital letters or sentence starters
+  // Displayed text still has the colons, ellipses and missing spaces normalizeTextForTTS turns into sentence ends
+  const sentencePattern = options.display
+    ? new RegExp(`([.!?…:]+)\\s*(?=[${pack.uppercase}${pack.sentenceOpeners}]|$)`, 'g')
+    : new RegExp(`([.!?]+)\\s+(?=[${pack.uppercase}${pack.sentenceOpeners}]|$)`, 'g');
+  
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = sentencePattern.exec(protectedText)) !== null) {
+    const sentenceEnd = match.index + match[1].length;
+    const sentence = protectedText.substring(lastIndex, sentenceEnd).trim();
+    
+    if (sentence.length > 0) {
+      sentences.push(sentence);
+      console.log(`[SPLIT] Extracted sentence: "${sentence}"`);
+    }
+    
+    lastIndex = sentenceEnd;
+  }
+  
+  // Add any remaining text as the last sentence
+  if (lastIndex < protectedText.length) {
+    const remainingSentence = protectedText.substring(lastIndex).trim();
+    if (remainingSentence.length > 0) {
+      sentences.push(remainingSentence);
+      console.log(`[SPLIT] Extracted final sentence: "${remainingSentence}"`);
+    }
+  }
+  
+  // If no sentences were found using regex, split by major punctuation as fallback
+  if (sentences.length === 0) {
+    const fallbackSentences = protectedText.split(new RegExp(`(?<=[.!?])\\s+(?=[${pack.uppercase}${pack.sentenceOpeners}])`));
+    sentences.push(...fallbackSentences.filter(s => s.trim().length > 0));
+    console.log(`[SPLIT] Used fallback splitting, found ${sentences.length} sentences`);
+  }
+  
+  // Step 4: Process and clean sentences
+  const processedSentences = [];
+  for (let sentence of sentences) {
+    // Restore abbreviations
+    for (const [placeholder, original] of protectionMap) {
+      sentence = sentence.replace(new RegExp(placeholder, 'g'), original);
+    }
+    
+    // Clean and enhance sentence for TTS
+    sentence = enhance(sentence);
+    
+    if (sentence && sentence.length > 3) {
+      // Handle very long sentences by splitting at natural pauses
+      if (sentence.length > 400) {
+        const chunks = splitLongSentence(sentence, pack, enhance);
+        processedSentences.push(...chunks);
+      } else {
+        processedSentences.push(sentence);
+      }
+    }
+  }
+  
+  // Step 5: Merge very short fragments with adjacent sentences
+  const finalSentences = mergeShortFragments(processedSentences);
+  
+  // Log the divided text
+  if (finalSentences.length > 0) {
+    console.log(`[SPLIT] Text divided into ${finalSentences.length} segments:`);
+    finalSentences.forEach((sentence, i) => {
+      console.log(`[SPLIT] ${i + 1}: "${sentence}"`);
+    });
+  }
+  
+  return finalSentences;
+}
+
+// Helper function to determine if a punctuation mark is a natural sentence boundary
+function isNaturalSentenceBoundary(text, position, pack = getLanguagePack('es')) {
+  const nextChar = text[position + 1];
+  const nextTwoChars = text.substring(position + 1, position + 3);
+  
+  // End of text is always a boundary
+  if (position >= text.length - 1) {
+    return true;
+  }
+  
+  // Skip whitespace to find next meaningful character
+  let nextMeaningfulPos = position + 1;
+  while (nextMeaningfulPos < text.length && /\s/.test(text[nextMeaningfulPos])) {
+    nextMeaningfulPos++;
+  }
+  
+  if (nextMeaningfulPos >= text.length) {
+    return true;
+  }
+  
+  const nextMeaningfulChar = text[nextMeaningfulPos];
+  const nextMeaningfulTwoChars = text.substring(nextMeaningfulPos, nextMeaningfulPos + 2);
+  
+  // Check for uppercase letter or sentence starters
+  if (new RegExp(`[${pack.uppercase}${pack.sentenceOpeners}]`).test(nextMeaningfulChar)) {
+    return true;
+  }
+  
+  // Check for common sentence starters
+  if (pack.sentenceStarters.length > 0 &&
+      new RegExp(`^(${pack.sentenceStarters.join('|')})\\s`, 'i').test(text.substring(nextMeaningfulPos))) {
+    return true;
+  }
+  
+  return false;
+}
+
+// Helper function to check if a period is part of an abbreviation or number
+function isAbbreviationOrNumber(text, position) {
+  const beforeChar = text[position - 1];
+  const afterChar = text[position + 1];
+  
+  // Check for decimal numbers
+  if (/\d/.test(beforeChar) && /\d/.test(afterChar)) {
+    return true;
+  }
+  
+  // Check for common abbreviation patterns
+  const beforeTwoChars = text.substring(position - 2, position);
+  if (/^[A-Z][a-z]$/.test(beforeTwoChars) || /^[A-Z]{2}$/.test(beforeTwoChars)) {
+    return true;
+  }
+  
+  return false;
+}
+
+// Normalize text for better TTS output - Fixed for proper text handling
+function normalizeTextForTTS(text, pack = getLanguagePack('es')) {
+  console.log(`[NORMALIZE] Starting normalization: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+  
+  let normalized = text;
+  
+  // First, preserve the original structure and fix basic issues
+  // Handle line breaks more carefully - preserve paragraph structure
+  normalized = normalized.replace(/\n\s*\n/g, '. '); // Double line breaks become sentence breaks
+  normalized = normalized.replace(/\n/g, ' '); // Single line breaks become spaces, not periods
+  
+  // Remove special characters that piper.exe doesn't handle well
+  normalized = normalized.replace(/[""'']/g, '"'); // Normalize quotes
+  normalized = normalized.replace(/[–—]/g, '-'); // Normalize dashes
+  normalized = normalized.replace(/[…]/g, '...'); // Normalize ellipsis
+  
+  // Fix malformed punctuation combinations for the language (¿...? and ¡...! in Spanish)
+  if (pack.fixPunctuation) {
+    normalized = pack.fixPunctuation(normalized);
+  }
+  
+  // Fix sentences ending with colon that should end with period
+  normalized = normalized.replace(/:\s*$/g, '.');
+  normalized = normalized.replace(new RegExp(`:\\s*(?=[${pack.uppercase}])`, 'g'), '. ');
+  
+  // Clean up spacing issues
+  normalized = normalized.replace(/\s+([.!?¿¡,;:])/g, '$1');
+  normalized = normalized.replace(/([.!?])\s*([¿¡])/g, '$1 $2');
+  
+  // Ensure proper spacing after punctuation
+  normalized = normalized.replace(new RegExp(`([.!?])\\s*(?=[${pack.uppercase}])`, 'g'), '$1 ');
+  normalized = normalized.replace(new RegExp(`([,:;])\\s*(?=[${pack.uppercase}])`, 'g'), '$1 ');
+  
+  // Clean up multiple periods but preserve ellipsis
+  normalized = normalized.replace(/\.{4,}/g, '...'); // More than 3 dots become ellipsis
+  normalized = normalized.replace(/\.{2}(?!\.)/g, '.'); // Double dots become single (but preserve ellipsis)
+  
+  // Remove duplicate punctuation
+  normalized = normalized.replace(/([!?]){2,}/g, '$1');
+  
+  // Normalize whitespace
+  normalized = normalized.replace(/\s+/g, ' ').trim();
+  
+  console.log(`[NORMALIZE] Final result: "${normalized.substring(0, 100)}${normalized.length > 100 ? '...' : ''}"`);
+  return normalized;
+}
+
+// Enhance individual sentence for natural TTS - Fixed to preserve text integrity
+function enhanceSentenceForTTS(sentence, pack = getLanguagePack('es')) {
+  let enhanced = sentence.replace(/[\r\n\t]+/g, ' ').replace(/\s+/g, ' ').trim();
+  
+  // Don't modify sentences that already have proper punctuation
+  if (!enhanced) return enhanced;
+  
+  // Check if sentence already has proper ending punctuation
+  const hasEndingPunctuation = /[.!?…]$/.test(enhanced);
+  
+  // Only add punctuation if missing
+  if (!hasEndingPunctuation) {
+    // Add appropriate ending based on content
+    if (/^¿/.test(enhanced) || containsAnyWord(enhanced, pack.questionWords)) {
+      enhanced += '?';
+    } else if (/^¡/.test(enhanced) || containsAnyWord(enhanced, pack.exclamationWords)) {
+      enhanced += '!';
+    } else {
+      enhanced += '.';
+    }
+  }
+  
+  if (pack.addOpeningPunctuation) {
+    enhanced = pack.addOpeningPunctuation(enhanced);
+  }
+  
+  return enhanced;
+}
+
+// Whole-word, case-insensitive match of any of the words; \b only knows ASCII
+// letters, so boundaries are checked against any Unicode letter instead
+function containsAnyWord(text, words) {
+  if (!words || words.length === 0) return false;
+  return new RegExp(`(?<!\\p{L})(${words.join('|')})(?!\\p{L})`, 'iu').test(text);
+}
+
+// Split very long sentences at natural pause points
+function splitLongSentence(sentence, pack = getLanguagePack('es'), enhance = chunk => enhanceSentenceForTTS(chunk, pack)) {
+  const chunks = [];
+  if (pack.breakWords.length === 0) {
+    return [sentence];
+  }
+  
+  const naturalBreaks = new RegExp(`([,:;]\\s+(?:${pack.breakWords.join('|')}))`, 'gi');
+  
+  const parts = sentence.split(naturalBreaks);
+  let currentChunk = '';
+  
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    
+    if (naturalBreaks.test(part)) {
+      currentChunk += part;
+      continue;
+    }
+    
+    if (currentChunk && (currentChunk + part).length > 200) {
+      if (currentChunk.trim()) {
+        chunks.push(enhance(currentChunk.trim()));
+      }
+      currentChunk = part;
+    } else {
+      currentChunk += part;
+    }
+  }
+  
+  if (currentChunk.trim()) {
+    chunks.push(enhance(currentChunk.trim()));
+  }
+  
+  return chunks.length > 0 ? chunks : [sentence];
+}
+
+// Merge short fragments with adjacent sentences for better flow
+function mergeShortFragments(sentences) {
+  const merged = [];
+  
+  for (let i = 0; i < sentences.length; i++) {
+    const sentence = sentences[i];
+    const wordCount = (sentence.match(/\b\w+\b/g) || []).length;
+    
+    // If sentence is very short (less than 4 words), try to merge
+    if (wordCount < 4 && sentence.length < 30) {
+      if (merged.length > 0) {
+        // Merge with previous sentence
+        merged[merged.length - 1] += ' ' + sentence;
+      } else if (i + 1 < sentences.length) {
+        // Merge with next sentence
+        const nextSentence = sentences[i + 1];
+        merged.push(sentence + ' ' + nextSentence);
+        i++; // Skip next sentence since we merged it
+      } else {
+        // Keep as is if no merge possible
+        merged.push(sentence);
+      }
+    } else {
+      merged.push(sentence);
+    }
+  }
+  
+  return merged;
+}
+
+// The text as written for each synthesized sentence of a segment, for subtitle cues:
+// sentences hold the processed text (dictionary respellings, verbalized numbers, added ¿/¡).
+// The segment is split the same way without processing. When replacing or verbalizing
+// changed the number of sentences, each written sentence goes, in order, to the nearby
+// synthesized sentence that shares most words with it. null means the sentence
+// continues the previous cue.
+const DISPLAY_ALIGNMENT_LOOKAHEAD = 3;
+
+function getDisplaySentences(segment, sentences, pack) {
+  const display = splitSentences(processLineBreaks(filterCodeBlocks(segment), pack), pack, { display: true });
+  if (display.length === sentences.length) return display;
+  if (display.length === 0) return sentences;
+  
+  const getWords = text => text.toLowerCase().match(/\p{L}+/gu) || [];
+  const sentenceWords = sentences.map(sentence => new Set(getWords(sentence)));
+  const result = sentences.map(() => null);
+  let current = 0;
+  
+  display.forEach((text, j) => {
+    // The first written sentence starts the first cue
+    if (j > 0) {
+      const words = getWords(text);
+      const last = Math.min(sentences.length - 1, current + DISPLAY_ALIGNMENT_LOOKAHEAD);
+      // On a tie move on while there are sentences left for the remaining written ones
+      let best = current + 1 <= last && sentences.length - current - 1 >= display.length - j ? current + 1 : current;
+      let bestScore = words.filter(word => sentenceWords[best].has(word)).length;
+      
+      for (let i = current; i <= last; i++) {
+        const score = words.filter(word => sentenceWords[i].has(word)).length;
+        if (score > bestScore) {
+          best = i;
+          bestScore = score;
+        }
+      }
+      current = best;
+    }
+    
+    result[current] = result[current] ? `${result[current]} ${text}` : text;
+  });
+  
+  return result;
+}
+
+// Filter text segment with comprehensive processing
+// Rules that fired are added to firedRules with the dictionary layer they came from
+function filterTextSegment(textSegment, model, firedRules = null) {
+  console.log(`[FILTER] Processing segment: '${textSegment.substring(0, 100)}${textSegment.length > 100 ? '...' : ''}'`);
+  
+  // Step 1: Remove code blocks
+  let text = filterCodeBlocks(textSegment);
+  console.log(`[FILTER] After code block removal: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
+  
+  // Step 2: Process line breaks
+  text = processLineBreaks(text, getLanguagePack(model.languageCode));
+  console.log(`[FILTER] After line break processing: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
+  
+  // Step 3: Apply replacements from every dictionary layer, most specific first
+  for (const layer of getReplacementLayers(model)) {
+    if (layer.replacements.length > 0) {
+      console.log(`[FILTER] Using ${layer.replacements.length} replacements from ${layer.name}`);
+      const layerFired = [];
+      text = applyReplacements(text, layer.replacements, layerFired);
+      
+      if (firedRules) {
+        firedRules.push(...layerFired.map(rule => ({ layer: layer.name, ...rule })));
+      }
+    }
+  }
+  
+  // Step 4: Read numbers, dates, times and currencies as words in the model's language
+  text = verbalizeText(text, model.locale || model.languageCode);
+  
+  // Step 5: Final cleanup
+  text = text.replace(/\s+/g, ' ').trim(); // Normalize whitespace
+  
+  console.log(`[FILTER] Final processed text: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
+  return text;
+}
+
+// Generate audio for one sentence on a pooled piper worker
+// When a job is given, the worker process is registered on it so cancelJob can kill it
+async function generateAudio(text, modelPath, settings = {}, job = null) {
+  return piperPool.synthesize(text, modelPath, settings, job);
+}
+
+// Process multiple sentences using the queue system
+// Each entry in sentences is either a string, synthesized with modelPath and settings,
+// or an object: { text, modelPath, sampleRate } for a sentence with its own model,
+// or { silence: seconds } for a pause.
+// Options:
+//   sampleRate         - output sample rate; sentences from models with a different
+//                        rate and silences are converted to it
+//   onSentenceReady    - called in sentence order as soon as a sentence and every
+//                        sentence before it have finished
+//   onSentenceComplete - called as each sentence finishes, in any order
+//   job                - job whose per-sentence progress is updated and whose tasks
+//                        can be cancelled
+async function generateAudioParallel(sentences, modelPath, settings = {}, options = {}) {
+  const { onSentenceReady = null, onSentenceComplete = null, job = null } = options;
+  const sampleRate = options.sampleRate || DEFAULT_SAMPLE_RATE;
+  
+  const entries = sentences.map(entry => (
+    typeof entry === 'string'
+      ? { text: entry, modelPath, settings }
+      : { modelPath, settings, ...entry }
+  ));
+  
+  const queueStatus = processQueue.getStatus();
+  console.log(`[PARALLEL] Processing ${entries.length} sentences with max ${queueStatus.maxConcurrent} concurrent processes`);
+  console.log(`[PARALLEL] Queue status - Running: ${queueStatus.running}, Queued: ${queueStatus.queued}`);
+  
+  // Results that finished out of order wait here until the sentences before them are done
+  const readyResults = new Map();
+  let nextIndexToEmit = 0;
+  let emitChain = Promise.resolve();
+  
+  const emitReadySentences = () => {
+    while (readyResults.has(nextIndexToEmit)) {
+      const result = readyResults.get(nextIndexToEmit);
+      readyResults.delete(nextIndexToEmit);
+      nextIndexToEmit++;
+      emitChain = emitChain
+        .then(() => onSentenceReady(result, entries.length))
+        .catch(error => console.error(`[PARALLEL] Error delivering sentence ${result.index + 1}: ${error.message}`));
+    }
+  };
+  
+  // Record a finished sentence and hand it to the callbacks
+  const completeSentence = async (entry, index, audioFile) => {
+    // Concatenation needs every file at the same sample rate
+    if (entry.sampleRate && entry.sampleRate !== sampleRate) {
+      audioFile = await resampleAudio(audioFile, sampleRate);
+    }
+    
+    const result = { index, audioFile, sentence: entry.text || null, silence: entry.silence || null };
+    
+    if (job) {
+      job.sentences[index].status = 'done';
+      job.sentences[index].audioFile = audioFile;
+    }
+    
+    if (onSentenceComplete) {
+      onSentenceComplete(result, entries.length);
+    }
+    
+    if (onSentenceReady) {
+      readyResults.set(index, result);
+      emitReadySentences();
+    }
+    
+    return result;
+  };
+  
+  const failSentence = (index, error) => {
+    console.error(`[PARALLEL] Error processing sentence ${index + 1}: ${error.message}`);
+    if (job) {
+      job.sentences[index].status = job.cancelled ? 'cancelled' : 'error';
+      job.sentences[index].error = job.cancelled ? null : error.message;
+    }
+    throw error;
+  };
+  
+  // Function to create a queued task for a single sentence
+  const createSentenceTask = (entry, index) => {
+    return () => {
+      console.log(`[PARALLEL] Starting sentence ${index + 1}/${entries.length}: "${entry.text.substring(0, 50)}..."`);
+      if (job) {
+        job.sentences[index].status = 'running';
+      }
+      
+      return generateAudio(entry.text, entry.modelPath, entry.settings, job)
+        .then(async audioFile => {
+          console.log(`[PARALLEL] Completed sentence ${index + 1}/${entries.length}`);
+          await sentenceCache.store(entry.modelPath, entry.text, entry.settings, audioFile);
+          return completeSentence(entry, index, audioFile);
+        })
+        .catch(error => failSentence(index, error));
+    };
+  };
+  
+  // Use cached audio where possible and only queue the misses for synthesis
+  const taskPromises = entries.map(async (entry, index) => {
+    // Silences are cheap, generate them directly instead of through the queue
+    if (entry.silence) {
+      try {
+        const silenceFile = await generateSilence(entry.silence, sampleRate);
+        return await completeSentence({ silence: entry.silence }, index, silenceFile);
+      } catch (error) {
+        return failSentence(index, error);
+      }
+    }
+    
+    const cachedFile = await sentenceCache.lookup(entry.modelPath, entry.text, entry.settings);
+    if (cachedFile) {
+      console.log(`[PARALLEL] Cache hit for sentence ${index + 1}/${entries.length}`);
+      return completeSentence(entry, index, cachedFile);
+    }
+    
+    if (job && job.cancelled) {
+      throw new Error('Job cancelled');
+    }
+    
+    const task = createSentenceTask(entry, index);
+    return processQueue.add(task, job ? job.id : null);
+  });
+  
+  // A job keeps track of when every task has settled, so files of sentences that finish
+  // after a failure or cancellation can still be cleaned up
+  if (job) {
+    job.settled = Promise.allSettled(taskPromises);
+  }
+  
+  // Wait for all tasks to complete
+  const results = await Promise.all(taskPromises);
+  
+  // Make sure every sentence callback has finished before the files are used
+  await emitChain;
+  
+  // Sort results by original index to maintain order
+  results.sort((a, b) => a.index - b.index);
+  
+  console.log(`[PARALLEL] All ${entries.length} sentences processed successfully`);
+  return results.map(r => r.audioFile);
+}
+
+// Generate a silent mono WAV of the given length
+async function generateSilence(seconds, sampleRate = DEFAULT_SAMPLE_RATE) {
+  return new Promise((resolve, reject) => {
+    const outputFile = path.join(os.tmpdir(), `silence_${generateRandomString()}.wav`);
+    
+    const args = [
+      '-loglevel', 'error',
+      '-f', 'lavfi',
+      '-i', `anullsrc=r=${sampleRate}:cl=mono`,
+      '-t', String(seconds),
+      '-ar', String(sampleRate),
+      '-ac', '1',
+      '-c:a', 'pcm_s16le',
+      '-y', outputFile
+    ];
+    
+    const ffmpegProcess = spawn(ffmpegPath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    
+    let stderr = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0 && fs.existsSync(outputFile)) {
+        resolve(outputFile);
+      } else {
+        reject(new Error(`FFmpeg silence generation failed with code ${code}. Stderr: ${stderr}`));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
+    });
+  });
+}
+
+// Convert a mono WAV to another sample rate, replacing the original file
+async function resampleAudio(wavPath, sampleRate) {
+  return new Promise((resolve, reject) => {
+    const outputFile = path.join(os.tmpdir(), `resampled_${generateRandomString()}.wav`);
+    
+    const args = [
+      '-loglevel', 'error',
+      '-i', wavPath,
+      '-ar', String(sampleRate),
+      '-ac', '1',
+      '-c:a', 'pcm_s16le',
+      '-y', outputFile
+    ];
+    
+    const ffmpegProcess = spawn(ffmpegPath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    
+    let stderr = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0 && fs.existsSync(outputFile)) {
+        fs.unlink(wavPath).catch(console.error);
+        resolve(outputFile);
+      } else {
+        reject(new Error(`FFmpeg resampling failed with code ${code}. Stderr: ${stderr}`));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
+    });
+  });
+}
+
+// Duration in seconds of an audio file, measured with ffprobe
+async function getAudioDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath
+    ];
+    
+    const ffprobeProcess = spawn(ffprobePath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    
+    let stdout = '';
+    let stderr = '';
+    
+    ffprobeProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    
+    ffprobeProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    ffprobeProcess.on('close', (code) => {
+      const duration = parseFloat(stdout.trim());
+      if (code === 0 && !isNaN(duration)) {
+        resolve(duration);
+      } else {
+        reject(new Error(`FFprobe process failed with code ${code}. Stderr: ${stderr}`));
+      }
+    });
+    
+    ffprobeProcess.on('error', (error) => {
+      reject(new Error(`Failed to start FFprobe process: ${error.message}`));
+    });
+  });
+}
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'json'];
+const SUBTITLE_LINE_LENGTH = 42;
+
+// settings.subtitles is true for every format or a list such as ['srt', 'vtt', 'json']
+function normalizeSubtitleFormats(subtitles) {
+  if (subtitles === true) return [...SUBTITLE_FORMATS];
+  if (!Array.isArray(subtitles)) return [];
+  return SUBTITLE_FORMATS.filter(format => subtitles.map(f => String(f).toLowerCase()).includes(format));
+}
+
+// Start and end time of every sentence in the concatenated audio, with the text as the
+// author wrote it (entry.displayText) when there is one. Silences move the clock forward
+// but get no entry of their own; a displayText of null extends the previous cue.
+async function buildSentenceTimings(entries, audioFiles) {
+  const durations = await Promise.all(audioFiles.map(file => processQueue.add(() => getAudioDuration(file))));
+  const timings = [];
+  let position = 0;
+  
+  entries.forEach((entry, index) => {
+    const start = position;
+    position += durations[index];
+    
+    if (entry.silence) return;
+    
+    const previous = timings[timings.length - 1];
+    if (entry.displayText === null && previous) {
+      previous.end = Math.round(position * 1000) / 1000;
+      previous.duration = Math.round((previous.end - previous.start) * 1000) / 1000;
+      return;
+    }
+    
+    timings.push({
+      index: timings.length,
+      text: typeof entry === 'string' ? entry : (entry.displayText || entry.text),
+      start: Math.round(start * 1000) / 1000,
+      end: Math.round(position * 1000) / 1000,
+      duration: Math.round(durations[index] * 1000) / 1000
+    });
+  });
+  
+  return timings;
+}
+
+// 00:01:02,345 (SRT) or 00:01:02.345 (WebVTT)
+function formatSubtitleTime(seconds, decimalSeparator) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${decimalSeparator}${pad(ms, 3)}`;
+}
+
+// Break cue text into lines of at most SUBTITLE_LINE_LENGTH characters
+function wrapSubtitleText(text) {
+  const lines = [];
+  let line = '';
+  
+  for (const word of text.split(/\s+/)) {
+    if (line && (line + ' ' + word).length > SUBTITLE_LINE_LENGTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+function buildSrt(timings) {
+  return timings.map((timing, i) => [
+    String(i + 1),
+    `${formatSubtitleTime(timing.start, ',')} --> ${formatSubtitleTime(timing.end, ',')}`,
+    wrapSubtitleText(timing.text)
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function buildVtt(timings) {
+  const cues = timings.map(timing => [
+    `${formatSubtitleTime(timing.start, '.')} --> ${formatSubtitleTime(timing.end, '.')}`,
+    wrapSubtitleText(timing.text)
+  ].join('\n'));
+  
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// 00:01:02,345 / 00:01:02.345 / 01:02.345 → seconds
+function parseSubtitleTime(value) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(value.trim());
+  if (!match) return null;
+  
+  const [, hours = '0', minutes, seconds, ms] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+}
+
+// Cues of an SRT or WebVTT file: [{ index, start, end, text }], in time order.
+// Formatting tags (<i>, <c.class>, <v Speaker>, {\an8}) are removed from the text.
+function parseSubtitles(content) {
+  const blocks = String(content || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+  const cues = [];
+  
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // Header, NOTE, STYLE or REGION block
+    
+    const [startText, endText = ''] = lines[timingIndex].split('-->');
+    const start = parseSubtitleTime(startText);
+    // WebVTT cue settings follow the end time
+    const end = parseSubtitleTime(endText.trim().split(/\s+/)[0] || '');
+    if (start === null || end === null || end <= start) continue;
+    
+    const text = lines.slice(timingIndex + 1).join(' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    
+    cues.push({ start, end, text });
+  }
+  
+  return cues
+    .sort((a, b) => a.start - b.start)
+    .map((cue, index) => ({ index, ...cue }));
+}
+
+// Subtitles for the requested formats: { srt, vtt, timings }, or null when none
+// were requested. Must run before the sentence files are concatenated and removed.
+async function buildSubtitles(entries, audioFiles, subtitleSettings) {
+  const formats = normalizeSubtitleFormats(subtitleSettings);
+  if (formats.length === 0) return null;
+  
+  const timings = await buildSentenceTimings(entries, audioFiles);
+  const subtitles = {};
+  
+  if (formats.includes('srt')) subtitles.srt = buildSrt(timings);
+  if (formats.includes('vtt')) subtitles.vtt = buildVtt(timings);
+  if (formats.includes('json')) subtitles.timings = timings;
+  
+  console.log(`[SUBTITLES] Built ${formats.join(', ')} for ${timings.length} sentences`);
+  return subtitles;
+}
+
+// Write subtitles next to an audio file, with the same base name
+async function writeSubtitleFiles(audioPath, subtitles) {
+  const { dir, name } = path.parse(audioPath);
+  const files = {
+    srt: subtitles.srt,
+    vtt: subtitles.vtt,
+    json: subtitles.timings ? JSON.stringify(subtitles.timings, null, 2) : null
+  };
+  
+  for (const [extension, content] of Object.entries(files)) {
+    if (content) {
+      await fs.writeFile(path.join(dir, `${name}.${extension}`), content, 'utf8');
+    }
+  }
+}
+
+// Output formats for the final audio; sentence chunks stay WAV
+const OUTPUT_FORMATS = {
+  wav: { extension: 'wav', mimeType: 'audio/wav' },
+  mp3: { extension: 'mp3', mimeType: 'audio/mpeg' },
+  ogg: { extension: 'ogg', mimeType: 'audio/ogg' }, // Opus
+  flac: { extension: 'flac', mimeType: 'audio/flac' },
+  m4a: { extension: 'm4a', mimeType: 'audio/mp4' } // AAC
+};
+
+// Default bitrate (kbps) of the lossy formats
+const DEFAULT_BITRATES = { mp3: 192, ogg: 64, m4a: 128 };
+
+// Opus only encodes at these rates
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Fill in and clamp output settings:
+//   format      - wav, mp3, ogg (Opus), flac or m4a (AAC); mp3 by default
+//   bitrateMode - 'vbr' or 'cbr' for MP3
+//   bitrate     - kbps for MP3 CBR, Opus and AAC
+//   vbrQuality  - LAME VBR quality, 0 (best) to 9
+//   sampleRate  - output rate in Hz, null keeps the model's rate
+//   channels    - 1 (mono) or 2 (stereo)
+// Returns null for an unknown format
+function normalizeOutputSettings(output = {}) {
+  const format = String((output && output.format) || 'mp3').toLowerCase();
+  if (!OUTPUT_FORMATS[format]) return null;
+  
+  const settings = output || {};
+  const bitrate = parseInt(settings.bitrate, 10);
+  const vbrQuality = parseInt(settings.vbrQuality, 10);
+  const sampleRate = parseInt(settings.sampleRate, 10);
+  
+  return {
+    format: format,
+    bitrateMode: settings.bitrateMode === 'cbr' ? 'cbr' : 'vbr',
+    bitrate: Math.max(8, Math.min(320, isNaN(bitrate) ? (DEFAULT_BITRATES[format] || 192) : bitrate)),
+    vbrQuality: Math.max(0, Math.min(9, isNaN(vbrQuality) ? 2 : vbrQuality)),
+    sampleRate: isNaN(sampleRate) ? null : Math.max(8000, Math.min(192000, sampleRate)),
+    channels: parseInt(settings.channels, 10) === 2 ? 2 : 1
+  };
+}
+
+// ffmpeg codec arguments for the output settings
+function getEncoderArgs(output) {
+  const args = [];
+  
+  switch (output.format) {
+    case 'wav':
+      args.push('-codec:a', 'pcm_s16le');
+      break;
+    case 'mp3':
+      args.push('-codec:a', 'libmp3lame');
+      if (output.bitrateMode === 'cbr') {
+        args.push('-b:a', `${output.bitrate}k`);
+      } else {
+        args.push('-qscale:a', String(output.vbrQuality));
+      }
+      break;
+    case 'ogg':
+      args.push('-codec:a', 'libopus', '-b:a', `${output.bitrate}k`);
+      break;
+    case 'flac':
+      args.push('-codec:a', 'flac');
+      break;
+    case 'm4a':
+      args.push('-codec:a', 'aac', '-b:a', `${output.bitrate}k`, '-movflags', '+faststart');
+      break;
+  }
+  
+  let sampleRate = output.sampleRate;
+  if (output.format === 'ogg' && sampleRate && !OPUS_SAMPLE_RATES.includes(sampleRate)) {
+    sampleRate = 48000;
+  }
+  if (sampleRate) {
+    args.push('-ar', String(sampleRate));
+  }
+  
+  args.push('-ac', String(output.channels));
+  return args;
+}
+
+// ffmpeg arguments that tag the output, e.g. { title, album, artist, track }
+function getMetadataArgs(metadata) {
+  return Object.entries(metadata || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+}
+
+// Encode a WAV file into the requested output format; the WAV file is removed
+async function encodeAudio(wavPath, output, metadata = null) {
+  return new Promise((resolve, reject) => {
+    const { extension } = OUTPUT_FORMATS[output.format];
+    const outputPath = wavPath.replace(/\.wav$/, extension === 'wav' ? '_out.wav' : `.${extension}`);
+    
+    const args = [
+      '-i', wavPath,
+      ...getEncoderArgs(output),
+      ...getMetadataArgs(metadata),
+      '-y', outputPath
+    ];
+    
+    const ffmpegProcess = spawn(ffmpegPath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    
+    let stderr = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0 && fs.existsSync(outputPath)) {
+        // Clean up WAV file
+        fs.unlink(wavPath).catch(console.error);
+        resolve(outputPath);
+      } else {
+        reject(new Error(`FFmpeg process failed with code ${code}. Stderr: ${stderr}`));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
+    });
+  });
+}
+
+// Concatenate multiple audio files
+async function concatenateAudio(audioFiles, outputPath) {
+  return new Promise((resolve, reject) => {
+    const listFile = path.join(os.tmpdir(), `concat_${generateRandomString()}.txt`);
+    
+    // Create file list for FFmpeg
+    const fileList = audioFiles.map(file => `file '${file.replace(/\\/g, '/')}'`).join('\n');
+    fs.writeFileSync(listFile, fileList);
+    
+    const args = [
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listFile,
+      '-c', 'copy',
+      '-y', outputPath
+    ];
+    
+    const ffmpegProcess = spawn(ffmpegPath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    
+    let stderr = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      // Clean up
+      fs.unlink(listFile).catch(console.error);
+      audioFiles.forEach(file => fs.unlink(file).catch(console.error));
+      
+      if (code === 0 && fs.existsSync(outputPath)) {
+        resolve(outputPath);
+      } else {
+        reject(new Error(`FFmpeg concatenation failed with code ${code}. Stderr: ${stderr}`));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
+    });
+  });
+}
+
+// Routes
+app.get('/models', (req, res) => {
+  res.json({
+    success: true,
+    models: availableModels,
+    count: availableModels.length
+  });
+});
+
+// Server-sent events: 'models-changed' with the ids of added, removed and updated models
+// whenever a scan (manual or triggered by the folder watchers) changes the model list
+app.get('/models/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+  
+  // Comments keep idle connections open
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 30000);
+  modelEventClients.add(res);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    modelEventClients.delete(res);
+  });
+});
+
+// Replace the model sources with these folders, all enabled
+app.post('/set-model-paths', async (req, res) => {
+  try {
+    const { paths } = req.body;
+    
+    if (!Array.isArray(paths)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Paths must be an array'
+      });
+    }
+    
+    await setModelSources(paths.map(folder => ({ path: folder, enabled: true })));
+    
+    res.json({
+      success: true,
+      message: 'Model paths updated',
+      modelCount: availableModels.length
+    });
+  } catch (error) {
+    console.error('Error setting model paths:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Model sources with status ('available', 'missing' or 'disabled') and model counts
+app.get('/model-sources', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sources: await getModelSourcesStatus()
+    });
+  } catch (error) {
+    console.error('Error getting model sources:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Add a folder at the end of the sources
+app.post('/model-sources', async (req, res) => {
+  try {
+    const { path: sourcePath } = req.body || {};
+    
+    if (typeof sourcePath !== 'string' || !path.isAbsolute(sourcePath)) {
+      return res.status(400).json({
+        success: false,
+        error: 'An absolute folder path is required'
+      });
+    }
+    
+    if (modelSources.some(source => normalizeSourcePath(source.path) === normalizeSourcePath(sourcePath))) {
+      return res.status(409).json({
+        success: false,
+        error: 'The folder is already a model source'
+      });
+    }
+    
+    // Sources are scanned recursively, so a folder inside another source (or containing
+    // one) would only find models that are already listed
+    const nested = modelSources.find(source => isNestedPath(source.path, sourcePath) || isNestedPath(sourcePath, source.path));
+    if (nested) {
+      return res.status(409).json({
+        success: false,
+        error: `The folder overlaps the model source ${nested.path}`
+      });
+    }
+    
+    await setModelSources([...modelSources, { path: sourcePath, enabled: true }]);
+    
+    res.json({
+      success: true,
+      sources: await getModelSourcesStatus()
+    });
+  } catch (error) {
+    console.error('Error adding model source:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replace the whole list: removing, enabling, disabling and reordering sources
+app.put('/model-sources', async (req, res) => {
+  try {
+    const { sources } = req.body || {};
+    
+    if (!Array.isArray(sources)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sources must be an array'
+      });
+    }
+    
+    await setModelSources(sources);
+    
+    res.json({
+      success: true,
+      sources: await getModelSourcesStatus()
+    });
+  } catch (error) {
+    console.error('Error updating model sources:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Synthesis presets and the default preset of each model: { presets, modelPresets }
+app.get('/presets', (req, res) => {
+  res.json({
+    success: true,
+    presets: presets,
+    modelPresets: modelPresets
+  });
+});
+
+// Create or replace a preset: { speaker, noise_scale, length_scale, noise_w }
+app.put('/presets/:name', async (req, res) => {
+  try {
+    const { saved, errors } = await savePresets([{ ...(req.body || {}), name: req.params.name }]);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0]
+      });
+    }
+    
+    res.json({
+      success: true,
+      preset: findPreset(saved[0])
+    });
+  } catch (error) {
+    console.error('Error saving preset:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/presets/:name', async (req, res) => {
+  try {
+    if (!(await deletePreset(req.params.name))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      modelPresets: modelPresets
+    });
+  } catch (error) {
+    console.error('Error deleting preset:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Import presets shared as a JSON file: { presets: [...] } or a plain array.
+// Presets with an existing name replace it; invalid ones are reported in errors
+app.post('/presets/import', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const entries = Array.isArray(body) ? body : body.presets;
+    
+    if (!Array.isArray(entries)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Presets must be an array'
+      });
+    }
+    
+    const { saved, errors } = await savePresets(entries);
+    res.json({
+      success: true,
+      imported: saved,
+      errors: errors,
+      presets: presets
+    });
+  } catch (error) {
+    console.error('Error importing presets:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Attach a preset to a model as its default: { preset }, or { preset: null } to detach it
+app.put('/models/:id/preset', async (req, res) => {
+  try {
+    const model = availableModels.find(m => m.id === req.params.id);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    }
+    
+    const name = req.body && req.body.preset;
+    if (name) {
+      const preset = findPreset(name);
+      if (!preset) {
+        return res.status(404).json({
+          success: false,
+          error: `Preset '${name}' not found`
+        });
+      }
+      modelPresets[model.id] = preset.name;
+    } else {
+      delete modelPresets[model.id];
+    }
+    
+    await saveAppConfig();
+    res.json({
+      success: true,
+      modelPresets: modelPresets
+    });
+  } catch (error) {
+    console.error('Error setting model preset:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Install models from archives (.zip, .tar.gz) or .onnx/.onnx.json files: { paths }.
+// Without id conflicts the models are installed right away (status 'installed');
+// otherwise the staged install is returned with status 'conflict' to be resolved
+app.post('/models/install', async (req, res) => {
+  try {
+    const { paths } = req.body || {};
+    
+    if (!Array.isArray(paths) || paths.length === 0 || !paths.every(filePath => typeof filePath === 'string' && path.isAbsolute(filePath))) {
+      return res.status(400).json({
+        success: false,
+        error: 'A list of absolute file paths is required'
+      });
+    }
+    
+    for (const filePath of paths) {
+      if (!(await fs.pathExists(filePath))) {
+        return res.status(404).json({
+          success: false,
+          error: `File not found: ${filePath}`
+        });
+      }
+    }
+    
+    const install = await stageModelInstall(paths);
+    
+    if (install.models.length === 0) {
+      discardInstall(install.id);
+      return res.status(400).json({
+        success: false,
+        error: 'No valid model (.onnx with its .onnx.json) was found',
+        errors: install.errors
+      });
+    }
+    
+    if (install.models.some(model => model.conflict)) {
+      return res.json({
+        success: true,
+        status: 'conflict',
+        install: serializeInstall(install)
+      });
+    }
+    
+    res.json({
+      success: true,
+      status: 'installed',
+      ...(await completeInstall(install))
+    });
+  } catch (error) {
+    console.error('Error installing models:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Finish a staged install: { resolutions: { [id]: { action: 'keep' | 'replace' | 'rename', newId } } }
+app.post('/models/install/:id/resolve', async (req, res) => {
+  try {
+    const install = installs.get(req.params.id);
+    if (!install) {
+      return res.status(404).json({
+        success: false,
+        error: 'Install not found or expired'
+      });
+    }
+    
+    res.json({
+      success: true,
+      status: 'installed',
+      ...(await completeInstall(install, (req.body && req.body.resolutions) || {}))
+    });
+  } catch (error) {
+    console.error('Error completing model install:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/models/install/:id', (req, res) => {
+  if (!installs.has(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Install not found or expired'
+    });
+  }
+  
+  discardInstall(req.params.id);
+  res.json({ success: true });
+});
+
+// Uninstall a model installed in the managed folder
+app.delete('/models/installed/:id', async (req, res) => {
+  try {
+    if (!(await uninstallModel(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Installed model not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      modelCount: availableModels.length
+    });
+  } catch (error) {
+    console.error('Error uninstalling model:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Editable modelcard fields of a model, read from its .onnx.json
+app.get('/models/:id/modelcard', async (req, res) => {
+  try {
+    const model = availableModels.find(m => m.id === req.params.id);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      id: model.id,
+      jsonPath: model.jsonPath,
+      modelcard: await readModelcard(model)
+    });
+  } catch (error) {
+    console.error('Error reading modelcard:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Save modelcard fields: { name, description, language, voiceprompt, image, replacements }
+// Fields left out are not changed. The model list is rescanned after saving.
+app.put('/models/:id/modelcard', async (req, res) => {
+  try {
+    const model = availableModels.find(m => m.id === req.params.id);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: 'Model not found'
+      });
+    }
+    
+    const { changes, error } = normalizeModelcardChanges((req.body && req.body.modelcard) || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+    
+    await writeModelcard(model, changes);
+    await scanModels();
+    
+    res.json({
+      success: true,
+      model: availableModels.find(m => m.jsonPath === model.jsonPath) || null
+    });
+  } catch (error) {
+    console.error('Error saving modelcard:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Find a model by the id used in voice tags, falling back to the file name
+function findModelByTagId(modelId) {
+  return availableModels.find(m => m.id === modelId) ||
+    availableModels.find(m => path.basename(m.onnxPath, '.onnx') === modelId);
+}
+
+// Split text on inline tags: <#model-id#> switches voice, <#default#> switches back
+// and <#1.5#> inserts silence. Returns the sentence and silence entries in order,
+// each text segment filtered with its own model's replacements, and the rules that fired.
+function buildTaggedSentences(text, defaultModel) {
+  const segments = text.split(/(<#.*?#>)/);
+  const entries = [];
+  const firedRules = [];
+  let currentModel = defaultModel;
+  let hasText = false;
   
-  // Add any remaining text as the last sentence
-  if (lastIndex < protectedText.length) {
-    const remainingSentence = protectedText.substring(lastIndex).trim();
-    if (remainingSentence.length > 0) {
-      sentences.push(remainingSentence);
-      console.log(`[SPLIT] Extracted final sentence: "${remainingSentence}"`);
+  for (const segment of segments) {
+    if (!segment.trim()) continue;
+    
+    if (segment.startsWith('<#') && segment.endsWith('#>')) {
+      const silenceMatch = segment.match(/^<#(\d+\.?\d*)#>$/);
+      const modelMatch = segment.match(/^<#([\w-]+)#>$/);
+      
+      if (silenceMatch) {
+        const seconds = parseFloat(silenceMatch[1]);
+        if (seconds > 0) {
+          entries.push({ silence: seconds });
+          console.log(`[TAGS] Silence of ${seconds}s`);
+        }
+        continue;
+      }
+      
+      if (modelMatch) {
+        const requestedId = modelMatch[1];
+        
+        if (requestedId === 'default') {
+          currentModel = defaultModel;
+          console.log(`[TAGS] Switched to default model: ${currentModel.name}`);
+          continue;
+        }
+        
+        const requestedModel = findModelByTagId(requestedId);
+        if (requestedModel) {
+          currentModel = requestedModel;
+          console.log(`[TAGS] Switched model to: ${currentModel.name} (requested: ${requestedId})`);
+        } else {
+          console.warn(`[TAGS] Requested model '${requestedId}' not found. Continuing with current model.`);
+        }
+        continue;
+      }
+      
+      console.warn(`[TAGS] Unrecognized tag: ${segment}. Ignoring tag.`);
+      continue;
+    }
+    
+    // Process segment as regular text with the current model
+    console.log(`[TTS] Processing text segment with model '${currentModel.name}': '${segment.substring(0, 100)}${segment.length > 100 ? '...' : ''}'`);
+    
+    const processedText = filterTextSegment(segment, currentModel, firedRules);
+    if (!processedText.trim()) {
+      console.log('[TTS] Segment became empty after filtering, skipping');
+      continue;
+    }
+    
+    hasText = true;
+    console.log(`[TTS] Text ready for synthesis: '${processedText}'`);
+    
+    // Split into sentences for better audio quality
+    const pack = getLanguagePack(currentModel.languageCode);
+    const sentences = splitSentences(processedText, pack).filter(s => s.trim());
+    const displaySentences = getDisplaySentences(segment, sentences, pack);
+    console.log(`[TTS] Split into ${sentences.length} sentences`);
+    
+    for (const [i, sentence] of sentences.entries()) {
+      entries.push({
+        text: sentence,
+        displayText: displaySentences[i],
+        modelPath: currentModel.onnxPath,
+        modelName: currentModel.name,
+        sampleRate: currentModel.sampleRate
+      });
     }
   }
   
-  // If no sentences were found using regex, split by major punctuation as fallback
-  if (sentences.length === 0) {
-    const fallbackSentences = protectedText.split(/(?<=[.!?])\s+(?=[A-ZÁÉÍÓÚÑÜ¡¿])/);
-    sentences.push(...fallbackSentences.filter(s => s.trim().length > 0));
-    console.log(`[SPLIT] Used fallback splitting, found ${sentences.length} sentences`);
+  return { entries, hasText, firedRules };
+}
+
+// SSML support: <speak>, <break>, <prosody rate>, <voice name>, <say-as> and <sub>
+const SSML_BREAK_STRENGTHS = {
+  'none': 0,
+  'x-weak': 0.1,
+  'weak': 0.25,
+  'medium': 0.5,
+  'strong': 0.75,
+  'x-strong': 1.2
+};
+
+const SSML_RATES = {
+  'x-slow': 0.5,
+  'slow': 0.75,
+  'medium': 1.0,
+  'default': 1.0,
+  'fast': 1.25,
+  'x-fast': 1.5
+};
+
+function isSsml(text) {
+  return /^\s*(<\?xml[^>]*\?>\s*)?<speak[\s>]/i.test(text);
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function parseSsmlAttributes(attributeText) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  
+  while ((match = pattern.exec(attributeText)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeXmlEntities(match[3] !== undefined ? match[3] : match[4]);
   }
   
-  // Step 4: Process and clean sentences
-  const processedSentences = [];
-  for (let sentence of sentences) {
-    // Restore abbreviations
-    for (const [placeholder, original] of protectionMap) {
-      sentence = sentence.replace(new RegExp(placeholder, 'g'), original);
+  return attributes;
+}
+
+// Break duration in seconds from time="500ms|1.5s" or strength="..."
+function parseSsmlBreak(attributes) {
+  if (attributes.time) {
+    const match = attributes.time.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+    if (match) {
+      const value = parseFloat(match[1]);
+      return (match[2] || 's').toLowerCase() === 'ms' ? value / 1000 : value;
+    }
+  }
+  
+  const strength = (attributes.strength || 'medium').toLowerCase();
+  return SSML_BREAK_STRENGTHS[strength] !== undefined ? SSML_BREAK_STRENGTHS[strength] : SSML_BREAK_STRENGTHS.medium;
+}
+
+// Speaking rate multiplier from rate="slow|fast|80%|+20%|1.2"
+function parseSsmlRate(rate) {
+  if (!rate) return 1.0;
+  const value = rate.trim().toLowerCase();
+  
+  if (SSML_RATES[value] !== undefined) {
+    return SSML_RATES[value];
+  }
+  
+  const relativeMatch = value.match(/^([+-])(\d+(?:\.\d+)?)%$/);
+  if (relativeMatch) {
+    const change = parseFloat(relativeMatch[2]) / 100;
+    return relativeMatch[1] === '+' ? 1 + change : Math.max(0.1, 1 - change);
+  }
+  
+  const percentMatch = value.match(/^(\d+(?:\.\d+)?)%$/);
+  if (percentMatch) {
+    return Math.max(0.1, parseFloat(percentMatch[1]) / 100);
+  }
+  
+  const number = parseFloat(value);
+  return number > 0 ? number : 1.0;
+}
+
+// Text for <say-as>, read with the conventions of the given language
+function interpretSayAs(text, interpretAs, format, languageCode) {
+  const content = text.trim();
+  
+  switch ((interpretAs || '').toLowerCase()) {
+    case 'characters':
+    case 'spell-out':
+      return content.replace(/\s+/g, '').split('').join(' ');
+    
+    case 'cardinal':
+    case 'number':
+      // Drop grouping separators so the number is read as a whole
+      return content.replace(/(\d)[.,\s](?=\d{3}\b)/g, '$1');
+    
+    case 'date': {
+      const parts = content.split(/[\/.-]/).map(p => parseInt(p, 10));
+      if (parts.length !== 3 || parts.some(isNaN)) return content;
+      
+      let day, month, year;
+      const order = (format || (languageCode === 'en' ? 'mdy' : 'dmy')).toLowerCase();
+      
+      if (order === 'ymd') {
+        [year, month, day] = parts;
+      } else if (order === 'mdy') {
+        [month, day, year] = parts;
+      } else {
+        [day, month, year] = parts;
+      }
+      
+      if (month < 1 || month > 12) return content;
+      
+      return verbalizeDate(day, month, year, languageCode) || content;
     }
     
-    // Clean and enhance sentence for TTS
-    sentence = enhanceSentenceForTTS(sentence);
+    default:
+      return content;
+  }
+}
+
+// Parse an SSML document into text and silence segments, each text segment
+// carrying the model and settings active where it appears
+function parseSsml(ssml, defaultModel, baseSettings = {}) {
+  const segments = [];
+  const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  
+  const rootContext = {
+    tag: null,
+    model: defaultModel,
+    speaker: baseSettings.speaker,
+    rate: 1.0,
+    sayAs: null,
+    sub: null
+  };
+  const stack = [rootContext];
+  
+  const pushText = (text) => {
+    const context = stack[stack.length - 1];
+    if (!text) return;
     
-    if (sentence && sentence.length > 3) {
-      // Handle very long sentences by splitting at natural pauses
-      if (sentence.length > 400) {
-        const chunks = splitLongSentence(sentence);
-        processedSentences.push(...chunks);
+    // Text inside <sub> is replaced by its alias once, when the tag opens
+    if (stack.some(c => c.sub !== null)) return;
+    
+    let spokenText = text;
+    if (context.sayAs) {
+      spokenText = interpretSayAs(text, context.sayAs.interpretAs, context.sayAs.format, context.model.languageCode);
+    }
+    
+    const last = segments[segments.length - 1];
+    if (last && last.type === 'text' && last.model === context.model &&
+        last.speaker === context.speaker && last.rate === context.rate) {
+      last.text += spokenText;
+    } else {
+      segments.push({
+        type: 'text',
+        text: spokenText,
+        model: context.model,
+        speaker: context.speaker,
+        rate: context.rate
+      });
+    }
+  };
+  
+  let match;
+  while ((match = tokenPattern.exec(ssml)) !== null) {
+    const [token, closing, rawTagName, attributeText, selfClosing, textContent] = match;
+    
+    if (textContent !== undefined) {
+      pushText(decodeXmlEntities(textContent));
+      continue;
+    }
+    
+    if (!rawTagName) continue; // Comment or processing instruction
+    
+    const tagName = rawTagName.toLowerCase();
+    
+    if (closing) {
+      // Pop back to the matching open tag
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag === tagName) {
+          stack.length = i;
+          break;
+        }
+      }
+      
+      if (tagName === 'p' || tagName === 's') {
+        pushText('. ');
+      }
+      continue;
+    }
+    
+    const attributes = parseSsmlAttributes(attributeText || '');
+    const parent = stack[stack.length - 1];
+    
+    if (tagName === 'break') {
+      const seconds = parseSsmlBreak(attributes);
+      if (seconds > 0) {
+        segments.push({ type: 'silence', seconds });
+      }
+      continue;
+    }
+    
+    const context = { ...parent, tag: tagName };
+    
+    if (tagName === 'prosody' && attributes.rate) {
+      context.rate = parent.rate * parseSsmlRate(attributes.rate);
+    } else if (tagName === 'voice' && attributes.name) {
+      const voiceModel = findModelByTagId(attributes.name);
+      
+      if (voiceModel) {
+        context.model = voiceModel;
+        context.speaker = baseSettings.speaker;
+      } else if (resolveSpeaker(parent.model, attributes.name) !== null) {
+        context.speaker = resolveSpeaker(parent.model, attributes.name);
       } else {
-        processedSentences.push(sentence);
+        console.warn(`[SSML] Voice '${attributes.name}' not found. Continuing with current voice.`);
       }
+    } else if (tagName === 'say-as') {
+      context.sayAs = { interpretAs: attributes['interpret-as'], format: attributes.format };
+    } else if (tagName === 'sub') {
+      if (attributes.alias) {
+        pushText(attributes.alias);
+      }
+      context.sub = attributes.alias || '';
+    } else if (tagName === 'p' || tagName === 's') {
+      pushText(' ');
+    }
+    
+    if (!selfClosing) {
+      stack.push(context);
+    } else if (tagName === 'p' || tagName === 's') {
+      pushText('. ');
     }
   }
   
-  // Step 5: Merge very short fragments with adjacent sentences
-  const finalSentences = mergeShortFragments(processedSentences);
+  return segments;
+}
+
+// Turn an SSML request into sentence and silence entries with per-segment settings
+function buildSsmlSentences(ssml, defaultModel, settings = {}) {
+  const segments = parseSsml(ssml, defaultModel, settings);
+  const baseSettings = normalizeSynthesisSettings(settings);
+  const entries = [];
+  const firedRules = [];
+  let hasText = false;
   
-  // Log the divided text
-  if (finalSentences.length > 0) {
-    console.log(`[SPLIT] Text divided into ${finalSentences.length} segments:`);
-    finalSentences.forEach((sentence, i) => {
-      console.log(`[SPLIT] ${i + 1}: "${sentence}"`);
-    });
+  for (const segment of segments) {
+    if (segment.type === 'silence') {
+      entries.push({ silence: segment.seconds });
+      console.log(`[SSML] Break of ${segment.seconds}s`);
+      continue;
+    }
+    
+    const processedText = filterTextSegment(segment.text, segment.model, firedRules);
+    if (!processedText.trim()) continue;
+    
+    hasText = true;
+    const segmentSettings = {
+      ...settings,
+      speaker: segment.speaker !== undefined ? segment.speaker : baseSettings.speaker,
+      // A faster rate means shorter phonemes
+      length_scale: Math.round((baseSettings.length_scale / segment.rate) * 1000) / 1000
+    };
+    
+    console.log(`[SSML] Segment with model '${segment.model.name}', speaker ${segmentSettings.speaker}, length_scale ${segmentSettings.length_scale}: '${processedText.substring(0, 100)}'`);
+    
+    const pack = getLanguagePack(segment.model.languageCode);
+    const sentences = splitSentences(processedText, pack).filter(s => s.trim());
+    const displaySentences = getDisplaySentences(segment.text, sentences, pack);
+    for (const [i, sentence] of sentences.entries()) {
+      entries.push({
+        text: sentence,
+        displayText: displaySentences[i],
+        modelPath: segment.model.onnxPath,
+        modelName: segment.model.name,
+        sampleRate: segment.model.sampleRate,
+        settings: segmentSettings
+      });
+    }
   }
   
-  return finalSentences;
+  return { entries, hasText, firedRules };
 }
 
-// Helper function to determine if a punctuation mark is a natural sentence boundary
-function isNaturalSentenceBoundary(text, position) {
-  const nextChar = text[position + 1];
-  const nextTwoChars = text.substring(position + 1, position + 3);
+// Dialogue scripts: every line starting with "NAME:" is a turn of that character,
+// synthesized with the voice (model and speaker) mapped to the name.
+// Names are uppercase and up to four words ("ANA:", "DON PEDRO:"), so narration like
+// "Y entonces dijo: vete" or "Nota: ..." continues the previous turn instead.
+// Lines without a name continue the previous turn; (stage directions) and [sound cues] are skipped.
+const DIALOGUE_LINE_PATTERN = /^\s*(\p{Lu}[\p{Lu}\p{M}\p{N}._'-]*(?: [\p{Lu}\p{M}\p{N}._'-]+){0,3})\s*:\s*(.*)$/u;
+const MAX_CHARACTER_NAME_LENGTH = 40;
+const DIALOGUE_DEFAULTS = { gap: 0.4 };
+
+function normalizeCharacterName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+// Turns of a script: [{ character, text }], plus the characters with their line counts
+function parseDialogueScript(text) {
+  const turns = [];
+  const counts = new Map();
   
-  // End of text is always a boundary
-  if (position >= text.length - 1) {
-    return true;
+  for (const line of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const content = line.replace(/\([^)]*\)|\[[^\]]*\]/g, ' ').trim();
+    if (!content) continue;
+    
+    const match = DIALOGUE_LINE_PATTERN.exec(content);
+    if (match && match[1].length <= MAX_CHARACTER_NAME_LENGTH && !/^https?$/i.test(match[1])) {
+      const character = normalizeCharacterName(match[1]);
+      turns.push({ character, text: match[2].trim() });
+      counts.set(character, (counts.get(character) || 0) + 1);
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].text += ` ${content}`;
+    }
   }
   
-  // Skip whitespace to find next meaningful character
-  let nextMeaningfulPos = position + 1;
-  while (nextMeaningfulPos < text.length && /\s/.test(text[nextMeaningfulPos])) {
-    nextMeaningfulPos++;
+  return {
+    turns: turns.filter(turn => turn.text),
+    characters: Array.from(counts, ([name, lines]) => ({ name, lines }))
+  };
+}
+
+// settings.dialogue: { voices: { NAME: { modelId, speaker } }, gap, stems }
+// A voice without modelId is a speaker of the selected model: its model is left null
+// and the speaker is resolved once that model is known
+function normalizeDialogueSettings(dialogue = {}) {
+  const gap = parseFloat(dialogue.gap);
+  const voices = new Map();
+  
+  for (const [name, voice] of Object.entries(dialogue.voices || {})) {
+    if (!voice) continue;
+    
+    const model = voice.modelId ? findModelByTagId(voice.modelId) : null;
+    if (model) {
+      voices.set(normalizeCharacterName(name), { model, speaker: resolveDialogueSpeaker(model, voice.speaker, name) });
+    } else if (!voice.modelId && voice.speaker !== undefined && voice.speaker !== null && voice.speaker !== '') {
+      voices.set(normalizeCharacterName(name), { model: null, speaker: voice.speaker });
+    }
   }
   
-  if (nextMeaningfulPos >= text.length) {
-    return true;
+  return {
+    voices,
+    gap: isNaN(gap) ? DIALOGUE_DEFAULTS.gap : Math.max(0, Math.min(5, gap)),
+    stems: dialogue.stems === true
+  };
+}
+
+// The speaker is an id or a name of the model's speaker_id_map
+function resolveDialogueSpeaker(model, speaker, name) {
+  const id = resolveSpeaker(model, speaker);
+  if (id === null) {
+    console.warn(`[DIALOGUE] Model '${model.name}' has no speaker '${speaker}', using speaker 0 for ${name}`);
+    return 0;
   }
+  return id;
+}
+
+// Sentence entries for a dialogue script, each tagged with its character, with a
+// silence of dialogue.gap seconds between turns. Unmapped characters use the default model.
+function buildDialogueSentences(text, defaultModel, settings = {}) {
+  const dialogue = normalizeDialogueSettings(settings.dialogue);
+  const { turns } = parseDialogueScript(text);
+  const entries = [];
+  const firedRules = [];
+  let hasText = false;
   
-  const nextMeaningfulChar = text[nextMeaningfulPos];
-  const nextMeaningfulTwoChars = text.substring(nextMeaningfulPos, nextMeaningfulPos + 2);
+  // Characters mapped to a speaker of the selected model; characters with no voice use settings.speaker
+  for (const [name, voice] of dialogue.voices) {
+    if (!voice.model) {
+      dialogue.voices.set(name, { model: defaultModel, speaker: resolveDialogueSpeaker(defaultModel, voice.speaker, name) });
+    }
+  }
   
-  // Check for uppercase letter or sentence starters
-  if (/[A-ZÁÉÍÓÚÑÜ¡¿]/.test(nextMeaningfulChar)) {
-    return true;
+  for (const turn of turns) {
+    const voice = dialogue.voices.get(turn.character) || { model: defaultModel, speaker: settings.speaker || 0 };
+    const processedText = filterTextSegment(turn.text, voice.model, firedRules);
+    if (!processedText.trim()) continue;
+    
+    if (hasText && dialogue.gap > 0) {
+      entries.push({ silence: dialogue.gap, character: null });
+    }
+    hasText = true;
+    
+    console.log(`[DIALOGUE] ${turn.character} (${voice.model.name}, speaker ${voice.speaker}): '${processedText.substring(0, 80)}'`);
+    
+    const pack = getLanguagePack(voice.model.languageCode);
+    const sentences = splitSentences(processedText, pack).filter(s => s.trim());
+    const displaySentences = getDisplaySentences(turn.text, sentences, pack);
+    for (const [i, sentence] of sentences.entries()) {
+      entries.push({
+        text: sentence,
+        displayText: displaySentences[i],
+        character: turn.character,
+        modelPath: voice.model.onnxPath,
+        modelName: voice.model.name,
+        sampleRate: voice.model.sampleRate,
+        settings: { ...settings, speaker: voice.speaker }
+      });
+    }
   }
   
-  // Check for common sentence starters
-  if (/^(El|La|Los|Las|Un|Una|Este|Esta|Estos|Estas|Pero|Sin|Con|Por|Para|Cuando|Donde|Como|Que|Si|No|Y|O|Entonces|Así|Ahora|Luego|Después|Antes|Mientras|Aunque|Porque|Ya|Dado|Puesto)\s/i.test(text.substring(nextMeaningfulPos))) {
-    return true;
+  return { entries, hasText, firedRules };
+}
+
+// Per-character stems of a dialogue: the full-length track with only that character's
+// lines audible, so the voices can be mixed separately. Must run before the sentence
+// files are concatenated. Returns { NAME: data URL }, or { NAME: file path } when
+// outputPath is given (stems are written next to it as <name>_<NAME>.<ext>).
+async function buildDialogueStems(entries, audioFiles, sampleRate, output, outputPath = null) {
+  const durations = await Promise.all(audioFiles.map(file => processQueue.add(() => getAudioDuration(file))));
+  const characters = [...new Set(entries.map(entry => entry.character).filter(Boolean))];
+  const stems = {};
+  
+  for (const character of characters) {
+    const files = [];
+    let silence = 0;
+    
+    // Other characters' lines and the gaps become one silence per stretch
+    const flushSilence = async () => {
+      if (silence > 0.001) {
+        files.push(await processQueue.add(() => generateSilence(Math.round(silence * 1000) / 1000, sampleRate)));
+      }
+      silence = 0;
+    };
+    
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].character === character) {
+        await flushSilence();
+        const copy = path.join(os.tmpdir(), `stem_${generateRandomString()}.wav`);
+        await fs.copy(audioFiles[i], copy);
+        files.push(copy);
+      } else {
+        silence += durations[i];
+      }
+    }
+    await flushSilence();
+    
+    if (outputPath) {
+      const { dir, name } = path.parse(outputPath);
+      const stemPath = await getAvailableOutputPath(dir, `${name}_${sanitizeFileName(character)}`, OUTPUT_FORMATS[output.format].extension);
+      await fs.move(await buildFinalAudioFile(files, output), stemPath, { overwrite: true });
+      stems[character] = stemPath;
+    } else {
+      stems[character] = await buildFinalAudio(files, output);
+    }
   }
   
-  return false;
+  console.log(`[DIALOGUE] Built ${characters.length} stems`);
+  return stems;
 }
 
-// Helper function to check if a period is part of an abbreviation or number
-function isAbbreviationOrNumber(text, position) {
-  const beforeChar = text[position - 1];
-  const afterChar = text[position + 1];
+// Validate a conversion request and split its text into sentence and silence entries
+// Returns { model, sentences, output, replacements } or { status, error } when the request is invalid;
+// replacements lists the dictionary rules that changed the text
+function prepareConversion(body) {
+  const { text, modelPath, settings } = body || {};
   
-  // Check for decimal numbers
-  if (/\d/.test(beforeChar) && /\d/.test(afterChar)) {
-    return true;
+  if (!text || !text.trim()) {
+    return { status: 400, error: 'Text is required' };
   }
   
-  // Check for common abbreviation patterns
-  const beforeTwoChars = text.substring(position - 2, position);
-  if (/^[A-Z][a-z]$/.test(beforeTwoChars) || /^[A-Z]{2}$/.test(beforeTwoChars)) {
-    return true;
+  if (!modelPath) {
+    return { status: 400, error: 'Model path is required' };
   }
   
-  return false;
-}
-
-// Normalize text for better TTS output - Fixed for proper text handling
-function normalizeTextForTTS(text) {
-  console.log(`[NORMALIZE] Starting normalization: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+  // Find model by path
+  const model = availableModels.find(m => m.onnxPath === modelPath);
+  if (!model) {
+    return { status: 404, error: 'Model not found' };
+  }
   
-  let normalized = text;
+  const output = normalizeOutputSettings(settings && settings.output);
+  if (!output) {
+    return { status: 400, error: `Unsupported output format (use ${Object.keys(OUTPUT_FORMATS).join(', ')})` };
+  }
   
-  // First, preserve the original structure and fix basic issues
-  // Handle line breaks more carefully - preserve paragraph structure
-  normalized = normalized.replace(/\n\s*\n/g, '. '); // Double line breaks become sentence breaks
-  normalized = normalized.replace(/\n/g, ' '); // Single line breaks become spaces, not periods
+  // A preset name (or the model's default preset) fills in the synthesis values
+  if (settings) {
+    const presetError = applyPreset(settings, model);
+    if (presetError) {
+      return { status: 400, error: presetError };
+    }
+  }
   
-  // Remove special characters that piper.exe doesn't handle well
-  normalized = normalized.replace(/[""'']/g, '"'); // Normalize quotes
-  normalized = normalized.replace(/[–—]/g, '-'); // Normalize dashes
-  normalized = normalized.replace(/[…]/g, '...'); // Normalize ellipsis
+  // The speaker may be given by name; it is replaced with its id for synthesis
+  if (settings) {
+    const speaker = resolveSpeaker(model, settings.speaker);
+    if (speaker === null) {
+      return { status: 400, error: `Speaker '${settings.speaker}' not found in model ${model.name} (${model.numSpeakers} speakers)` };
+    }
+    settings.speaker = speaker;
+  }
   
-  // Fix malformed punctuation combinations - CRITICAL FIX
-  normalized = normalized.replace(/¿¡/g, '¿'); // Remove duplicate opening punctuation
-  normalized = normalized.replace(/¡¿/g, '¡'); // Remove duplicate opening punctuation
-  normalized = normalized.replace(/\?!/g, '?'); // Remove duplicate closing punctuation
-  normalized = normalized.replace(/!\?/g, '!'); // Remove duplicate closing punctuation
+  console.log(`Converting text with model: ${model.name}`);
   
-  // Ensure proper question format
-  normalized = normalized.replace(/¿([^?]*?)\?/g, (match, content) => {
-    return `¿${content.trim()}?`;
-  });
+  // Apply comprehensive text filtering and replacements per dialogue turn, SSML or tagged segment.
+  // Markdown becomes plain text with pause tags first (settings.markdown, auto-detected by default)
+  let conversion;
+  if (settings && settings.dialogue) {
+    conversion = buildDialogueSentences(text, model, settings);
+  } else if (isSsml(text)) {
+    conversion = buildSsmlSentences(text, model, settings);
+  } else {
+    conversion = buildTaggedSentences(preprocessMarkdown(text, settings && settings.markdown, model.languageCode), model);
+  }
+  const { entries, hasText, firedRules } = conversion;
   
-  // Ensure proper exclamation format
-  normalized = normalized.replace(/¡([^!]*?)!/g, (match, content) => {
-    return `¡${content.trim()}!`;
-  });
+  if (!hasText) {
+    return { status: 400, error: 'Text became empty after processing' };
+  }
   
-  // Fix incomplete question patterns - but be more careful
-  normalized = normalized.replace(/¿\s*([^?]*?)(?:\s*[.])(?!\?)/g, '¿$1?');
+  if (!entries.some(entry => entry.text)) {
+    return { status: 400, error: 'No valid sentences found in text' };
+  }
   
-  // Fix incomplete exclamation patterns - but be more careful
-  normalized = normalized.replace(/¡\s*([^!]*?)(?:\s*[.])(?!\!)/g, '¡$1!');
+  return { model, sentences: entries, output, replacements: summarizeFiredRules(firedRules) };
+}
+
+// Merge fired rules from every segment into one entry per layer and rule
+function summarizeFiredRules(firedRules) {
+  const summary = new Map();
   
-  // Fix sentences ending with colon that should end with period
-  normalized = normalized.replace(/:\s*$/g, '.');
-  normalized = normalized.replace(/:\s*(?=[A-ZÁÉÍÓÚÑÜ])/g, '. ');
+  for (const rule of firedRules) {
+    const key = `${rule.layer}\u0000${rule.find}`;
+    const existing = summary.get(key);
+    if (existing) {
+      existing.count += rule.count;
+    } else {
+      summary.set(key, { ...rule });
+    }
+  }
   
-  // Clean up spacing issues
-  normalized = normalized.replace(/\s+([.!?¿¡,;:])/g, '$1');
-  normalized = normalized.replace(/([.!?])\s*([¿¡])/g, '$1 $2');
+  return Array.from(summary.values());
+}
+
+// Join sentence audio files and encode them in the output format (MP3 by default),
+// tagged with the optional metadata. Returns the path of the encoded temporary file
+async function buildFinalAudioFile(audioFiles, output, metadata = null) {
+  let finalAudioPath;
   
-  // Ensure proper spacing after punctuation
-  normalized = normalized.replace(/([.!?])\s*(?=[A-ZÁÉÍÓÚÑÜ])/g, '$1 ');
-  normalized = normalized.replace(/([,:;])\s*(?=[A-ZÁÉÍÓÚÑÜ])/g, '$1 ');
+  if (audioFiles.length === 1) {
+    finalAudioPath = audioFiles[0];
+  } else {
+    // Concatenate multiple audio files
+    const concatenatedPath = path.join(os.tmpdir(), `final_${generateRandomString()}.wav`);
+    finalAudioPath = await concatenateAudio(audioFiles, concatenatedPath);
+  }
   
-  // Clean up multiple periods but preserve ellipsis
-  normalized = normalized.replace(/\.{4,}/g, '...'); // More than 3 dots become ellipsis
-  normalized = normalized.replace(/\.{2}(?!\.)/g, '.'); // Double dots become single (but preserve ellipsis)
+  return encodeAudio(finalAudioPath, output, metadata);
+}
+
+// Same as buildFinalAudioFile, returning the result as a data URL
+async function buildFinalAudio(audioFiles, outputSettings = {}) {
+  const output = normalizeOutputSettings(outputSettings) || normalizeOutputSettings();
+  const encodedPath = await buildFinalAudioFile(audioFiles, output);
   
-  // Remove duplicate punctuation
-  normalized = normalized.replace(/([!?]){2,}/g, '$1');
+  // Read the encoded file and encode as base64
+  const audioBuffer = await fs.readFile(encodedPath);
+  const audioBase64 = audioBuffer.toString('base64');
   
-  // Normalize whitespace
-  normalized = normalized.replace(/\s+/g, ' ').trim();
+  // Clean up temporary file
+  fs.unlink(encodedPath).catch(console.error);
   
-  console.log(`[NORMALIZE] Final result: "${normalized.substring(0, 100)}${normalized.length > 100 ? '...' : ''}"`);
-  return normalized;
+  return `data:${OUTPUT_FORMATS[output.format].mimeType};base64,${audioBase64}`;
 }
 
-// Enhance individual sentence for natural TTS - Fixed to preserve text integrity
-function enhanceSentenceForTTS(sentence) {
-  let enhanced = sentence.replace(/[\r\n\t]+/g, ' ').replace(/\s+/g, ' ').trim();
+// Dubbing: clips that don't fit their cue are sped up, at most by maxSpeedup
+const DUBBING_DEFAULTS = { maxSpeedup: 1.25 };
+
+function normalizeDubbingSettings(dubbing = {}) {
+  const maxSpeedup = parseFloat(dubbing && dubbing.maxSpeedup);
+  return {
+    maxSpeedup: isNaN(maxSpeedup) ? DUBBING_DEFAULTS.maxSpeedup : Math.max(1, Math.min(2, maxSpeedup))
+  };
+}
+
+// Speed up a mono WAV without changing its pitch; the original file is removed
+async function changeTempo(wavPath, tempo, sampleRate) {
+  return new Promise((resolve, reject) => {
+    const outputFile = path.join(os.tmpdir(), `tempo_${generateRandomString()}.wav`);
+    
+    const args = [
+      '-loglevel', 'error',
+      '-i', wavPath,
+      '-filter:a', `atempo=${tempo.toFixed(3)}`,
+      '-ar', String(sampleRate),
+      '-ac', '1',
+      '-c:a', 'pcm_s16le',
+      '-y', outputFile
+    ];
+    
+    const ffmpegProcess = spawn(ffmpegPath, args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    
+    let stderr = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0 && fs.existsSync(outputFile)) {
+        fs.unlink(wavPath).catch(console.error);
+        resolve(outputFile);
+      } else {
+        reject(new Error(`FFmpeg tempo change failed with code ${code}. Stderr: ${stderr}`));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
+    });
+  });
+}
+
+// Place each cue's clip at its start time with silence in the gaps, and fill the
+// cue report: clip duration, speed, where it was placed and a status
+// ('ok', 'compressed', 'overflow' when even maxSpeedup didn't make it fit, 'empty').
+// A clip that overflows pushes the next one back; that cue gets a delay in seconds.
+// Returns the files to concatenate, in order.
+async function buildDubbingTimeline(job, audioFiles) {
+  const { cues, maxSpeedup } = job.dubbing;
+  const sampleRate = job.model.sampleRate || DEFAULT_SAMPLE_RATE;
+  const round = (value) => Math.round(value * 1000) / 1000;
   
-  // Don't modify sentences that already have proper punctuation
-  if (!enhanced) return enhanced;
+  const clips = await Promise.all(cues.map(async (cue) => {
+    if (cue.entryIndex === null) return null;
+    
+    let file = audioFiles[cue.entryIndex];
+    const duration = await processQueue.add(() => getAudioDuration(file));
+    const cueDuration = cue.end - cue.start;
+    const speed = duration > cueDuration ? Math.min(duration / cueDuration, maxSpeedup) : 1;
+    
+    let finalDuration = duration;
+    if (speed > 1) {
+      file = await processQueue.add(() => changeTempo(file, speed, sampleRate));
+      finalDuration = await processQueue.add(() => getAudioDuration(file));
+    }
+    
+    Object.assign(cue, {
+      clipDuration: round(duration),
+      speed: round(speed),
+      status: finalDuration > cueDuration + 0.05 ? 'overflow' : (speed > 1 ? 'compressed' : 'ok')
+    });
+    
+    return { file, duration: finalDuration };
+  }));
   
-  // Check if sentence already has proper ending punctuation
-  const hasEndingPunctuation = /[.!?…]$/.test(enhanced);
+  const files = [];
+  let position = 0;
   
-  // Only add punctuation if missing
-  if (!hasEndingPunctuation) {
-    // Add appropriate ending based on content
-    if (/^¿/.test(enhanced) || /\b(qué|quién|cuándo|dónde|cómo|por qué|cuál)\b/i.test(enhanced)) {
-      enhanced += '?';
-    } else if (/^¡/.test(enhanced) || /\b(wow|increíble|excelente|fantástico)\b/i.test(enhanced)) {
-      enhanced += '!';
-    } else {
-      enhanced += '.';
+  for (let i = 0; i < cues.length; i++) {
+    const cue = cues[i];
+    const clip = clips[i];
+    if (!clip) {
+      cue.status = 'empty';
+      continue;
     }
+    
+    const gap = cue.start - position;
+    if (gap > 0.001) {
+      files.push(await processQueue.add(() => generateSilence(round(gap), sampleRate)));
+      position = cue.start;
+    }
+    
+    cue.placedAt = round(position);
+    cue.delay = round(position - cue.start);
+    files.push(clip.file);
+    position += clip.duration;
   }
   
-  // Only add opening punctuation if missing and ending punctuation suggests it
-  if (/\?$/.test(enhanced) && !/^¿/.test(enhanced) && !/\b(yes|no|si|sí)\b/i.test(enhanced)) {
-    enhanced = '¿' + enhanced;
-  }
-  if (/!$/.test(enhanced) && !/^¡/.test(enhanced) && /\b(wow|increíble|excelente|fantástico|bravo|genial)\b/i.test(enhanced)) {
-    enhanced = '¡' + enhanced;
+  // The track runs until the last cue ends, like the video
+  const lastEnd = Math.max(0, ...cues.map(cue => cue.end));
+  if (lastEnd - position > 0.001) {
+    files.push(await processQueue.add(() => generateSilence(round(lastEnd - position), sampleRate)));
   }
   
-  return enhanced;
+  const flagged = cues.filter(cue => cue.status === 'overflow').length;
+  console.log(`[DUBBING] Timeline of ${cues.length} cues built, ${flagged} flagged as longer than their cue`);
+  return files;
 }
 
-// Split very long sentences at natural pause points
-function splitLongSentence(sentence) {
-  const chunks = [];
-  const naturalBreaks = /([,:;]\s+(?:pero|sin embargo|además|por tanto|por lo tanto|no obstante|mientras|cuando|donde|como|que|si|aunque|porque|ya que|dado que|puesto que))/gi;
+// Synthesis jobs, kept in memory and removed a while after they finish
+const jobs = new Map();
+const JOB_RETENTION_MS = 30 * 60 * 1000;
+
+function createJob(model, sentences, settings = {}) {
+  const job = {
+    id: generateRandomString(),
+    status: 'queued',
+    model: model,
+    settings: settings,
+    createdAt: Date.now(),
+    finishedAt: null,
+    entries: sentences,
+    sentences: sentences.map((entry, index) => ({
+      index,
+      type: entry.silence ? 'silence' : 'sentence',
+      text: typeof entry === 'string' ? entry : (entry.text || null),
+      model: entry.silence ? null : (entry.modelName || model.name),
+      silence: entry.silence || null,
+      status: 'pending',
+      error: null,
+      audioFile: null
+    })),
+    audio: null,
+    subtitles: null,
+    // Per-character stems of a dialogue
+    stems: null,
+    // When set, the final audio is written here instead of being kept as a data URL
+    outputPath: null,
+    metadata: null,
+    // Dubbing jobs place their clips on the cue timeline: { cues, maxSpeedup }
+    dubbing: null,
+    error: null,
+    cancelled: false,
+    processes: new Set()
+  };
   
-  const parts = sentence.split(naturalBreaks);
-  let currentChunk = '';
+  jobs.set(job.id, job);
+  console.log(`[JOBS] Created job ${job.id} with ${sentences.length} sentences (model: ${model.name})`);
+  return job;
+}
+
+// Run a job through the process queue; resolves when it completes, fails or is cancelled
+async function runJob(job, options = {}) {
+  job.status = 'running';
   
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i];
+  try {
+    let audioFiles = await generateAudioParallel(job.entries, job.model.onnxPath, job.settings, {
+      ...options,
+      sampleRate: job.model.sampleRate,
+      job
+    });
     
-    if (naturalBreaks.test(part)) {
-      currentChunk += part;
-      continue;
+    if (job.cancelled) {
+      throw new Error('Job cancelled');
     }
     
-    if (currentChunk && (currentChunk + part).length > 200) {
-      if (currentChunk.trim()) {
-        chunks.push(enhanceSentenceForTTS(currentChunk.trim()));
+    const output = normalizeOutputSettings(job.settings.output) || normalizeOutputSettings();
+    
+    if (job.dubbing) {
+      audioFiles = await buildDubbingTimeline(job, audioFiles);
+    } else {
+      job.subtitles = await buildSubtitles(job.entries, audioFiles, job.settings.subtitles);
+    }
+    
+    if (job.settings.dialogue && job.settings.dialogue.stems) {
+      job.stems = await buildDialogueStems(job.entries, audioFiles, job.model.sampleRate, output, job.outputPath);
+    }
+    
+    if (job.outputPath) {
+      const encodedPath = await buildFinalAudioFile(audioFiles, output, job.metadata);
+      await fs.move(encodedPath, job.outputPath, { overwrite: true });
+      
+      if (job.subtitles) {
+        await writeSubtitleFiles(job.outputPath, job.subtitles);
       }
-      currentChunk = part;
     } else {
-      currentChunk += part;
+      job.audio = await buildFinalAudio(audioFiles, output);
+    }
+    job.sentences.forEach(s => { s.audioFile = null; });
+    job.status = 'completed';
+    console.log(`[JOBS] Job ${job.id} completed`);
+  } catch (error) {
+    if (job.cancelled) {
+      job.status = 'cancelled';
+      console.log(`[JOBS] Job ${job.id} cancelled`);
+    } else {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`[JOBS] Job ${job.id} failed: ${error.message}`);
+      
+      // Nothing else of this job is needed once one sentence failed
+      stopJobWork(job);
     }
+    
+    // Silences, cache hits and resamples already under way still finish and store a file
+    await job.settled;
+    cleanupJobFiles(job);
+  } finally {
+    job.finishedAt = Date.now();
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS);
   }
+}
+
+// Drop the job's pending queue items and kill its running piper processes
+function stopJobWork(job) {
+  processQueue.cancelGroup(job.id);
   
-  if (currentChunk.trim()) {
-    chunks.push(enhanceSentenceForTTS(currentChunk.trim()));
+  for (const child of job.processes) {
+    child.kill();
   }
+  job.processes.clear();
   
-  return chunks.length > 0 ? chunks : [sentence];
+  job.sentences.forEach(s => {
+    if (s.status === 'pending' || s.status === 'running') {
+      s.status = 'cancelled';
+    }
+  });
 }
 
-// Merge short fragments with adjacent sentences for better flow
-function mergeShortFragments(sentences) {
-  const merged = [];
+function cancelJob(job) {
+  if (job.status !== 'queued' && job.status !== 'running') {
+    return false;
+  }
   
-  for (let i = 0; i < sentences.length; i++) {
-    const sentence = sentences[i];
-    const wordCount = (sentence.match(/\b\w+\b/g) || []).length;
+  job.cancelled = true;
+  stopJobWork(job);
+  console.log(`[JOBS] Cancelling job ${job.id}`);
+  return true;
+}
+
+function cleanupJobFiles(job) {
+  job.sentences.forEach(s => {
+    if (s.audioFile) {
+      fs.unlink(s.audioFile).catch(() => {});
+      s.audioFile = null;
+    }
+  });
+}
+
+// Public view of a job; sentence audio is only included when asked for
+async function serializeJob(job, includeAudio = false) {
+  const sentences = [];
+  
+  for (const s of job.sentences) {
+    const entry = {
+      index: s.index,
+      type: s.type,
+      text: s.text,
+      model: s.model,
+      silence: s.silence,
+      status: s.status,
+      error: s.error
+    };
     
-    // If sentence is very short (less than 4 words), try to merge
-    if (wordCount < 4 && sentence.length < 30) {
-      if (merged.length > 0) {
-        // Merge with previous sentence
-        merged[merged.length - 1] += ' ' + sentence;
-      } else if (i + 1 < sentences.length) {
-        // Merge with next sentence
-        const nextSentence = sentences[i + 1];
-        merged.push(sentence + ' ' + nextSentence);
-        i++; // Skip next sentence since we merged it
-      } else {
-        // Keep as is if no merge possible
-        merged.push(sentence);
+    if (includeAudio && s.status === 'done' && s.audioFile) {
+      try {
+        const wavBuffer = await fs.readFile(s.audioFile);
+        entry.audio = `data:audio/wav;base64,${wavBuffer.toString('base64')}`;
+      } catch (error) {
+        // File was already merged into the final audio
       }
-    } else {
-      merged.push(sentence);
     }
+    
+    sentences.push(entry);
   }
   
-  return merged;
+  const completed = job.sentences.filter(s => s.status === 'done').length;
+  
+  return {
+    id: job.id,
+    status: job.status,
+    model: job.model.name,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    progress: {
+      total: job.sentences.length,
+      completed: completed,
+      failed: job.sentences.filter(s => s.status === 'error').length,
+      percent: job.sentences.length > 0 ? Math.round((completed / job.sentences.length) * 100) : 0
+    },
+    sentences: sentences,
+    audio: job.audio,
+    subtitles: job.subtitles,
+    stems: job.stems,
+    dubbing: job.dubbing ? serializeDubbing(job.dubbing) : null,
+    error: job.error
+  };
 }
 
-// Filter text segment with comprehensive processing
-function filterTextSegment(textSegment, modelReplacements) {
-  console.log(`[FILTER] Processing segment: '${textSegment.substring(0, 100)}${textSegment.length > 100 ? '...' : ''}'`);
+// Per-cue dubbing report with counts of compressed and flagged cues
+function serializeDubbing(dubbing) {
+  const count = (status) => dubbing.cues.filter(cue => cue.status === status).length;
   
-  // Step 1: Remove code blocks
-  let text = filterCodeBlocks(textSegment);
-  console.log(`[FILTER] After code block removal: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
+  return {
+    maxSpeedup: dubbing.maxSpeedup,
+    compressed: count('compressed'),
+    overflow: count('overflow'),
+    delayed: dubbing.cues.filter(cue => cue.delay > 0.05).length,
+    cues: dubbing.cues.map(({ entryIndex, ...cue }) => cue)
+  };
+}
+
+// Batch conversions: many text files, each converted to its own audio file in an
+// output folder. Files run one after another as regular jobs, so their sentences
+// go through the process queue like any other conversion.
+const batches = new Map();
+const BATCH_TEXT_EXTENSIONS = ['.txt', '.md'];
+const DEFAULT_BATCH_RETRIES = 1;
+
+function createBatch(files, options = {}) {
+  const batch = {
+    id: generateRandomString(),
+    status: 'queued',
+    outputFolder: options.outputFolder,
+    maxRetries: options.maxRetries !== undefined ? options.maxRetries : DEFAULT_BATCH_RETRIES,
+    // Audiobook batches join their chapters into one M4B once every chapter is done
+    audiobook: options.audiobook || null,
+    outputPath: null,
+    error: null,
+    createdAt: Date.now(),
+    finishedAt: null,
+    cancelled: false,
+    files: files.map((file, index) => ({
+      index,
+      name: file.name || path.basename(file.path),
+      path: file.path || null,
+      text: file.text !== undefined ? file.text : null,
+      modelPath: file.modelPath || options.modelPath,
+      settings: file.settings || options.settings || {},
+      metadata: file.metadata || null,
+      status: 'pending',
+      attempts: 0,
+      jobId: null,
+      outputPath: null,
+      sentenceCount: 0,
+      error: null
+    }))
+  };
   
-  // Step 2: Process line breaks
-  text = processLineBreaks(text);
-  console.log(`[FILTER] After line break processing: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
+  batches.set(batch.id, batch);
+  console.log(`[BATCH] Created batch ${batch.id} with ${files.length} files`);
+  return batch;
+}
+
+// folder/name.extension, or name_1, name_2... so no existing file is overwritten
+async function getAvailableOutputPath(folder, name, extension) {
+  let candidate = path.join(folder, `${name}.${extension}`);
+  let counter = 1;
   
-  // Step 3: Apply replacements - only use model-specific replacements from .onnx.json
-  if (modelReplacements && modelReplacements.length > 0) {
-    console.log(`[FILTER] Using ${modelReplacements.length} model-specific replacements from .onnx.json`);
-    text = applyReplacements(text, modelReplacements);
-  } else {
-    console.log('[FILTER] No model replacements found in .onnx.json - no replacements applied');
+  while (await fs.pathExists(candidate)) {
+    candidate = path.join(folder, `${name}_${counter}.${extension}`);
+    counter++;
   }
   
-  // Step 4: Final cleanup
-  text = text.replace(/\s+/g, ' ').trim(); // Normalize whitespace
+  return candidate;
+}
+
+// Output path for a batch file: its name, without the .txt/.md extension, with the output extension
+async function getBatchOutputPath(batch, file) {
+  const output = normalizeOutputSettings(file.settings.output) || normalizeOutputSettings();
+  const hasTextExtension = BATCH_TEXT_EXTENSIONS.includes(path.extname(file.name).toLowerCase());
+  const name = sanitizeFileName(hasTextExtension ? path.parse(file.name).name : file.name) || `audio_${file.index + 1}`;
   
-  console.log(`[FILTER] Final processed text: '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}'`);
-  return text;
+  return getAvailableOutputPath(batch.outputFolder, name, OUTPUT_FORMATS[output.format].extension);
 }
 
-// Generate audio using Piper (single process)
-async function generateAudio(text, modelPath, settings = {}) {
-  return new Promise((resolve, reject) => {
-    const outputFile = path.join(os.tmpdir(), `tts_${generateRandomString()}.wav`);
+// Convert one file, retrying up to batch.maxRetries times when synthesis fails
+async function runBatchFile(batch, file) {
+  while (!batch.cancelled) {
+    file.attempts++;
+    file.status = 'running';
+    file.error = null;
     
-    const args = [
-      '-m', modelPath,
-      '-f', outputFile,
-      '--speaker', String(settings.speaker || 0),
-      '--noise-scale', String(settings.noise_scale || 0.667),
-      '--length-scale', String(settings.length_scale || 1.0),
-      '--noise-w', String(settings.noise_w || 0.8)
-    ];
+    let text = file.text;
+    if (text === null) {
+      try {
+        text = await fs.readFile(file.path, 'utf8');
+      } catch (error) {
+        file.status = 'error';
+        file.error = `Could not read file: ${error.message}`;
+        return;
+      }
+    }
+    
+    // Invalid input fails the same way every time, so it is not retried
+    const conversion = prepareConversion({ text, modelPath: file.modelPath, settings: file.settings });
+    if (conversion.error) {
+      file.status = 'error';
+      file.error = conversion.error;
+      return;
+    }
     
-    console.log('Piper command:', piperPath, args.join(' '));
-    console.log('Input text:', text);
+    const job = createJob(conversion.model, conversion.sentences, file.settings);
+    job.outputPath = await getBatchOutputPath(batch, file);
+    job.metadata = file.metadata;
+    file.jobId = job.id;
+    file.sentenceCount = job.sentences.length;
     
-    const piperProcess = spawn(piperPath, args, {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+    await runJob(job);
     
-    let stderr = '';
+    if (job.status === 'completed') {
+      file.status = 'done';
+      file.outputPath = job.outputPath;
+      console.log(`[BATCH] ${file.name} → ${job.outputPath}`);
+      return;
+    }
     
-    piperProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    if (job.status === 'cancelled') {
+      file.status = 'cancelled';
+      return;
+    }
     
-    piperProcess.on('close', (code) => {
-      if (code === 0) {
-        resolve(outputFile);
-      } else {
-        reject(new Error(`Piper failed with code ${code}: ${stderr}`));
-      }
-    });
+    file.error = job.error;
+    if (file.attempts > batch.maxRetries) {
+      file.status = 'error';
+      console.error(`[BATCH] ${file.name} failed after ${file.attempts} attempts: ${job.error}`);
+      return;
+    }
     
-    piperProcess.on('error', (error) => {
-      reject(error);
-    });
+    console.log(`[BATCH] Retrying ${file.name} (attempt ${file.attempts + 1}): ${job.error}`);
+  }
+  
+  file.status = 'cancelled';
+}
+
+async function runBatch(batch) {
+  // A retried batch must not be removed by the previous run's cleanup
+  clearTimeout(batch.cleanupTimer);
+  batch.status = 'running';
+  batch.finishedAt = null;
+  
+  try {
+    await fs.ensureDir(batch.outputFolder);
     
-    // Send text to piper
-    piperProcess.stdin.write(text);
-    piperProcess.stdin.end();
+    for (const file of batch.files) {
+      if (batch.cancelled) break;
+      if (file.status !== 'pending') continue;
+      await runBatchFile(batch, file);
+    }
+  } catch (error) {
+    console.error(`[BATCH] Batch ${batch.id} failed: ${error.message}`);
+    batch.files.forEach(file => {
+      if (file.status === 'pending' || file.status === 'running') {
+        file.status = 'error';
+        file.error = error.message;
+      }
+    });
+  }
+  
+  batch.files.forEach(file => {
+    if (file.status === 'pending') file.status = 'cancelled';
   });
+  
+  if (batch.audiobook && batch.audiobook.mode === 'm4b' && !batch.cancelled) {
+    if (batch.files.every(file => file.status === 'done')) {
+      batch.status = 'assembling';
+      try {
+        batch.outputPath = await assembleAudiobook(batch);
+        batch.error = null;
+      } catch (error) {
+        batch.error = error.message;
+        console.error(`[AUDIOBOOK] Could not build ${batch.audiobook.title}: ${error.message}`);
+      }
+    } else {
+      batch.error = 'Some chapters failed; retry them to build the audiobook';
+    }
+  }
+  
+  batch.status = batch.cancelled ? 'cancelled' : 'completed';
+  batch.finishedAt = Date.now();
+  
+  const summary = getBatchSummary(batch);
+  console.log(`[BATCH] Batch ${batch.id} ${batch.status}: ${summary.done} done, ${summary.failed} failed, ${summary.cancelled} cancelled`);
+  
+  clearTimeout(batch.cleanupTimer);
+  batch.cleanupTimer = setTimeout(() => {
+    batches.delete(batch.id);
+    if (batch.audiobook && batch.audiobook.mode === 'm4b') {
+      fs.remove(batch.outputFolder).catch(console.error);
+    }
+  }, JOB_RETENTION_MS);
 }
 
-// Process multiple sentences using the queue system
-async function generateAudioParallel(sentences, modelPath, settings = {}) {
-  const queueStatus = processQueue.getStatus();
-  console.log(`[PARALLEL] Processing ${sentences.length} sentences with max ${queueStatus.maxConcurrent} concurrent processes`);
-  console.log(`[PARALLEL] Queue status - Running: ${queueStatus.running}, Queued: ${queueStatus.queued}`);
+function cancelBatch(batch) {
+  if (batch.status !== 'queued' && batch.status !== 'running') {
+    return false;
+  }
   
-  // Function to create a queued task for a single sentence
-  const createSentenceTask = (sentence, index) => {
-    return () => {
-      console.log(`[PARALLEL] Starting sentence ${index + 1}/${sentences.length}: "${sentence.substring(0, 50)}..."`);
-      return generateAudio(sentence, modelPath, settings)
-        .then(audioFile => {
-          console.log(`[PARALLEL] Completed sentence ${index + 1}/${sentences.length}`);
-          return { index, audioFile, sentence };
-        })
-        .catch(error => {
-          console.error(`[PARALLEL] Error processing sentence ${index + 1}: ${error.message}`);
-          throw error;
-        });
-    };
+  batch.cancelled = true;
+  
+  const runningFile = batch.files.find(file => file.status === 'running');
+  const runningJob = runningFile && jobs.get(runningFile.jobId);
+  if (runningJob) {
+    cancelJob(runningJob);
+  }
+  
+  console.log(`[BATCH] Cancelling batch ${batch.id}`);
+  return true;
+}
+
+function getBatchSummary(batch) {
+  const count = (status) => batch.files.filter(file => file.status === status).length;
+  
+  return {
+    total: batch.files.length,
+    done: count('done'),
+    failed: count('error'),
+    cancelled: count('cancelled'),
+    pending: count('pending') + count('running'),
+    durationMs: (batch.finishedAt || Date.now()) - batch.createdAt
+  };
+}
+
+// Public view of a batch with per-file progress
+function serializeBatch(batch) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    outputFolder: batch.audiobook ? batch.audiobook.outputFolder : batch.outputFolder,
+    outputPath: batch.outputPath,
+    error: batch.error,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt,
+    files: batch.files.map(file => {
+      const job = file.jobId ? jobs.get(file.jobId) : null;
+      const model = availableModels.find(m => m.onnxPath === file.modelPath);
+      let percent = file.status === 'done' ? 100 : 0;
+      
+      if (file.status === 'running' && job && job.sentences.length > 0) {
+        const completed = job.sentences.filter(s => s.status === 'done').length;
+        percent = Math.round((completed / job.sentences.length) * 100);
+      }
+      
+      return {
+        index: file.index,
+        name: file.name,
+        model: model ? model.name : null,
+        status: file.status,
+        attempts: file.attempts,
+        percent: percent,
+        sentenceCount: file.sentenceCount,
+        outputPath: file.outputPath,
+        error: file.error
+      };
+    }),
+    summary: getBatchSummary(batch)
   };
+}
+
+// EPUB books opened for audiobook production, kept until they are converted or expire
+const books = new Map();
+const AUDIOBOOK_MODES = ['chapters', 'm4b'];
+
+// Escape a value for an ffmpeg FFMETADATA file
+function escapeFfmetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+}
+
+// Join the chapter WAVs of an audiobook batch into one M4B with chapter markers,
+// the book title and author and, when the EPUB has one, the cover as attached picture.
+// Returns the path of the audiobook in the output folder.
+async function assembleAudiobook(batch) {
+  const { audiobook } = batch;
+  const chapterFiles = batch.files.map(file => file.outputPath);
+  const durations = await Promise.all(chapterFiles.map(file => processQueue.add(() => getAudioDuration(file))));
   
-  // Create and queue all sentence tasks
-  const taskPromises = sentences.map((sentence, index) => {
-    const task = createSentenceTask(sentence, index);
-    return processQueue.add(task);
+  const metadataLines = [
+    ';FFMETADATA1',
+    `title=${escapeFfmetadata(audiobook.title)}`,
+    `album=${escapeFfmetadata(audiobook.title)}`,
+    ...(audiobook.author ? [`artist=${escapeFfmetadata(audiobook.author)}`] : []),
+    'genre=Audiobook'
+  ];
+  
+  let position = 0;
+  batch.files.forEach((file, index) => {
+    const start = Math.round(position * 1000);
+    position += durations[index];
+    metadataLines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${start}`,
+      `END=${Math.round(position * 1000)}`,
+      `title=${escapeFfmetadata(file.metadata.title)}`
+    );
   });
   
-  // Wait for all tasks to complete
-  const results = await Promise.all(taskPromises);
+  const metadataFile = path.join(batch.outputFolder, 'chapters.txt');
+  const listFile = path.join(batch.outputFolder, 'concat.txt');
+  await fs.writeFile(metadataFile, metadataLines.join('\n') + '\n', 'utf8');
+  await fs.writeFile(listFile, chapterFiles.map(file => `file '${file.replace(/\\/g, '/').replace(/'/g, "'\\''")}'`).join('\n'));
   
-  // Sort results by original index to maintain order
-  results.sort((a, b) => a.index - b.index);
+  // MP4 cover art must be JPEG or PNG; other covers (GIF, WebP) are converted to PNG
+  let coverFile = null;
+  let coverCodec = 'copy';
+  if (audiobook.cover) {
+    coverCodec = ['jpg', 'png'].includes(audiobook.cover.extension) ? 'copy' : 'png';
+    coverFile = path.join(batch.outputFolder, `cover.${audiobook.cover.extension}`);
+    await fs.writeFile(coverFile, audiobook.cover.data);
+  }
   
-  console.log(`[PARALLEL] All ${sentences.length} sentences processed successfully`);
-  return results.map(r => r.audioFile);
-}
-
-// Convert WAV to MP3 using FFmpeg
-async function convertToMp3(wavPath) {
-  return new Promise((resolve, reject) => {
-    const mp3Path = wavPath.replace('.wav', '.mp3');
-    
-    const args = [
-      '-i', wavPath,
-      '-codec:a', 'libmp3lame',
-      '-qscale:a', '2',
-      '-y', mp3Path
-    ];
-    
+  await fs.ensureDir(audiobook.outputFolder);
+  const outputPath = await getAvailableOutputPath(audiobook.outputFolder, sanitizeFileName(audiobook.title) || 'audiobook', 'm4b');
+  const output = normalizeOutputSettings({ ...audiobook.output, format: 'm4a' });
+  
+  const args = [
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', listFile,
+    '-i', metadataFile,
+    ...(coverFile ? ['-i', coverFile] : []),
+    '-map', '0:a',
+    ...(coverFile ? ['-map', '2:v', '-c:v', coverCodec, '-frames:v', '1', '-disposition:v:0', 'attached_pic'] : []),
+    '-map_metadata', '1',
+    '-map_chapters', '1',
+    ...getEncoderArgs(output),
+    '-f', 'mp4',
+    '-y', outputPath
+  ];
+  
+  console.log(`[AUDIOBOOK] Building ${outputPath} from ${chapterFiles.length} chapters`);
+  
+  await new Promise((resolve, reject) => {
     const ffmpegProcess = spawn(ffmpegPath, args, {
       stdio: ['pipe', 'pipe', 'pipe']
     });
@@ -774,12 +4832,10 @@ async function convertToMp3(wavPath) {
     });
     
     ffmpegProcess.on('close', (code) => {
-      if (code === 0 && fs.existsSync(mp3Path)) {
-        // Clean up WAV file
-        fs.unlink(wavPath).catch(console.error);
-        resolve(mp3Path);
+      if (code === 0 && fs.existsSync(outputPath)) {
+        resolve();
       } else {
-        reject(new Error(`FFmpeg process failed with code ${code}. Stderr: ${stderr}`));
+        reject(new Error(`FFmpeg audiobook encoding failed with code ${code}. Stderr: ${stderr}`));
       }
     });
     
@@ -787,182 +4843,544 @@ async function convertToMp3(wavPath) {
       reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
     });
   });
+  
+  // The chapter WAVs are no longer needed
+  await fs.remove(batch.outputFolder);
+  return outputPath;
 }
 
-// Concatenate multiple audio files
-async function concatenateAudio(audioFiles, outputPath) {
-  return new Promise((resolve, reject) => {
-    const listFile = path.join(os.tmpdir(), `concat_${generateRandomString()}.txt`);
+app.post('/convert', async (req, res) => {
+  try {
+    const { settings } = req.body;
     
-    // Create file list for FFmpeg
-    const fileList = audioFiles.map(file => `file '${file.replace(/\\/g, '/')}'`).join('\n');
-    fs.writeFileSync(listFile, fileList);
+    const conversion = prepareConversion(req.body);
+    if (conversion.error) {
+      return res.status(conversion.status).json({
+        success: false,
+        error: conversion.error
+      });
+    }
     
-    const args = [
-      '-f', 'concat',
-      '-safe', '0',
-      '-i', listFile,
-      '-c', 'copy',
-      '-y', outputPath
-    ];
+    const { model, sentences, output, replacements } = conversion;
+    const sentenceCount = sentences.filter(entry => !entry.silence).length;
     
-    const ffmpegProcess = spawn(ffmpegPath, args, {
-      stdio: ['pipe', 'pipe', 'pipe']
+    // Generate audio for all sentences in parallel
+    const audioFiles = await generateAudioParallel(sentences, model.onnxPath, settings, {
+      sampleRate: model.sampleRate
     });
     
-    let stderr = '';
+    if (audioFiles.length === 0) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to generate any audio'
+      });
+    }
     
-    ffmpegProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    const subtitles = await buildSubtitles(sentences, audioFiles, settings && settings.subtitles);
+    const stems = settings && settings.dialogue && settings.dialogue.stems
+      ? await buildDialogueStems(sentences, audioFiles, model.sampleRate, output)
+      : null;
+    const audio = await buildFinalAudio(audioFiles, output);
     
-    ffmpegProcess.on('close', (code) => {
-      // Clean up
-      fs.unlink(listFile).catch(console.error);
-      audioFiles.forEach(file => fs.unlink(file).catch(console.error));
-      
-      if (code === 0 && fs.existsSync(outputPath)) {
-        resolve(outputPath);
-      } else {
-        reject(new Error(`FFmpeg concatenation failed with code ${code}. Stderr: ${stderr}`));
-      }
+    res.json({
+      success: true,
+      audio: audio,
+      format: output.format,
+      subtitles: subtitles,
+      stems: stems,
+      model: model.name,
+      sentenceCount: sentenceCount,
+      replacements: replacements
     });
     
-    ffmpegProcess.on('error', (error) => {
-      reject(new Error(`Failed to start FFmpeg process: ${error.message}`));
+  } catch (error) {
+    console.error('Error in /convert:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Streaming conversion: sends each sentence as newline-delimited JSON as soon as it
+// and every sentence before it are ready, then the full MP3 at the end
+app.post('/convert-stream', async (req, res) => {
+  const { settings } = req.body;
+  
+  const conversion = prepareConversion(req.body);
+  if (conversion.error) {
+    return res.status(conversion.status).json({
+      success: false,
+      error: conversion.error
     });
+  }
+  
+  const { model, sentences, output, replacements } = conversion;
+  const sentenceCount = sentences.filter(entry => !entry.silence).length;
+  const job = createJob(model, sentences, settings);
+  
+  // Stop synthesizing if the client goes away before the job is done
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      cancelJob(job);
+    }
   });
-}
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+  
+  const sendEvent = (event) => {
+    if (!res.writableEnded) {
+      res.write(JSON.stringify(event) + '\n');
+    }
+  };
+  
+  sendEvent({ type: 'start', jobId: job.id, model: model.name, sentenceCount: sentenceCount, total: sentences.length, replacements: replacements });
+  
+  await runJob(job, {
+    onSentenceComplete: () => {
+      const completed = job.sentences.filter(s => s.status === 'done').length;
+      sendEvent({ type: 'progress', completed: completed, total: job.sentences.length });
+    },
+    onSentenceReady: async (result, total) => {
+      const wavBuffer = await fs.readFile(result.audioFile);
+      sendEvent({
+        type: 'sentence',
+        index: result.index,
+        total: total,
+        sentence: result.sentence,
+        silence: result.silence,
+        audio: `data:audio/wav;base64,${wavBuffer.toString('base64')}`
+      });
+    }
+  });
+  
+  if (job.status === 'completed') {
+    sendEvent({
+      type: 'done',
+      audio: job.audio,
+      format: output.format,
+      subtitles: job.subtitles,
+      stems: job.stems,
+      model: model.name,
+      sentenceCount: sentenceCount
+    });
+  } else if (job.status === 'cancelled') {
+    sendEvent({ type: 'cancelled', jobId: job.id });
+  } else {
+    sendEvent({ type: 'error', error: job.error });
+  }
+  
+  res.end();
+});
 
-// Routes
-app.get('/models', (req, res) => {
+// Start a synthesis job in the background and return its id
+app.post('/jobs', (req, res) => {
+  const { settings } = req.body;
+  
+  const conversion = prepareConversion(req.body);
+  if (conversion.error) {
+    return res.status(conversion.status).json({
+      success: false,
+      error: conversion.error
+    });
+  }
+  
+  const job = createJob(conversion.model, conversion.sentences, settings);
+  runJob(job).catch(console.error);
+  
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    sentenceCount: job.sentences.length
+  });
+});
+
+// Job progress, per-sentence status and, with ?include=audio, the audio of finished sentences
+app.get('/jobs/:id', async (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    job: await serializeJob(job, req.query.include === 'audio')
+  });
+});
+
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  
+  if (!cancelJob(job)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${job.status}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: 'Job cancelled',
+    jobId: job.id
+  });
+});
+
+// Start a batch: { files: [{ name, text | path, modelPath?, settings? }], outputFolder,
+// modelPath?, settings?, maxRetries? }. Files without their own model or settings use
+// the batch ones.
+app.post('/batches', (req, res) => {
+  const { files, outputFolder, modelPath, settings, maxRetries } = req.body || {};
+  
+  if (!Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'At least one file is required'
+    });
+  }
+  
+  if (!outputFolder) {
+    return res.status(400).json({
+      success: false,
+      error: 'Output folder is required'
+    });
+  }
+  
+  const invalidIndex = files.findIndex(file => (
+    !file || (typeof file.text !== 'string' && typeof file.path !== 'string') || !(file.modelPath || modelPath)
+  ));
+  if (invalidIndex !== -1) {
+    return res.status(400).json({
+      success: false,
+      error: `File ${invalidIndex + 1} needs a text or path and a model`
+    });
+  }
+  
+  const unsupported = files.find(file => file.path && !BATCH_TEXT_EXTENSIONS.includes(path.extname(file.path).toLowerCase()));
+  if (unsupported) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported file type: ${unsupported.path} (use ${BATCH_TEXT_EXTENSIONS.join(', ')})`
+    });
+  }
+  
+  const retries = parseInt(maxRetries);
+  const batch = createBatch(files, {
+    outputFolder,
+    modelPath,
+    settings,
+    maxRetries: isNaN(retries) ? undefined : Math.max(0, Math.min(5, retries))
+  });
+  runBatch(batch).catch(console.error);
+  
+  res.status(202).json({
+    success: true,
+    batchId: batch.id,
+    fileCount: batch.files.length
+  });
+});
+
+app.get('/batches/:id', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    batch: serializeBatch(batch)
+  });
+});
+
+// Queue the failed and cancelled files of a batch again
+app.post('/batches/:id/retry', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+  
+  if (batch.status === 'queued' || batch.status === 'running' || batch.status === 'assembling') {
+    return res.status(409).json({
+      success: false,
+      error: 'Batch is still running'
+    });
+  }
+  
+  const retried = batch.files.filter(file => file.status === 'error' || file.status === 'cancelled');
+  retried.forEach(file => {
+    file.status = 'pending';
+    file.attempts = 0;
+    file.error = null;
+  });
+  
+  // An audiobook whose chapters are all done is only assembled again
+  if (retried.length > 0 || (batch.audiobook && batch.error)) {
+    batch.cancelled = false;
+    runBatch(batch).catch(console.error);
+  }
+  
+  res.json({
+    success: true,
+    retried: retried.length
+  });
+});
+
+app.delete('/batches/:id', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+  
+  if (!cancelBatch(batch)) {
+    return res.status(409).json({
+      success: false,
+      error: `Batch already ${batch.status}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: 'Batch cancelled',
+    batchId: batch.id
+  });
+});
+
+// Characters of a dialogue script with their number of lines, to map them to voices
+app.post('/dialogue/characters', (req, res) => {
+  const { text } = req.body || {};
+  const { turns, characters } = parseDialogueScript(text);
+  
   res.json({
     success: true,
-    models: availableModels,
-    count: availableModels.length
+    characters: characters,
+    turnCount: turns.length
+  });
+});
+
+// Dub an SRT or WebVTT file: { subtitles, modelPath, settings } where subtitles is the
+// file content and settings.dubbing.maxSpeedup limits how much a clip may be sped up
+// to fit its cue. Runs as a job; GET /jobs/:id reports progress, the audio and the cue report.
+app.post('/dub', (req, res) => {
+  const { subtitles, modelPath, settings = {} } = req.body || {};
+  
+  const cues = parseSubtitles(subtitles);
+  if (cues.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No subtitle cues found (use SRT or WebVTT)'
+    });
+  }
+  
+  const model = availableModels.find(m => m.onnxPath === modelPath);
+  if (!model) {
+    return res.status(404).json({
+      success: false,
+      error: 'Model not found'
+    });
+  }
+  
+  if (!normalizeOutputSettings(settings.output)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported output format (use ${Object.keys(OUTPUT_FORMATS).join(', ')})`
+    });
+  }
+  
+  // One clip per cue, never split, so it can be placed at the cue's start
+  const entries = [];
+  const dubbingCues = cues.map(cue => {
+    const text = filterTextSegment(cue.text, model);
+    const entryIndex = text ? entries.length : null;
+    if (text) {
+      entries.push({ text, modelPath: model.onnxPath, modelName: model.name, sampleRate: model.sampleRate });
+    }
+    
+    return { ...cue, entryIndex, clipDuration: null, speed: 1, placedAt: null, delay: 0, status: 'pending' };
+  });
+  
+  if (entries.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Every cue became empty after processing'
+    });
+  }
+  
+  const job = createJob(model, entries, { ...settings, subtitles: false });
+  job.dubbing = { cues: dubbingCues, ...normalizeDubbingSettings(settings.dubbing) };
+  runJob(job).catch(console.error);
+  
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    cueCount: cues.length
   });
 });
 
-app.post('/set-model-paths', async (req, res) => {
+// Open a local EPUB: metadata, cover and the chapter list with word counts and a preview
+app.post('/epub', async (req, res) => {
+  const { path: epubPath } = req.body || {};
+  
+  if (!epubPath || path.extname(epubPath).toLowerCase() !== '.epub') {
+    return res.status(400).json({
+      success: false,
+      error: 'An .epub file path is required'
+    });
+  }
+  
   try {
-    const { paths } = req.body;
-    
-    if (!Array.isArray(paths)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Paths must be an array'
-      });
-    }
+    const book = await parseEpub(epubPath);
+    book.id = generateRandomString();
+    books.set(book.id, book);
+    setTimeout(() => books.delete(book.id), JOB_RETENTION_MS);
     
-    modelPaths = paths;
-    await scanModels();
+    console.log(`[AUDIOBOOK] Opened '${book.title}' with ${book.chapters.length} chapters`);
     
     res.json({
       success: true,
-      message: 'Model paths updated',
-      modelCount: availableModels.length
+      book: {
+        id: book.id,
+        title: book.title,
+        author: book.author,
+        language: book.language,
+        cover: book.cover ? `data:${book.cover.mediaType};base64,${book.cover.data.toString('base64')}` : null,
+        chapters: book.chapters.map(chapter => ({
+          index: chapter.index,
+          title: chapter.title,
+          wordCount: chapter.wordCount,
+          linear: chapter.linear,
+          preview: chapter.text.substring(0, 300)
+        }))
+      }
     });
   } catch (error) {
-    console.error('Error setting model paths:', error);
-    res.status(500).json({
+    console.error('Error reading EPUB:', error);
+    res.status(400).json({
       success: false,
       error: error.message
     });
   }
 });
 
-app.post('/convert', async (req, res) => {
+// Synthesize chapters of an opened EPUB: { bookId, chapters: [index], modelPath, settings,
+// mode: 'chapters' | 'm4b', outputFolder }. 'chapters' writes one tagged file per chapter
+// (and the cover) into a folder named after the book; 'm4b' builds one audiobook with
+// chapter markers. Progress is reported through GET /batches/:id.
+app.post('/audiobooks', async (req, res) => {
+  const { bookId, chapters, modelPath, settings = {}, mode = 'm4b', outputFolder } = req.body || {};
+  
+  const book = books.get(bookId);
+  if (!book) {
+    return res.status(404).json({
+      success: false,
+      error: 'Book not found; open the EPUB again'
+    });
+  }
+  
+  if (!AUDIOBOOK_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported mode (use ${AUDIOBOOK_MODES.join(', ')})`
+    });
+  }
+  
+  if (!outputFolder) {
+    return res.status(400).json({
+      success: false,
+      error: 'Output folder is required'
+    });
+  }
+  
+  if (!availableModels.some(m => m.onnxPath === modelPath)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Model not found'
+    });
+  }
+  
+  const selected = Array.isArray(chapters)
+    ? book.chapters.filter(chapter => chapters.includes(chapter.index))
+    : book.chapters;
+  if (selected.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Select at least one chapter'
+    });
+  }
+  
   try {
-    const { text, modelPath, settings } = req.body;
-    
-    if (!text || !text.trim()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text is required'
-      });
-    }
-    
-    if (!modelPath) {
-      return res.status(400).json({
-        success: false,
-        error: 'Model path is required'
-      });
-    }
-    
-    // Find model by path
-    const model = availableModels.find(m => m.onnxPath === modelPath);
-    if (!model) {
-      return res.status(404).json({
-        success: false,
-        error: 'Model not found'
-      });
-    }
-    
-    console.log(`Converting text with model: ${model.name}`);
-    
-    // Apply comprehensive text filtering and replacements
-    let processedText = filterTextSegment(text, model.replacements);
-    
-    if (!processedText.trim()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text became empty after processing'
-      });
-    }
-    
-    console.log(`[TTS] Text ready for synthesis: '${processedText}'`);
-    
-    // Split into sentences for better audio quality
-    const sentences = splitSentences(processedText);
-    console.log(`[TTS] Split into ${sentences.length} sentences`);
-    
-    if (sentences.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No valid sentences found in text'
-      });
-    }
+    const bookFolder = path.join(outputFolder, sanitizeFileName(book.title) || 'audiobook');
+    const digits = String(selected.length).length;
     
-    // Generate audio for all sentences in parallel
-    const validSentences = sentences.filter(s => s.trim());
-    const audioFiles = await generateAudioParallel(validSentences, modelPath, settings);
+    const files = selected.map((chapter, i) => ({
+      name: `${String(i + 1).padStart(Math.max(2, digits), '0')} - ${sanitizeFileName(chapter.title)}`,
+      text: chapter.text,
+      metadata: {
+        title: chapter.title,
+        album: book.title,
+        artist: book.author,
+        track: `${i + 1}/${selected.length}`
+      }
+    }));
     
-    if (audioFiles.length === 0) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to generate any audio'
+    let batch;
+    if (mode === 'chapters') {
+      await fs.ensureDir(bookFolder);
+      if (book.cover) {
+        await fs.writeFile(path.join(bookFolder, `cover.${book.cover.extension}`), book.cover.data);
+      }
+      
+      batch = createBatch(files, {
+        outputFolder: bookFolder,
+        modelPath,
+        settings,
+        audiobook: { mode, title: book.title, author: book.author, outputFolder: bookFolder }
       });
-    }
-    
-    let finalAudioPath;
-    
-    if (audioFiles.length === 1) {
-      finalAudioPath = audioFiles[0];
     } else {
-      // Concatenate multiple audio files
-      const concatenatedPath = path.join(os.tmpdir(), `final_${generateRandomString()}.wav`);
-      finalAudioPath = await concatenateAudio(audioFiles, concatenatedPath);
+      // Chapters are synthesized to WAV in a temporary folder and encoded once, into the M4B
+      batch = createBatch(files, {
+        outputFolder: path.join(os.tmpdir(), `audiobook_${generateRandomString()}`),
+        modelPath,
+        settings: { ...settings, output: { format: 'wav' }, subtitles: false },
+        audiobook: {
+          mode,
+          title: book.title,
+          author: book.author,
+          cover: book.cover,
+          output: settings.output,
+          outputFolder: outputFolder
+        }
+      });
     }
     
-    // Convert to MP3
-    const mp3Path = await convertToMp3(finalAudioPath);
+    runBatch(batch).catch(console.error);
     
-    // Read the MP3 file and encode as base64
-    const audioBuffer = await fs.readFile(mp3Path);
-    const audioBase64 = audioBuffer.toString('base64');
-    
-    // Clean up temporary file
-    fs.unlink(mp3Path).catch(console.error);
-    
-    res.json({
+    res.status(202).json({
       success: true,
-      audio: `data:audio/mpeg;base64,${audioBase64}`,
-      model: model.name,
-      sentenceCount: sentences.length
+      batchId: batch.id,
+      chapterCount: selected.length
     });
-    
   } catch (error) {
-    console.error('Error in /convert:', error);
+    console.error('Error starting audiobook:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -976,7 +5394,8 @@ app.get('/rescan-models', async (req, res) => {
     res.json({
       success: true,
       message: 'Models rescanned',
-      modelCount: availableModels.length
+      modelCount: availableModels.length,
+      invalidCount: Array.from(modelReports.values()).filter(report => report.status === 'error').length
     });
   } catch (error) {
     console.error('Error rescanning models:', error);
@@ -987,6 +5406,31 @@ app.get('/rescan-models', async (req, res) => {
   }
 });
 
+// Re-validate every model config in the model folders, including the ones left out of
+// the model list, without rescanning the library
+app.get('/models/validate', async (req, res) => {
+  try {
+    espeakVoices = null;
+    const reports = (await validateModels()).map(serializeModelReport);
+    
+    res.json({
+      success: true,
+      reports: reports,
+      summary: {
+        ok: reports.filter(report => report.status === 'ok').length,
+        warning: reports.filter(report => report.status === 'warning').length,
+        error: reports.filter(report => report.status === 'error').length
+      }
+    });
+  } catch (error) {
+    console.error('Error validating models:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get current thread settings and queue status
 app.get('/settings', (req, res) => {
   const queueStatus = processQueue.getStatus();
@@ -997,16 +5441,27 @@ app.get('/settings', (req, res) => {
       autoDetectThreads: userSettings.autoDetectThreads,
       cpuCores: CPU_CORES,
       currentMaxConcurrent: queueStatus.maxConcurrent,
-      recommendedThreads: CPU_CORES * 2
+      recommendedThreads: CPU_CORES * 2,
+      cacheEnabled: userSettings.cacheEnabled,
+      cacheMaxSizeMB: userSettings.cacheMaxSizeMB
     },
     queueStatus: queueStatus
   });
 });
 
 // Update thread settings
-app.post('/settings', (req, res) => {
+app.post('/settings', async (req, res) => {
   try {
-    const { maxThreads, autoDetectThreads } = req.body;
+    const { maxThreads, autoDetectThreads, cacheEnabled, cacheMaxSizeMB } = req.body;
+    
+    if (typeof cacheEnabled === 'boolean') {
+      userSettings.cacheEnabled = cacheEnabled;
+    }
+    
+    if (typeof cacheMaxSizeMB === 'number' && cacheMaxSizeMB > 0) {
+      userSettings.cacheMaxSizeMB = Math.max(10, Math.min(100000, cacheMaxSizeMB));
+      await sentenceCache.evict();
+    }
     
     if (typeof autoDetectThreads === 'boolean') {
       userSettings.autoDetectThreads = autoDetectThreads;
@@ -1027,6 +5482,8 @@ app.post('/settings', (req, res) => {
       userSettings.maxThreads = autoThreads;
     }
     
+    await saveAppConfig();
+    
     const queueStatus = processQueue.getStatus();
     
     res.json({
@@ -1036,7 +5493,9 @@ app.post('/settings', (req, res) => {
         maxThreads: userSettings.maxThreads,
         autoDetectThreads: userSettings.autoDetectThreads,
         cpuCores: CPU_CORES,
-        currentMaxConcurrent: queueStatus.maxConcurrent
+        currentMaxConcurrent: queueStatus.maxConcurrent,
+        cacheEnabled: userSettings.cacheEnabled,
+        cacheMaxSizeMB: userSettings.cacheMaxSizeMB
       },
       queueStatus: queueStatus
     });
@@ -1055,10 +5514,236 @@ app.get('/queue-status', (req, res) => {
   const queueStatus = processQueue.getStatus();
   res.json({
     success: true,
-    status: queueStatus
+    status: queueStatus,
+    workers: piperPool.getStatus()
+  });
+});
+
+// Pronunciation dictionaries
+app.get('/dictionaries', (req, res) => {
+  res.json({
+    success: true,
+    order: ['model:<id>', 'user', 'modelcard', 'global'],
+    dictionaries: dictionaryStore.getSummary()
+  });
+});
+
+// Run text through the replacement layers of a model and report which rules fired
+app.post('/dictionaries/test', (req, res) => {
+  const { text, modelPath } = req.body || {};
+  
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Text is required'
+    });
+  }
+  
+  const model = availableModels.find(m => m.onnxPath === modelPath);
+  if (!model) {
+    return res.status(404).json({
+      success: false,
+      error: 'Model not found'
+    });
+  }
+  
+  const firedRules = [];
+  const processedText = filterTextSegment(text, model, firedRules);
+  
+  res.json({
+    success: true,
+    text: processedText,
+    replacements: summarizeFiredRules(firedRules)
+  });
+});
+
+// Validate the :scope parameter, sending a 400 when it is not a known scope
+function getDictionaryScope(req, res) {
+  const scope = req.params.scope;
+  if (!dictionaryStore.isValidScope(scope)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid dictionary scope (use global, user or model:<id>)'
+    });
+    return null;
+  }
+  return scope;
+}
+
+app.get('/dictionaries/:scope', (req, res) => {
+  const scope = getDictionaryScope(req, res);
+  if (!scope) return;
+  
+  res.json({
+    success: true,
+    scope: scope,
+    replacements: dictionaryStore.get(scope)
+  });
+});
+
+// Replace the whole dictionary (also used for imports)
+app.put('/dictionaries/:scope', async (req, res) => {
+  const scope = getDictionaryScope(req, res);
+  if (!scope) return;
+  
+  try {
+    const { replacements } = req.body;
+    
+    if (!Array.isArray(replacements)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Replacements must be an array'
+      });
+    }
+    
+    const invalidIndex = replacements.findIndex(entry => normalizeReplacementRule(entry) === null);
+    if (invalidIndex !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `Entry ${invalidIndex + 1} needs a non-empty find, a replace string and a valid pattern`
+      });
+    }
+    
+    const saved = await dictionaryStore.set(scope, replacements);
+    res.json({
+      success: true,
+      scope: scope,
+      replacements: saved
+    });
+  } catch (error) {
+    console.error('Error saving dictionary:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/dictionaries/:scope/entries', async (req, res) => {
+  const scope = getDictionaryScope(req, res);
+  if (!scope) return;
+  
+  try {
+    const entry = normalizeDictionaryEntries([req.body])[0];
+    
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        error: 'Entry needs a non-empty find, a replace string and a valid pattern'
+      });
+    }
+    
+    const saved = await dictionaryStore.set(scope, [...dictionaryStore.get(scope), entry]);
+    res.json({
+      success: true,
+      scope: scope,
+      replacements: saved
+    });
+  } catch (error) {
+    console.error('Error adding dictionary entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/dictionaries/:scope/entries/:index', async (req, res) => {
+  const scope = getDictionaryScope(req, res);
+  if (!scope) return;
+  
+  try {
+    const entries = [...dictionaryStore.get(scope)];
+    const index = parseInt(req.params.index, 10);
+    const entry = normalizeDictionaryEntries([req.body])[0];
+    
+    if (isNaN(index) || index < 0 || index >= entries.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entry not found'
+      });
+    }
+    
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        error: 'Entry needs a non-empty find, a replace string and a valid pattern'
+      });
+    }
+    
+    entries[index] = entry;
+    const saved = await dictionaryStore.set(scope, entries);
+    res.json({
+      success: true,
+      scope: scope,
+      replacements: saved
+    });
+  } catch (error) {
+    console.error('Error updating dictionary entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/dictionaries/:scope/entries/:index', async (req, res) => {
+  const scope = getDictionaryScope(req, res);
+  if (!scope) return;
+  
+  try {
+    const entries = [...dictionaryStore.get(scope)];
+    const index = parseInt(req.params.index, 10);
+    
+    if (isNaN(index) || index < 0 || index >= entries.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entry not found'
+      });
+    }
+    
+    entries.splice(index, 1);
+    const saved = await dictionaryStore.set(scope, entries);
+    res.json({
+      success: true,
+      scope: scope,
+      replacements: saved
+    });
+  } catch (error) {
+    console.error('Error deleting dictionary entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Sentence cache statistics
+app.get('/cache', (req, res) => {
+  res.json({
+    success: true,
+    cache: sentenceCache.getStats()
   });
 });
 
+// Clear the sentence cache
+app.delete('/cache', async (req, res) => {
+  try {
+    await sentenceCache.clear();
+    res.json({
+      success: true,
+      message: 'Cache cleared',
+      cache: sentenceCache.getStats()
+    });
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Start server
 async function startServer() {
   initializePaths();
@@ -0,0 +1,651 @@
+// Number, date, time and currency verbalization for the TTS text pipeline
+// Piper/espeak read digits inconsistently ("1.250,50 €", "15/03/2024", "14:30h"),
+// so numeric expressions are expanded into words before sentence splitting.
+// Rules exist for Spanish and English; other languages are left unchanged.
+
+const SUPPORTED_LANGUAGES = ['es', 'en'];
+
+// Decimal and thousands separators per language, with regional exceptions
+const NUMBER_FORMATS = {
+  es: { decimal: ',', thousands: '.' },
+  en: { decimal: '.', thousands: ',' }
+};
+
+const REGIONAL_NUMBER_FORMATS = {
+  es_MX: { decimal: '.', thousands: ',' },
+  es_US: { decimal: '.', thousands: ',' },
+  es_PR: { decimal: '.', thousands: ',' },
+  es_DO: { decimal: '.', thousands: ',' },
+  es_GT: { decimal: '.', thousands: ',' },
+  es_HN: { decimal: '.', thousands: ',' },
+  es_NI: { decimal: '.', thousands: ',' },
+  es_PA: { decimal: '.', thousands: ',' },
+  es_SV: { decimal: '.', thousands: ',' },
+  en_ZA: { decimal: ',', thousands: ' ' }
+};
+
+// English locales that write dates day first
+const DAY_FIRST_ENGLISH_REGIONS = ['GB', 'IE', 'AU', 'NZ', 'IN', 'ZA'];
+
+const MONTH_NAMES = {
+  es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  en: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+};
+
+const SPANISH_UNITS = [
+  'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+  'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+  'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'
+];
+const SPANISH_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const SPANISH_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos', 'ochocientos', 'novecientos'];
+const SPANISH_ORDINAL_UNITS = ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno'];
+const SPANISH_ORDINAL_TENS = ['', 'décimo', 'vigésimo', 'trigésimo', 'cuadragésimo', 'quincuagésimo', 'sexagésimo', 'septuagésimo', 'octogésimo', 'nonagésimo'];
+
+// Words after a number that aren't the noun it counts ("21 y 22", "1 de cada 3", "en 1991 fue")
+const SPANISH_NON_NOUNS = new Set([
+  'a', 'al', 'con', 'contra', 'de', 'del', 'desde', 'e', 'en', 'entre', 'hacia', 'hasta', 'ni', 'o', 'para', 'pero',
+  'por', 'que', 'según', 'sin', 'sobre', 'tras', 'u', 'y', 'como', 'cuando', 'donde', 'más', 'menos', 'muy', 'no', 'si', 'ya',
+  'el', 'la', 'lo', 'los', 'las', 'un', 'una', 'unos', 'unas', 'le', 'les', 'me', 'te', 'se', 'nos',
+  'es', 'son', 'era', 'eran', 'fue', 'fueron', 'ha', 'han', 'hay', 'hubo', 'había', 'está', 'están', 'será', 'serán'
+]);
+// Gender exceptions to the -a / -ción / -dad endings
+const SPANISH_FEMININE_NOUNS = new Set([
+  'vez', 'veces', 'noche', 'noches', 'tarde', 'tardes', 'mujer', 'mujeres', 'gente', 'parte', 'partes', 'clase', 'clases',
+  'calle', 'calles', 'llave', 'llaves', 'flor', 'flores', 'imagen', 'imágenes', 'red', 'redes', 'ley', 'leyes', 'luz', 'luces',
+  'voz', 'voces', 'razón', 'razones', 'mano', 'manos', 'foto', 'fotos', 'moto', 'motos'
+]);
+const SPANISH_MASCULINE_NOUNS = new Set([
+  'día', 'días', 'mapa', 'mapas', 'problema', 'problemas', 'programa', 'programas', 'sistema', 'sistemas', 'tema', 'temas',
+  'idioma', 'idiomas', 'clima', 'climas', 'planeta', 'planetas', 'poema', 'poemas', 'drama', 'dramas', 'esquema', 'esquemas'
+]);
+
+const ENGLISH_ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const ENGLISH_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const ENGLISH_SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+const ENGLISH_ORDINAL_WORDS = {
+  one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+
+// Currency names by symbol or ISO code: [singular, plural, cents singular, cents plural]
+const CURRENCIES = {
+  es: {
+    '€': ['euro', 'euros', 'céntimo', 'céntimos'],
+    EUR: ['euro', 'euros', 'céntimo', 'céntimos'],
+    '$': ['dólar', 'dólares', 'centavo', 'centavos'],
+    USD: ['dólar', 'dólares', 'centavo', 'centavos'],
+    MXN: ['peso', 'pesos', 'centavo', 'centavos'],
+    '£': ['libra', 'libras', 'penique', 'peniques', 'feminine'],
+    GBP: ['libra', 'libras', 'penique', 'peniques', 'feminine'],
+    '¥': ['yen', 'yenes', 'sen', 'sen'],
+    JPY: ['yen', 'yenes', 'sen', 'sen']
+  },
+  en: {
+    '€': ['euro', 'euros', 'cent', 'cents'],
+    EUR: ['euro', 'euros', 'cent', 'cents'],
+    '$': ['dollar', 'dollars', 'cent', 'cents'],
+    USD: ['dollar', 'dollars', 'cent', 'cents'],
+    MXN: ['peso', 'pesos', 'centavo', 'centavos'],
+    '£': ['pound', 'pounds', 'penny', 'pence'],
+    GBP: ['pound', 'pounds', 'penny', 'pence'],
+    '¥': ['yen', 'yen', 'sen', 'sen'],
+    JPY: ['yen', 'yen', 'sen', 'sen']
+  }
+};
+
+// In these regions '$' is the local peso
+const PESO_REGIONS = ['MX', 'AR', 'CL', 'CO', 'UY', 'DO'];
+
+const WORDS = {
+  es: { minus: 'menos', point: 'coma', percent: 'por ciento', plus: 'más', and: 'con', degrees: 'grados', hour: 'hora', hours: 'horas', minutes: 'minutos', oclock: 'en punto' },
+  en: { minus: 'minus', point: 'point', percent: 'percent', plus: 'plus', and: 'and', degrees: 'degrees', hour: 'hour', hours: 'hours', minutes: 'minutes', oclock: "o'clock" }
+};
+
+// Numbers with more digits than this are read digit by digit
+const MAX_INTEGER_DIGITS = 15;
+
+// Split a locale like 'es_MX', 'es-419' or 'en' into language and region
+function parseLocale(locale) {
+  const [language, region] = String(locale || 'es').split(/[-_]/);
+  return {
+    language: language.toLowerCase(),
+    region: region ? region.toUpperCase() : null,
+    code: region ? `${language.toLowerCase()}_${region.toUpperCase()}` : language.toLowerCase()
+  };
+}
+
+function getNumberFormat(locale) {
+  const { language, code } = parseLocale(locale);
+  return REGIONAL_NUMBER_FORMATS[code] || NUMBER_FORMATS[language] || NUMBER_FORMATS.en;
+}
+
+// Spanish
+
+function spanishApocope(words) {
+  return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
+function spanishBelowHundred(n, feminine) {
+  if (n < 30) {
+    const word = SPANISH_UNITS[n];
+    return feminine ? word.replace(/uno$/, 'una') : word;
+  }
+
+  const unit = n % 10;
+  const tens = SPANISH_TENS[Math.floor(n / 10)];
+  if (!unit) return tens;
+  return `${tens} y ${feminine && unit === 1 ? 'una' : SPANISH_UNITS[unit]}`;
+}
+
+function spanishBelowThousand(n, feminine = false) {
+  if (n === 100) return 'cien';
+
+  const parts = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (hundreds) {
+    const word = SPANISH_HUNDREDS[hundreds];
+    parts.push(feminine ? word.replace(/ientos$/, 'ientas') : word);
+  }
+  if (rest) parts.push(spanishBelowHundred(rest, feminine));
+  return parts.join(' ');
+}
+
+function spanishBelowMillion(n, feminine = false) {
+  const parts = [];
+  const thousands = Math.floor(n / 1000);
+  const rest = n % 1000;
+
+  if (thousands) {
+    if (thousands === 1) {
+      parts.push('mil');
+    } else {
+      const words = spanishBelowThousand(thousands, feminine);
+      parts.push(`${feminine ? words : spanishApocope(words)} mil`);
+    }
+  }
+  if (rest) parts.push(spanishBelowThousand(rest, feminine));
+  return parts.join(' ');
+}
+
+// options.feminine: 'una', 'doscientas' (libras, horas)
+// options.apocope:  'un', 'veintiún' before a masculine noun (euros)
+function spanishInteger(n, options = {}) {
+  if (n === 0) return 'cero';
+
+  const parts = [];
+  const trillions = Math.floor(n / 1e12);
+  const millions = Math.floor(n / 1e6) % 1e6;
+  const rest = n % 1e6;
+
+  if (trillions) {
+    parts.push(trillions === 1 ? 'un billón' : `${spanishApocope(spanishBelowMillion(trillions))} billones`);
+  }
+  if (millions) {
+    parts.push(millions === 1 ? 'un millón' : `${spanishApocope(spanishBelowMillion(millions))} millones`);
+  }
+  if (rest) parts.push(spanishBelowMillion(rest, options.feminine));
+
+  const words = parts.join(' ');
+  return options.apocope && !options.feminine ? spanishApocope(words) : words;
+}
+
+// Agreement with the noun after a cardinal: "veintiún años", "doscientas libras".
+// Returns null when the next word doesn't look like a noun (names, verbs, particles)
+function spanishNounAgreement(word) {
+  if (!word || !/^\p{Ll}/u.test(word)) return null;
+
+  const lower = word.toLowerCase();
+  if (SPANISH_NON_NOUNS.has(lower) || /(ó|aron|ieron|aba|aban)$/.test(lower)) return null;
+
+  const feminine = SPANISH_FEMININE_NOUNS.has(lower) ||
+    (!SPANISH_MASCULINE_NOUNS.has(lower) && /(as?|ción|ciones|sión|siones|dad|dades|tud|tudes|umbre|umbres)$/.test(lower));
+  return { feminine, apocope: true };
+}
+
+function spanishOrdinal(n, options = {}) {
+  if (n < 1 || n > 100) return spanishInteger(n);
+
+  let words;
+  if (n === 100) {
+    words = 'centésimo';
+  } else if (n === 11) {
+    words = 'undécimo';
+  } else if (n === 12) {
+    words = 'duodécimo';
+  } else if (n > 12 && n < 20) {
+    words = `decimo${SPANISH_ORDINAL_UNITS[n % 10]}`;
+  } else {
+    words = [SPANISH_ORDINAL_TENS[Math.floor(n / 10)], SPANISH_ORDINAL_UNITS[n % 10]].filter(Boolean).join(' ');
+  }
+
+  if (options.feminine) return words.replace(/o\b/g, 'a');
+  // "1er", "3er": primer, tercer
+  if (options.apocope) return words.replace(/(primer|tercer)o$/, '$1');
+  return words;
+}
+
+// English
+
+function englishBelowThousand(n) {
+  const parts = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+
+  if (hundreds) parts.push(`${ENGLISH_ONES[hundreds]} hundred`);
+  if (rest) {
+    if (rest < 20) {
+      parts.push(ENGLISH_ONES[rest]);
+    } else {
+      const unit = rest % 10;
+      parts.push(unit ? `${ENGLISH_TENS[Math.floor(rest / 10)]}-${ENGLISH_ONES[unit]}` : ENGLISH_TENS[Math.floor(rest / 10)]);
+    }
+  }
+  return parts.join(' ');
+}
+
+function englishInteger(n) {
+  if (n === 0) return 'zero';
+
+  const parts = [];
+  let rest = n;
+
+  for (const [scale, name] of ENGLISH_SCALES) {
+    const count = Math.floor(rest / scale);
+    if (count) {
+      parts.push(`${englishBelowThousand(count)} ${name}`);
+      rest %= scale;
+    }
+  }
+  if (rest) parts.push(englishBelowThousand(rest));
+  return parts.join(' ');
+}
+
+function englishOrdinal(n) {
+  return englishInteger(n).replace(/(\w+)$/, word => {
+    if (ENGLISH_ORDINAL_WORDS[word]) return ENGLISH_ORDINAL_WORDS[word];
+    if (word.endsWith('y')) return `${word.slice(0, -1)}ieth`;
+    return `${word}th`;
+  });
+}
+
+// Years are read in pairs in English: "nineteen eighty-four", "twenty twenty-four"
+function englishYear(year) {
+  if (year < 1100 || year > 2099 || (year >= 2000 && year < 2010) || year % 1000 === 0) {
+    return englishInteger(year);
+  }
+
+  const century = Math.floor(year / 100);
+  const rest = year % 100;
+  if (rest === 0) return `${englishInteger(century)} hundred`;
+  if (rest < 10) return `${englishInteger(century)} oh ${ENGLISH_ONES[rest]}`;
+  return `${englishInteger(century)} ${englishInteger(rest)}`;
+}
+
+// Shared helpers
+
+function numberToWords(n, language, options = {}) {
+  return language === 'en' ? englishInteger(n) : spanishInteger(n, options);
+}
+
+function ordinalToWords(n, language, options = {}) {
+  return language === 'en' ? englishOrdinal(n) : spanishOrdinal(n, options);
+}
+
+function digitsToWords(digits, language) {
+  const names = language === 'en' ? ENGLISH_ONES : SPANISH_UNITS;
+  return digits.split('').filter(d => /\d/.test(d)).map(d => names[parseInt(d, 10)]).join(' ');
+}
+
+// "1", "250", "000": one to three digits, then groups of exactly three
+function isValidGrouping(groups) {
+  return /^\d{1,3}$/.test(groups[0]) && groups.slice(1).every(group => /^\d{3}$/.test(group));
+}
+
+// Parse "1.250,50" / "1,250.50" with the locale's separators into integer and
+// fraction digits. A lone separator that isn't valid grouping ("3.5" in Spanish)
+// is read as a decimal point. Returns null for things like versions ("1.2.3").
+function parseLocaleNumber(token, format) {
+  // A repeated decimal separator can only be grouping written the other way:
+  // "$1,000,000" in Spanish text
+  const decimalGroups = token.split(format.decimal);
+  if (decimalGroups.length > 2) {
+    return isValidGrouping(decimalGroups) ? { integer: decimalGroups.join(''), fraction: null } : null;
+  }
+
+  let integerPart = token;
+  let fraction = null;
+
+  const decimalIndex = token.lastIndexOf(format.decimal);
+  if (decimalIndex !== -1) {
+    integerPart = token.substring(0, decimalIndex);
+    fraction = token.substring(decimalIndex + 1);
+    if (!/^\d+$/.test(fraction)) return null;
+  }
+
+  if (/^\d+$/.test(integerPart)) {
+    return { integer: integerPart, fraction };
+  }
+
+  const groups = integerPart.split(format.thousands);
+  if (groups.length > 1 && isValidGrouping(groups)) {
+    return { integer: groups.join(''), fraction };
+  }
+
+  // Not grouping: a single other separator is a decimal point written the other way
+  const other = integerPart.match(/^(\d+)[.,](\d+)$/);
+  if (other && fraction === null) {
+    return { integer: other[1], fraction: other[2] };
+  }
+
+  return null;
+}
+
+function integerToWords(integer, language, options = {}) {
+  if (integer.length > MAX_INTEGER_DIGITS || (integer.length > 1 && integer.startsWith('0'))) {
+    return digitsToWords(integer, language);
+  }
+  return numberToWords(parseInt(integer, 10), language, options);
+}
+
+function fractionToWords(fraction, language) {
+  // Spanish reads short fractions as a number ("tres coma catorce");
+  // English and long or zero-padded fractions are read digit by digit
+  if (language === 'es' && fraction.length <= 2 && !fraction.startsWith('0')) {
+    return spanishInteger(parseInt(fraction, 10));
+  }
+  return digitsToWords(fraction, language);
+}
+
+function parsedNumberToWords(parsed, language, options = {}) {
+  const integerWords = integerToWords(parsed.integer, language, parsed.fraction ? {} : options);
+  if (!parsed.fraction) return integerWords;
+  return `${integerWords} ${WORDS[language].point} ${fractionToWords(parsed.fraction, language)}`;
+}
+
+// Dates
+
+function verbalizeDate(day, month, year, locale) {
+  const { language } = parseLocale(locale);
+  const monthName = MONTH_NAMES[language] ? MONTH_NAMES[language][month - 1] : null;
+  if (!monthName) return null;
+
+  if (language === 'en') {
+    const yearWords = year === null ? '' : `, ${year < 100 ? englishInteger(year) : englishYear(year)}`;
+    return `${monthName} ${englishOrdinal(day)}${yearWords}`;
+  }
+
+  const yearWords = year === null ? '' : ` de ${spanishInteger(year)}`;
+  return `${spanishInteger(day)} de ${monthName}${yearWords}`;
+}
+
+function isValidDate(day, month) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+function verbalizeDates(text, locale) {
+  const { language, region } = parseLocale(locale);
+  const dayFirst = language !== 'en' || DAY_FIRST_ENGLISH_REGIONS.includes(region);
+
+  // ISO dates: 2024-03-15
+  text = text.replace(/(?<![\d/.-])(\d{4})-(\d{1,2})-(\d{1,2})(?!\d|[/.-]\d)/g, (match, year, month, day) => {
+    const [d, m, y] = [parseInt(day, 10), parseInt(month, 10), parseInt(year, 10)];
+    return isValidDate(d, m) ? verbalizeDate(d, m, y, locale) : match;
+  });
+
+  // 15/03/2024, 15-03-24, 15.03.2024 (month first in US English)
+  return text.replace(/(?<![\d/.-])(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?!\d|[/.-]\d)/g, (match, first, separator, second, year) => {
+    let day = parseInt(dayFirst ? first : second, 10);
+    let month = parseInt(dayFirst ? second : first, 10);
+
+    // 03/25/2024 in a day-first locale is clearly month first, and vice versa
+    if (!isValidDate(day, month) && isValidDate(month, day)) {
+      [day, month] = [month, day];
+    }
+    if (!isValidDate(day, month)) return match;
+
+    return verbalizeDate(day, month, parseInt(year, 10), locale);
+  });
+}
+
+// Times
+
+function verbalizeTimes(text, language) {
+  const words = WORDS[language];
+
+  const hourWords = hour => language === 'en' ? englishInteger(hour) : spanishInteger(hour, { feminine: true });
+  const minuteWords = minutes => {
+    if (language === 'en' && minutes < 10) return `oh ${ENGLISH_ONES[minutes]}`;
+    return language === 'en' ? englishInteger(minutes) : spanishInteger(minutes, { feminine: true });
+  };
+
+  // 14:30, 14:30h, 9:05 horas, 2:30 pm
+  text = text.replace(/(?<![\d:.,])([01]?\d|2[0-3]):([0-5]\d)(?!\d|:\d)(\s?(?:h|hrs?|horas)(?![\p{L}\d])|\s?[ap]\.?\s?m\.?(?![\p{L}\d]))?/giu, (match, hourText, minuteText, suffix) => {
+    const hour = parseInt(hourText, 10);
+    const minutes = parseInt(minuteText, 10);
+    const marker = suffix ? suffix.trim().toLowerCase() : '';
+
+    if (/^[ap]/.test(marker)) {
+      const period = `${marker[0]} m`;
+      return minutes ? `${hourWords(hour)} ${minuteWords(minutes)} ${period}` : `${hourWords(hour)} ${period}`;
+    }
+
+    if (marker) {
+      // Explicit hours: "catorce horas y treinta minutos"
+      const hourName = hour === 1 ? words.hour : words.hours;
+      if (!minutes) return `${hourWords(hour)} ${hourName}`;
+      return `${hourWords(hour)} ${hourName} ${language === 'en' ? 'and' : 'y'} ${minuteWords(minutes)} ${words.minutes}`;
+    }
+
+    if (!minutes) {
+      return language === 'en' && hour > 12 ? `${hourWords(hour)} hundred` : `${hourWords(hour)} ${words.oclock}`;
+    }
+    return language === 'en' ? `${hourWords(hour)} ${minuteWords(minutes)}` : `${hourWords(hour)} y ${minuteWords(minutes)}`;
+  });
+
+  // 2 pm, 11 a.m.
+  text = text.replace(/(?<![\d:.,])(1[0-2]|0?[1-9])\s?([ap])\.?\s?m\.?(?![\p{L}\d])/giu, (match, hour, period) => {
+    return `${hourWords(parseInt(hour, 10))} ${period.toLowerCase()} m`;
+  });
+
+  // 14h
+  return text.replace(/(?<![\d:.,])([01]?\d|2[0-3])\s?h(?![\p{L}\d])/gu, (match, hourText) => {
+    const hour = parseInt(hourText, 10);
+    return `${hourWords(hour)} ${hour === 1 ? words.hour : words.hours}`;
+  });
+}
+
+// Phone numbers are read digit by digit, with a pause between groups
+
+function verbalizePhoneNumbers(text, language) {
+  const pattern = /(?<![\p{L}\d+.,])(\+\d{1,3}[\s.-]?)?(\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?![\p{L}\d]|[.,]\d)/gu;
+
+  return text.replace(pattern, (match, countryCode, areaCode) => {
+    const groups = match.split(/[\s.\-()]+/).filter(Boolean);
+    const digitCount = match.replace(/\D/g, '').length;
+    const onlyDots = !/[\s\-()+]/.test(match);
+
+    // Without a country or area code only accept three or more groups, so that
+    // year ranges ("2020-2024") and grouped numbers ("1.250.000") are left alone
+    if (!countryCode && !areaCode && (groups.length < 3 || onlyDots)) return match;
+    if (digitCount < 7) return match;
+
+    return groups.map(group => {
+      if (group.startsWith('+')) {
+        return `${WORDS[language].plus} ${numberToWords(parseInt(group.substring(1), 10), language)}`;
+      }
+      return digitsToWords(group, language);
+    }).join(', ');
+  });
+}
+
+// Currencies: "1.250,50 €", "$1,250.50", "20 EUR"
+
+function currencyToWords(parsed, currency, language) {
+  const [singular, plural, centSingular, centPlural, gender] = currency;
+  const feminine = gender === 'feminine';
+  const options = language === 'es' ? { feminine, apocope: !feminine } : {};
+  const words = WORDS[language];
+
+  // More than two decimals isn't an amount of cents: read as a decimal number
+  if (parsed.fraction && parsed.fraction.length > 2) {
+    return `${parsedNumberToWords(parsed, language)} ${plural}`;
+  }
+
+  const amount = parsed.integer.length > MAX_INTEGER_DIGITS ? null : parseInt(parsed.integer, 10);
+  const cents = parsed.fraction ? parseInt(parsed.fraction.padEnd(2, '0'), 10) : 0;
+
+  let result = '';
+  if (amount === null) {
+    result = `${digitsToWords(parsed.integer, language)} ${plural}`;
+  } else if (amount > 0 || !cents) {
+    // "un millón de euros"
+    const of = language === 'es' && amount >= 1e6 && amount % 1e6 === 0 ? 'de ' : '';
+    result = `${numberToWords(amount, language, options)} ${of}${amount === 1 ? singular : plural}`;
+  }
+
+  if (cents) {
+    const centWords = `${numberToWords(cents, language, language === 'es' ? { apocope: true } : {})} ${cents === 1 ? centSingular : centPlural}`;
+    result = result ? `${result} ${words.and} ${centWords}` : centWords;
+  }
+
+  return result;
+}
+
+function verbalizeCurrencies(text, locale, format) {
+  const { language, region } = parseLocale(locale);
+  const currencies = { ...CURRENCIES[language] };
+
+  if (language === 'es' && PESO_REGIONS.includes(region)) {
+    currencies['$'] = CURRENCIES.es.MXN;
+  }
+
+  const number = '\\d+(?:[.,]\\d+)*';
+  const symbols = '[€$£¥]';
+  const codes = Object.keys(currencies).filter(key => /^[A-Z]{3}$/.test(key)).join('|');
+
+  const convert = (match, amount, currencyKey) => {
+    const parsed = parseLocaleNumber(amount, format);
+    const currency = currencies[currencyKey];
+    return parsed && currency ? currencyToWords(parsed, currency, language) : match;
+  };
+
+  // Symbol first: $1,250.50, € 20
+  text = text.replace(new RegExp(`(?<![\\p{L}\\d])(${symbols})\\s?(${number})(?!\\d)`, 'gu'), (match, symbol, amount) => {
+    return convert(match, amount, symbol);
+  });
+
+  // Symbol or code after: 1.250,50 €, 20 EUR
+  return text.replace(new RegExp(`(?<![\\p{L}\\d.,])(${number})\\s?(${symbols}|(?:${codes})(?![\\p{L}]))`, 'gu'), (match, amount, currencyKey) => {
+    return convert(match, amount, currencyKey);
+  });
+}
+
+// Percentages and degrees
+
+function verbalizePercentages(text, language, format) {
+  const words = WORDS[language];
+
+  text = text.replace(/(?<![\p{L}\d.,])(\d+(?:[.,]\d+)*)\s?%/gu, (match, amount) => {
+    const parsed = parseLocaleNumber(amount, format);
+    return parsed ? `${parsedNumberToWords(parsed, language)} ${words.percent}` : match;
+  });
+
+  return text.replace(/(?<![\p{L}\d.,])(\d+(?:[.,]\d+)*)\s?°\s?([CF])?(?![\p{L}])/gu, (match, amount, scale) => {
+    const parsed = parseLocaleNumber(amount, format);
+    if (!parsed) return match;
+
+    const scaleName = scale === 'C' ? ' Celsius' : (scale === 'F' ? ' Fahrenheit' : '');
+    return `${parsedNumberToWords(parsed, language)} ${words.degrees}${scaleName}`;
+  });
+}
+
+// Ordinals: 1º, 2.ª, 3er / 1st, 22nd
+
+function verbalizeOrdinals(text, language) {
+  if (language === 'en') {
+    return text.replace(/(?<![\p{L}\d.,])(\d+)(st|nd|rd|th)(?![\p{L}\d])/giu, (match, number) => {
+      return number.length > MAX_INTEGER_DIGITS ? match : englishOrdinal(parseInt(number, 10));
+    });
+  }
+
+  return text.replace(/(?<![\p{L}\d.,])(\d{1,3})\.?(º|ª|er)(?![\p{L}\d])/gu, (match, number, suffix) => {
+    const n = parseInt(number, 10);
+    return spanishOrdinal(n, { feminine: suffix === 'ª', apocope: suffix === 'er' });
+  });
+}
+
+// Cardinals and decimals, including negatives
+
+// "-5" after a space or at the start is a negative number, "10-20" is a range
+function verbalizeNegativeSigns(text, language) {
+  return text.replace(/(^|[\s(\[])-(?=\d)/g, `$1${WORDS[language].minus} `);
+}
+
+function verbalizeNumbers(text, language, format) {
+  return text.replace(/(?<![\p{L}\d.,])(\d+(?:[.,]\d+)*)(\p{L})?/gu, (match, token, nextLetter, offset) => {
+    // Plain four-digit numbers in English text are nearly always years
+    if (language === 'en' && /^\d{4}$/.test(token) && !nextLetter) {
+      const year = parseInt(token, 10);
+      if (year >= 1100 && year <= 2099) return englishYear(year);
+    }
+
+    const parsed = parseLocaleNumber(token, format);
+    if (!parsed) return match;
+
+    // Keep units readable: "10km" -> "diez km", "4K" -> "cuatro K"
+    if (nextLetter) return `${parsedNumberToWords(parsed, language)} ${nextLetter}`;
+
+    if (language !== 'es') return parsedNumberToWords(parsed, language);
+
+    const next = text.slice(offset + match.length).match(/^[ \u00a0]+(\p{L}+)/u);
+    const agreement = spanishNounAgreement(next && next[1]);
+    if (!agreement) return parsedNumberToWords(parsed, language);
+
+    // Round millions take "de" before the noun, as amounts do: "tres millones de habitantes"
+    const words = parsedNumberToWords(parsed, language, agreement);
+    return /(millón|millones|billón|billones)$/.test(words) ? `${words} de` : words;
+  });
+}
+
+// Expand numbers, dates, times, phone numbers, currencies, percentages and
+// ordinals into words for the given locale ('es', 'es_MX', 'en_US'...)
+function verbalizeText(text, locale) {
+  const { language } = parseLocale(locale);
+  if (!text || !SUPPORTED_LANGUAGES.includes(language) || !/\d/.test(text)) {
+    return text;
+  }
+
+  const format = getNumberFormat(locale);
+  let result = text;
+
+  // More specific patterns first: each step leaves words, not digits, behind
+  result = verbalizeDates(result, locale);
+  result = verbalizeTimes(result, language);
+  result = verbalizePhoneNumbers(result, language);
+  result = verbalizeNegativeSigns(result, language);
+  result = verbalizeCurrencies(result, locale, format);
+  result = verbalizePercentages(result, language, format);
+  result = verbalizeOrdinals(result, language);
+  result = verbalizeNumbers(result, language, format);
+
+  if (result !== text) {
+    console.log(`[VERBALIZE] (${locale}) '${text.substring(0, 100)}${text.length > 100 ? '...' : ''}' → '${result.substring(0, 100)}${result.length > 100 ? '...' : ''}'`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  MONTH_NAMES,
+  getNumberFormat,
+  numberToWords,
+  ordinalToWords,
+  verbalizeDate,
+  verbalizeText
+};